@@ -0,0 +1,104 @@
+/**
+ * Local Mock Server
+ *
+ * Stand-in for the metadata catalog API so the HTTP data provider can be
+ * exercised offline. Serves the fixture entity lists with pagination.
+ *
+ *   GET /api/source-entities?page=1&pageSize=500
+ *   GET /api/downstream-entities?page=1&pageSize=500
+ *   GET /api/health
+ *
+ * Environment:
+ *   PORT       - port to listen on (default 4000)
+ *   LATENCY    - artificial delay per request in ms (default 0)
+ *   FAIL_RATE  - fraction of entity requests answered with 503, to test retries (default 0)
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const PORT = Number(process.env.PORT) || 4000;
+const LATENCY = Number(process.env.LATENCY) || 0;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+const loadFixture = (fileName) => JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', fileName), 'utf8')
+);
+
+const fixtures = {
+  '/api/source-entities': loadFixture('source-entities.json'),
+  '/api/downstream-entities': loadFixture('downstream-entities.json'),
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': '*',
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+};
+
+// Slice one page out of a fixture list
+const paginate = (items, searchParams) => {
+  const pageSize = Math.max(1, Math.min(5000, Number(searchParams.get('pageSize')) || 500));
+  const page = Math.max(1, Number(searchParams.get('page')) || 1);
+  const start = (page - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+  };
+};
+
+const handleRequest = (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  // CORS preflight; a 204 response has no body
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  if (url.pathname === '/api/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  const items = fixtures[url.pathname];
+  if (!items) {
+    sendJson(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+    return;
+  }
+
+  if (Math.random() < FAIL_RATE) {
+    sendJson(res, 503, { error: 'Simulated failure' });
+    return;
+  }
+
+  sendJson(res, 200, paginate(items, url.searchParams));
+};
+
+const server = http.createServer((req, res) => {
+  setTimeout(() => {
+    try {
+      handleRequest(req, res);
+    } catch (error) {
+      console.error('Error handling request:', error);
+      sendJson(res, 500, { error: error.message });
+    }
+  }, LATENCY);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock server listening on http://localhost:${PORT}`);
+});
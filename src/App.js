@@ -1,7 +1,9 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { makeStyles } from '@material-ui/core/styles';
 import { Typography, AppBar, Toolbar } from '@material-ui/core';
 import RelationshipGraph from './components/RelationshipGraph';
+import SavedViewsMenu from './components/SavedViewsMenu';
+import { createDataProviderFromEnv } from './providers';
 import './App.css';
 
 const useStyles = makeStyles((theme) => ({
@@ -33,8 +35,12 @@ const useStyles = makeStyles((theme) => ({
   }
 }));
 
+// Data source is chosen at build time through REACT_APP_DATA_PROVIDER
+const dataProvider = createDataProviderFromEnv();
+
 function App() {
   const classes = useStyles();
+  const graphRef = useRef(null);
   
   return (
     <div className={classes.root}>
@@ -43,11 +49,15 @@ function App() {
           <Typography variant="h6" className={classes.title}>
             Data Relationship Visualization
           </Typography>
+          <SavedViewsMenu
+            onCapture={() => graphRef.current.captureView()}
+            onRestore={(view) => graphRef.current.restoreView(view)}
+          />
         </Toolbar>
       </AppBar>
       <main className={classes.content}>
         <div className={classes.graphContainer}>
-          <RelationshipGraph />
+          <RelationshipGraph ref={graphRef} dataProvider={dataProvider} />
         </div>
       </main>
     </div>
@@ -0,0 +1,77 @@
+import React from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Divider, IconButton, List, ListItem, ListItemText
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    // Starts below the graph toolbar so its buttons stay reachable
+    position: 'absolute',
+    top: 56,
+    height: 'calc(100% - 56px)',
+    width: 320,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  }
+}));
+
+// Applications behind a part of a view, e.g. the apps bridging two platforms in the chord
+// diagram or the apps of an overlap region. `list` is { title, subtitle, apps: [{ id, name }] };
+// with `onSelectApp` the entries are clickable.
+const AppListPanel = ({ open, onClose, list, onSelectApp }) => {
+  const classes = useStyles();
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="right"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Typography variant="h6">{list ? list.title : ''}</Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      {list && (
+        <>
+          <Box className={classes.section}>
+            <Typography variant="subtitle1">{list.subtitle}</Typography>
+            <Typography variant="caption" color="textSecondary">
+              {list.apps.length} applications
+            </Typography>
+          </Box>
+          <Divider />
+          <Box overflow="auto" flexGrow={1}>
+            <List dense>
+              {list.apps.map(app => (
+                <ListItem
+                  key={app.id}
+                  button={Boolean(onSelectApp)}
+                  onClick={onSelectApp ? () => onSelectApp(app.id) : undefined}
+                >
+                  <ListItemText primary={app.name} />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default AppListPanel;
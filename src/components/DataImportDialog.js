@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Typography, Box,
+  FormControl, InputLabel, Select, MenuItem, RadioGroup, Radio, FormControlLabel,
+  Table, TableBody, TableCell, TableHead, TableRow, CircularProgress
+} from '@material-ui/core';
+import CloudUploadIcon from '@material-ui/icons/CloudUpload';
+import {
+  ENTITY_FIELDS,
+  parseEntityFile,
+  guessColumnMapping,
+  getMissingRequiredFields,
+  applyColumnMapping
+} from '../utils/entityImport';
+
+const useStyles = makeStyles((theme) => ({
+  dropZone: {
+    border: `2px dashed ${theme.palette.grey[400]}`,
+    borderRadius: theme.shape.borderRadius,
+    padding: theme.spacing(3),
+    textAlign: 'center',
+    cursor: 'pointer',
+    marginBottom: theme.spacing(2),
+  },
+  dropZoneActive: {
+    borderColor: theme.palette.primary.main,
+    backgroundColor: theme.palette.action.hover,
+  },
+  tableSection: {
+    marginTop: theme.spacing(2),
+  },
+  kindSelect: {
+    minWidth: 200,
+    marginTop: theme.spacing(1),
+  },
+  mappingSelect: {
+    minWidth: 240,
+  },
+  required: {
+    color: theme.palette.error.main,
+  }
+}));
+
+// `title` and `allowAppend` let the dialog load other entity lists, e.g. a baseline snapshot to compare with
+const DataImportDialog = ({ open, file, onClose, onImport, title = 'Import Entity Data', allowAppend = true }) => {
+  const classes = useStyles();
+  const [parsed, setParsed] = useState(null);
+  const [tableSettings, setTableSettings] = useState([]);
+  const [importMode, setImportMode] = useState('replace');
+  const [parsing, setParsing] = useState(false);
+  const [error, setError] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadFile = useCallback(async (selectedFile) => {
+    setParsing(true);
+    setError(null);
+    try {
+      const result = await parseEntityFile(selectedFile);
+      setParsed(result);
+      setTableSettings(result.tables.map(table => ({
+        kind: table.kind,
+        mapping: guessColumnMapping(table.headers, table.kind),
+      })));
+    } catch (err) {
+      console.error('Error parsing import file:', err);
+      setParsed(null);
+      setTableSettings([]);
+      setError(err.message || 'Could not read file');
+    } finally {
+      setParsing(false);
+    }
+  }, []);
+
+  // Parse a file that was dropped onto the graph before the dialog opened
+  useEffect(() => {
+    if (open && file) {
+      loadFile(file);
+    }
+  }, [open, file, loadFile]);
+
+  // Reset state when the dialog closes
+  useEffect(() => {
+    if (!open) {
+      setParsed(null);
+      setTableSettings([]);
+      setError(null);
+      setDragActive(false);
+    }
+  }, [open]);
+
+  const handleFileInput = (event) => {
+    const selectedFile = event.target.files && event.target.files[0];
+    if (selectedFile) {
+      loadFile(selectedFile);
+    }
+    // Allow choosing the same file again
+    event.target.value = '';
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDragActive(false);
+    const droppedFile = event.dataTransfer.files && event.dataTransfer.files[0];
+    if (droppedFile) {
+      loadFile(droppedFile);
+    }
+  };
+
+  const handleKindChange = (tableIndex, kind) => {
+    const table = parsed.tables[tableIndex];
+    setTableSettings(settings => settings.map((setting, index) => (
+      index === tableIndex ? { kind, mapping: guessColumnMapping(table.headers, kind) } : setting
+    )));
+  };
+
+  const handleMappingChange = (tableIndex, fieldKey, header) => {
+    setTableSettings(settings => settings.map((setting, index) => (
+      index === tableIndex ? { ...setting, mapping: { ...setting.mapping, [fieldKey]: header } } : setting
+    )));
+  };
+
+  const hasMissingFields = tableSettings.some(setting => (
+    getMissingRequiredFields(setting.mapping, setting.kind).length > 0
+  ));
+
+  const handleImport = () => {
+    if (!parsed) return;
+
+    const result = { mode: allowAppend ? importMode : 'replace', fileName: parsed.fileName };
+    parsed.tables.forEach((table, index) => {
+      const { kind, mapping } = tableSettings[index];
+      const listKey = kind === 'downstream' ? 'downstreamEntityList' : 'sourceEntityList';
+      const rows = applyColumnMapping(table.rows, mapping, kind, table.source);
+      result[listKey] = [...(result[listKey] || []), ...rows];
+    });
+
+    onImport(result);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent dividers>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.tsv,.json,text/csv,application/json"
+          style={{ display: 'none' }}
+          onChange={handleFileInput}
+        />
+        <Box
+          className={`${classes.dropZone} ${dragActive ? classes.dropZoneActive : ''}`}
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          onDragOver={(event) => { event.preventDefault(); setDragActive(true); }}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+        >
+          <CloudUploadIcon color="action" fontSize="large" />
+          <Typography variant="body1">
+            Drop a CSV or JSON file here, or click to choose one
+          </Typography>
+          {parsed && (
+            <Typography variant="body2" color="textSecondary">
+              {parsed.fileName} ({parsed.format.toUpperCase()})
+            </Typography>
+          )}
+        </Box>
+
+        {parsing && (
+          <Box display="flex" justifyContent="center">
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {error && (
+          <Typography color="error">Error: {error}</Typography>
+        )}
+
+        {parsed && parsed.tables.map((table, tableIndex) => {
+          const setting = tableSettings[tableIndex];
+          if (!setting) return null;
+          const fields = ENTITY_FIELDS[setting.kind];
+
+          return (
+            <Box key={table.name} className={classes.tableSection}>
+              <Typography variant="subtitle1">
+                {table.name} — {table.rows.length} rows
+              </Typography>
+              <FormControl className={classes.kindSelect}>
+                <InputLabel>Import as</InputLabel>
+                <Select
+                  value={setting.kind}
+                  onChange={(event) => handleKindChange(tableIndex, event.target.value)}
+                >
+                  <MenuItem value="source">Source entities</MenuItem>
+                  <MenuItem value="downstream">Downstream entities</MenuItem>
+                </Select>
+              </FormControl>
+
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Field</TableCell>
+                    <TableCell>Column in file</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {fields.map(field => (
+                    <TableRow key={field.key}>
+                      <TableCell>
+                        {field.label} <code>{field.key}</code>
+                        {field.required && <span className={classes.required}> *</span>}
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          className={classes.mappingSelect}
+                          value={setting.mapping[field.key] || ''}
+                          displayEmpty
+                          error={field.required && !setting.mapping[field.key]}
+                          onChange={(event) => handleMappingChange(tableIndex, field.key, event.target.value)}
+                        >
+                          <MenuItem value=""><em>Not mapped</em></MenuItem>
+                          {table.headers.map(header => (
+                            <MenuItem key={header} value={header}>{header}</MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+          );
+        })}
+
+        {parsed && allowAppend && (
+          <Box className={classes.tableSection}>
+            <RadioGroup row value={importMode} onChange={(event) => setImportMode(event.target.value)}>
+              <FormControlLabel value="replace" control={<Radio color="primary" />} label="Replace current list" />
+              <FormControlLabel value="append" control={<Radio color="primary" />} label="Append to current list" />
+            </RadioGroup>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleImport}
+          color="primary"
+          variant="contained"
+          disabled={!parsed || parsing || hasMissingFields}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DataImportDialog;
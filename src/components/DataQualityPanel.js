@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Chip, Divider, IconButton, List, ListItem, ListItemText,
+  RadioGroup, Radio, FormControlLabel
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+import { VALIDATION_MODES } from '../utils/entityValidation';
+
+// Rendering thousands of list items makes the drawer sluggish; the summary still counts everything
+const MAX_LISTED_ROWS = 300;
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    width: 420,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  chip: {
+    marginRight: theme.spacing(1),
+  },
+  issueError: {
+    color: theme.palette.error.main,
+  },
+  issueWarning: {
+    color: theme.palette.warning.dark,
+  }
+}));
+
+const DataQualityPanel = ({ open, onClose, report, mode, onModeChange }) => {
+  const classes = useStyles();
+
+  // Group issues by row so each offending row is listed once
+  const rows = useMemo(() => {
+    if (!report) return [];
+    const rowMap = new Map();
+    report.issues.forEach(issue => {
+      const key = `${issue.list}-${issue.rowIndex}`;
+      if (!rowMap.has(key)) {
+        rowMap.set(key, {
+          key,
+          list: issue.list,
+          rowIndex: issue.rowIndex,
+          uniqueKey: issue.uniqueKey,
+          appName: issue.appName,
+          issues: [],
+        });
+      }
+      rowMap.get(key).issues.push(issue);
+    });
+    return Array.from(rowMap.values());
+  }, [report]);
+
+  const summary = report ? report.summary : { errorCount: 0, warningCount: 0, affectedRows: { source: 0, downstream: 0 } };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} classes={{ paper: classes.drawerPaper }}>
+      <Box className={classes.header}>
+        <Typography variant="h6">Data Quality</Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      <Box className={classes.section}>
+        <Chip className={classes.chip} size="small" color={summary.errorCount ? 'secondary' : 'default'} label={`${summary.errorCount} errors`} />
+        <Chip className={classes.chip} size="small" label={`${summary.warningCount} warnings`} />
+        <Typography variant="body2" color="textSecondary" style={{ marginTop: 8 }}>
+          Affected rows: {summary.affectedRows.source} source, {summary.affectedRows.downstream} downstream
+        </Typography>
+      </Box>
+
+      <Box className={classes.section}>
+        <Typography variant="subtitle2">Offending rows</Typography>
+        <RadioGroup row value={mode} onChange={(event) => onModeChange(event.target.value)}>
+          <FormControlLabel value={VALIDATION_MODES.FIX} control={<Radio color="primary" size="small" />} label="Fix" />
+          <FormControlLabel value={VALIDATION_MODES.SKIP} control={<Radio color="primary" size="small" />} label="Skip" />
+        </RadioGroup>
+        <Typography variant="caption" color="textSecondary">
+          {mode === VALIDATION_MODES.FIX
+            ? 'Rows are repaired: missing platforms become "Unknown", bad counts become 0, duplicate keys are renamed and casing is unified.'
+            : 'Rows with any issue are left out of the graph.'}
+        </Typography>
+      </Box>
+      <Divider />
+
+      {rows.length === 0 ? (
+        <Box className={classes.section}>
+          <Typography variant="body2">No issues found.</Typography>
+        </Box>
+      ) : (
+        <List dense>
+          {rows.slice(0, MAX_LISTED_ROWS).map(row => (
+            <ListItem key={row.key} divider alignItems="flex-start">
+              <ListItemText
+                primary={`${row.list === 'source' ? 'Source' : 'Downstream'} row ${row.rowIndex + 1}${row.appName ? ` · ${row.appName}` : ''}`}
+                secondary={
+                  <>
+                    {row.uniqueKey && <span>{row.uniqueKey}<br /></span>}
+                    {row.issues.map(issue => (
+                      <span
+                        key={issue.id}
+                        className={issue.severity === 'error' ? classes.issueError : classes.issueWarning}
+                      >
+                        {issue.message}<br />
+                      </span>
+                    ))}
+                  </>
+                }
+              />
+            </ListItem>
+          ))}
+          {rows.length > MAX_LISTED_ROWS && (
+            <ListItem>
+              <ListItemText secondary={`…and ${rows.length - MAX_LISTED_ROWS} more rows`} />
+            </ListItem>
+          )}
+        </List>
+      )}
+    </Drawer>
+  );
+};
+
+export default DataQualityPanel;
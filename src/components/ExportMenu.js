@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText, ListSubheader } from '@material-ui/core';
+import GetAppIcon from '@material-ui/icons/GetApp';
+
+export const EXPORT_FORMATS = [
+  { key: 'png', group: 'Image', label: 'PNG', description: 'High-resolution image of the current view' },
+  { key: 'svg', group: 'Image', label: 'SVG', description: 'Vector image of the current view' },
+  { key: 'nodes-csv', group: 'Visible data', label: 'Nodes (CSV)', description: 'Visible nodes with table counts and attributes' },
+  { key: 'links-csv', group: 'Visible data', label: 'Links (CSV)', description: 'Visible links with their table counts' },
+  { key: 'json', group: 'Visible data', label: 'Nodes and links (JSON)', description: 'Visible nodes and links in one file' },
+  { key: 'graphml', group: 'Graph', label: 'GraphML', description: 'For yEd and Gephi' },
+  { key: 'gexf', group: 'Graph', label: 'GEXF', description: 'For Gephi, with positions and colours' },
+  { key: 'dot', group: 'Graph', label: 'Graphviz DOT', description: 'Render with neato -n to keep positions' },
+];
+
+const ExportMenu = ({ onExport, disabled = false, formats = EXPORT_FORMATS }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleSelect = (format) => {
+    setAnchorEl(null);
+    onExport(format);
+  };
+
+  const groups = Array.from(new Set(formats.map(format => format.group)));
+
+  return (
+    <>
+      <Button
+        variant="contained"
+        color="default"
+        startIcon={<GetAppIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={disabled}
+        style={{ marginRight: 8 }}
+      >
+        Export
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        getContentAnchorEl={null}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        {groups.map(group => [
+          <ListSubheader key={`group-${group}`} disableSticky>{group}</ListSubheader>,
+          ...formats.filter(format => format.group === group).map(format => (
+            <MenuItem key={format.key} onClick={() => handleSelect(format.key)}>
+              <ListItemText primary={format.label} secondary={format.description} />
+            </MenuItem>
+          ))
+        ])}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Box, Typography, IconButton, Button, Divider, Slider, Switch, Checkbox,
+  FormControlLabel, FormGroup, Accordion, AccordionSummary, AccordionDetails
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+import ExpandMoreIcon from '@material-ui/icons/ExpandMore';
+import { FILTER_FACETS, NODE_TYPES, createEmptyFilters } from '../utils/entityFilters';
+
+const nodeTypeLabels = {
+  source: 'Source',
+  downstream: 'Downstream',
+  mixed: 'Mixed (Source & Downstream)',
+};
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    position: 'absolute',
+    width: 300,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  facetList: {
+    width: '100%',
+    maxHeight: 240,
+    overflowY: 'auto',
+    flexWrap: 'nowrap',
+  },
+  facetLabel: {
+    fontSize: 13,
+  }
+}));
+
+const FilterDrawer = ({ open, onClose, filters, counts, onChange }) => {
+  const classes = useStyles();
+  const tableDomain = counts ? counts.tableDomain : [0, 0];
+  const [domainMin, domainMax] = tableDomain;
+  const [rangeValue, setRangeValue] = useState(filters.tableRange || tableDomain);
+
+  // Keep the slider in sync when filters are reset or the data changes
+  useEffect(() => {
+    setRangeValue(filters.tableRange || [domainMin, domainMax]);
+  }, [filters.tableRange, domainMin, domainMax]);
+
+  const toggleFacetValue = (facetKey, value) => {
+    const selected = filters.facets[facetKey] || [];
+    const nextSelected = selected.includes(value)
+      ? selected.filter(v => v !== value)
+      : [...selected, value];
+    onChange({ ...filters, facets: { ...filters.facets, [facetKey]: nextSelected } });
+  };
+
+  const toggleNodeType = (type) => {
+    const nextTypes = filters.nodeTypes.includes(type)
+      ? filters.nodeTypes.filter(t => t !== type)
+      : [...filters.nodeTypes, type];
+    onChange({ ...filters, nodeTypes: nextTypes });
+  };
+
+  // Only commit the range once the user releases the slider, since every change re-runs the layout
+  const commitRange = (value) => {
+    const isFullRange = value[0] <= tableDomain[0] && value[1] >= tableDomain[1];
+    onChange({ ...filters, tableRange: isFullRange ? null : value });
+  };
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="left"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Typography variant="h6">Filters</Typography>
+        <Box>
+          <Button size="small" onClick={() => onChange(createEmptyFilters())}>Clear all</Button>
+          <IconButton size="small" onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+      </Box>
+      <Divider />
+
+      <Box className={classes.section}>
+        <Typography variant="subtitle2">Node types</Typography>
+        <FormGroup>
+          {NODE_TYPES.map(type => (
+            <FormControlLabel
+              key={type}
+              control={
+                <Switch
+                  size="small"
+                  color="primary"
+                  checked={filters.nodeTypes.includes(type)}
+                  onChange={() => toggleNodeType(type)}
+                />
+              }
+              label={<span className={classes.facetLabel}>{nodeTypeLabels[type]} ({counts ? counts.nodeTypes[type] : 0})</span>}
+            />
+          ))}
+        </FormGroup>
+      </Box>
+
+      <Box className={classes.section}>
+        <Typography variant="subtitle2">Application table count</Typography>
+        <Box px={1}>
+          <Slider
+            value={rangeValue}
+            min={tableDomain[0]}
+            max={Math.max(tableDomain[1], tableDomain[0] + 1)}
+            valueLabelDisplay="auto"
+            onChange={(event, value) => setRangeValue(value)}
+            onChangeCommitted={(event, value) => commitRange(value)}
+          />
+        </Box>
+        <Typography variant="caption" color="textSecondary">
+          {rangeValue[0]} – {rangeValue[1]} tables
+        </Typography>
+      </Box>
+      <Divider />
+
+      {FILTER_FACETS.map(facet => {
+        const values = counts ? counts.facets[facet.key] : [];
+        const selected = filters.facets[facet.key] || [];
+        return (
+          <Accordion key={facet.key} defaultExpanded={facet.key === 'platform'} square elevation={0}>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Typography variant="subtitle2">
+                {facet.label}{selected.length > 0 ? ` (${selected.length})` : ''}
+              </Typography>
+            </AccordionSummary>
+            <AccordionDetails>
+              <FormGroup className={classes.facetList}>
+                {values.map(({ value, count }) => (
+                  <FormControlLabel
+                    key={value}
+                    disabled={count === 0 && !selected.includes(value)}
+                    control={
+                      <Checkbox
+                        size="small"
+                        color="primary"
+                        checked={selected.includes(value)}
+                        onChange={() => toggleFacetValue(facet.key, value)}
+                      />
+                    }
+                    label={<span className={classes.facetLabel}>{value} ({count})</span>}
+                  />
+                ))}
+              </FormGroup>
+            </AccordionDetails>
+          </Accordion>
+        );
+      })}
+    </Drawer>
+  );
+};
+
+export default FilterDrawer;
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import { Paper, Typography, Slider, Button } from '@material-ui/core';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    position: 'absolute',
+    left: 16,
+    bottom: 16,
+    zIndex: 1000,
+    width: 260,
+    padding: theme.spacing(1, 2),
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  },
+  hint: {
+    display: 'block',
+    marginBottom: theme.spacing(1),
+  }
+}));
+
+const SLIDERS = [
+  { key: 'repulsion', label: 'Repulsion', min: 50, max: 2000, step: 50 },
+  { key: 'edgeLength', label: 'Edge length', min: 20, max: 500, step: 10 },
+  { key: 'gravity', label: 'Gravity', min: 0, max: 0.5, step: 0.01 },
+];
+
+// Settings of the force-directed layout. Sliders report on release, since every change
+// restarts the simulation.
+const ForceControls = ({ settings, onChange, pinnedCount, onUnpinAll }) => {
+  const classes = useStyles();
+  const [values, setValues] = useState(settings);
+
+  useEffect(() => {
+    setValues(settings);
+  }, [settings]);
+
+  return (
+    <Paper className={classes.root} elevation={2}>
+      <Typography variant="caption" color="textSecondary" className={classes.hint}>
+        Drag a node to pin it, double-click to release it
+      </Typography>
+      {SLIDERS.map(slider => (
+        <div key={slider.key}>
+          <Typography variant="caption">
+            {slider.label}: {values[slider.key]}
+          </Typography>
+          <Slider
+            min={slider.min}
+            max={slider.max}
+            step={slider.step}
+            value={values[slider.key]}
+            onChange={(event, value) => setValues(current => ({ ...current, [slider.key]: value }))}
+            onChangeCommitted={(event, value) => onChange({ ...settings, [slider.key]: value })}
+          />
+        </div>
+      ))}
+      <Button size="small" onClick={onUnpinAll} disabled={pinnedCount === 0}>
+        Unpin all ({pinnedCount})
+      </Button>
+    </Paper>
+  );
+};
+
+export default ForceControls;
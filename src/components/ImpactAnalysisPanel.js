@@ -0,0 +1,183 @@
+import React, { useState, useMemo } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Chip, Divider, IconButton, TextField, MenuItem,
+  Table, TableHead, TableBody, TableRow, TableCell, TableSortLabel
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+import { sortImpactRows, IMPACT_STATUS, IMPACT_STATUS_LABELS, IMPACT_COLORS } from '../utils/impactAnalysis';
+
+// Rendering thousands of rows makes the drawer sluggish; the summary still counts everything
+const MAX_LISTED_ROWS = 500;
+
+const columns = [
+  { key: 'name', label: 'Application' },
+  { key: 'status', label: 'Status' },
+  { key: 'tablesLost', label: 'Lost', numeric: true },
+  { key: 'tablesRemaining', label: 'Remaining', numeric: true },
+];
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    // Starts below the graph toolbar so its buttons stay reachable
+    position: 'absolute',
+    top: 56,
+    height: 'calc(100% - 56px)',
+    width: 420,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  chip: {
+    marginRight: theme.spacing(1),
+    marginBottom: theme.spacing(0.5),
+    color: '#fff',
+  },
+  row: {
+    cursor: 'pointer',
+  },
+  statusDot: {
+    display: 'inline-block',
+    width: 10,
+    height: 10,
+    borderRadius: '50%',
+    marginRight: theme.spacing(1),
+  }
+}));
+
+// Outage simulation for one platform, chosen here or by right-clicking a platform node.
+// `platforms` lists the selectable platforms as { id, name }.
+const ImpactAnalysisPanel = ({ open, onClose, platforms = [], platformId, onSelectPlatform, result, onSelectApp }) => {
+  const classes = useStyles();
+  const [orderBy, setOrderBy] = useState('status');
+  const [order, setOrder] = useState('asc');
+
+  const rows = useMemo(
+    () => (result ? sortImpactRows(result.apps, orderBy, order) : []),
+    [result, orderBy, order]
+  );
+
+  const handleSort = (column) => {
+    if (orderBy === column) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setOrderBy(column);
+      // Numbers read best largest first
+      setOrder(column === 'tablesLost' || column === 'tablesRemaining' ? 'desc' : 'asc');
+    }
+  };
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="right"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Typography variant="h6">Outage Impact</Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+      <Box className={classes.section}>
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Platform to take offline"
+          value={platformId || ''}
+          onChange={(event) => onSelectPlatform(event.target.value || null)}
+        >
+          {platforms.map(platform => (
+            <MenuItem key={platform.id} value={platform.id}>{platform.name}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {!result && (
+        <Typography variant="body2" color="textSecondary" className={classes.section}>
+          Choose a platform, or right-click a platform node, to see which downstream applications lose their data.
+        </Typography>
+      )}
+
+      {result && (
+        <>
+          <Box className={classes.section}>
+            <Typography variant="subtitle1">Simulated outage: {result.platformId}</Typography>
+            <Typography variant="caption" color="textSecondary" display="block" gutterBottom>
+              {result.summary.tablesLost} downstream tables lost
+            </Typography>
+            {result.starvedPlatforms.length > 0 && (
+              <Typography variant="caption" color="textSecondary" display="block" gutterBottom>
+                Also without sources: {result.starvedPlatforms.join(', ')}
+              </Typography>
+            )}
+            {Object.values(IMPACT_STATUS).map(status => (
+              <Chip
+                key={status}
+                className={classes.chip}
+                size="small"
+                style={{ backgroundColor: IMPACT_COLORS[status] }}
+                label={`${IMPACT_STATUS_LABELS[status]}: ${result.summary[status]}`}
+              />
+            ))}
+          </Box>
+          <Divider />
+          <Box overflow="auto" flexGrow={1}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {columns.map(column => (
+                    <TableCell key={column.key} align={column.numeric ? 'right' : 'left'}>
+                      <TableSortLabel
+                        active={orderBy === column.key}
+                        direction={orderBy === column.key ? order : 'asc'}
+                        onClick={() => handleSort(column.key)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.slice(0, MAX_LISTED_ROWS).map(app => (
+                  <TableRow key={app.id} hover className={classes.row} onClick={() => onSelectApp(app.id)}>
+                    <TableCell>{app.name}</TableCell>
+                    <TableCell>
+                      <span className={classes.statusDot} style={{ backgroundColor: IMPACT_COLORS[app.status] }} />
+                      {IMPACT_STATUS_LABELS[app.status]}
+                      {app.indirect && (
+                        <Typography variant="caption" color="textSecondary" display="block">
+                          via upstream applications
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{app.tablesLost}</TableCell>
+                    <TableCell align="right">{app.tablesRemaining}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {rows.length > MAX_LISTED_ROWS && (
+              <Typography variant="caption" color="textSecondary" component="div" className={classes.section}>
+                Showing the first {MAX_LISTED_ROWS} of {rows.length} applications.
+              </Typography>
+            )}
+          </Box>
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default ImpactAnalysisPanel;
@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Chip, Divider, IconButton, List, ListItem, ListItemText, ListSubheader
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+import { getLineageApplications, LINEAGE_COLORS } from '../utils/lineage';
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    // Starts below the graph toolbar so its buttons stay reachable
+    position: 'absolute',
+    top: 56,
+    height: 'calc(100% - 56px)',
+    width: 340,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  chip: {
+    marginRight: theme.spacing(1),
+    marginBottom: theme.spacing(0.5),
+  },
+  subheader: {
+    backgroundColor: theme.palette.background.paper,
+    lineHeight: '32px',
+  },
+  hop: {
+    minWidth: 40,
+    fontWeight: 600,
+  },
+  tables: {
+    color: theme.palette.text.secondary,
+    marginLeft: theme.spacing(1),
+    whiteSpace: 'nowrap',
+  }
+}));
+
+const LineageList = ({ title, color, arrow, apps, onSelectApp }) => {
+  const classes = useStyles();
+  return (
+    <List dense subheader={
+      <ListSubheader className={classes.subheader} style={{ color }}>
+        {title} ({apps.length})
+      </ListSubheader>
+    }>
+      {apps.length === 0 && (
+        <ListItem>
+          <ListItemText secondary="None" />
+        </ListItem>
+      )}
+      {apps.map(app => (
+        <ListItem key={app.id} button onClick={() => onSelectApp(app.id)}>
+          <span className={classes.hop} style={{ color }}>{arrow}{app.hop}</span>
+          <ListItemText primary={app.name} />
+          <span className={classes.tables}>{app.tables} tables</span>
+        </ListItem>
+      ))}
+    </List>
+  );
+};
+
+// Lists everything reachable from the traced node, grouped by direction and ordered by hop
+const LineagePanel = ({ open, onClose, lineageGraph, trace, onSelectApp }) => {
+  const classes = useStyles();
+
+  const { upstreamApps, downstreamApps, platformCount } = useMemo(() => {
+    if (!trace || !lineageGraph) return { upstreamApps: [], downstreamApps: [], platformCount: 0 };
+    const reached = new Set([...trace.upstream.keys(), ...trace.downstream.keys()]);
+    return {
+      upstreamApps: getLineageApplications(lineageGraph, trace.upstream),
+      downstreamApps: getLineageApplications(lineageGraph, trace.downstream),
+      platformCount: Array.from(reached).filter(id => lineageGraph.nodes.get(id).kind === 'dataplatform').length,
+    };
+  }, [lineageGraph, trace]);
+
+  const root = trace && lineageGraph ? lineageGraph.nodes.get(trace.rootId) : null;
+  const totalTables = [...upstreamApps, ...downstreamApps].reduce((sum, app) => sum + app.tables, 0);
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="right"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Typography variant="h6">Lineage Trace</Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      {!root ? (
+        <Box className={classes.section}>
+          <Typography variant="body2" color="textSecondary">
+            Click a node to trace where its data comes from and who consumes it.
+          </Typography>
+        </Box>
+      ) : (
+        <>
+          <Box className={classes.section}>
+            <Typography variant="subtitle1">{root.name}</Typography>
+            <Typography variant="caption" color="textSecondary" display="block" gutterBottom>
+              {root.kind === 'dataplatform' ? 'Data platform' : `Application · ${root.tables} tables`}
+            </Typography>
+            <Chip className={classes.chip} size="small" label={`${upstreamApps.length} upstream apps`} />
+            <Chip className={classes.chip} size="small" label={`${downstreamApps.length} downstream apps`} />
+            <Chip className={classes.chip} size="small" label={`${platformCount} platforms`} />
+            <Chip className={classes.chip} size="small" label={`${totalTables} tables`} />
+          </Box>
+          <Divider />
+          <Box overflow="auto" flexGrow={1}>
+            <LineageList
+              title="Upstream"
+              color={LINEAGE_COLORS.upstream}
+              arrow="↑"
+              apps={upstreamApps}
+              onSelectApp={onSelectApp}
+            />
+            <LineageList
+              title="Downstream"
+              color={LINEAGE_COLORS.downstream}
+              arrow="↓"
+              apps={downstreamApps}
+              onSelectApp={onSelectApp}
+            />
+          </Box>
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default LineagePanel;
@@ -0,0 +1,280 @@
+import React from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Chip, Divider, IconButton, Link,
+  Table, TableHead, TableBody, TableRow, TableCell
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+
+// Long neighbour lists are cut off; the count is still shown
+const MAX_LINKED_APPS = 30;
+
+const roleLabels = {
+  source: 'Source',
+  downstream: 'Downstream',
+  mixed: 'Source & Downstream',
+};
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    // Starts below the graph toolbar so its buttons stay reachable
+    position: 'absolute',
+    top: 56,
+    height: 'calc(100% - 56px)',
+    width: 460,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing(0.5),
+  },
+  chip: {
+    marginRight: theme.spacing(0.5),
+    marginBottom: theme.spacing(0.5),
+  },
+  attributeLabel: {
+    color: theme.palette.text.secondary,
+    width: 110,
+    verticalAlign: 'top',
+  },
+  table: {
+    '& td, & th': {
+      padding: theme.spacing(0.5, 1),
+      fontSize: 12,
+    },
+  }
+}));
+
+const Section = ({ title, children }) => {
+  const classes = useStyles();
+  return (
+    <Box className={classes.section}>
+      <Typography variant="subtitle2" className={classes.sectionTitle}>{title}</Typography>
+      {children}
+    </Box>
+  );
+};
+
+const NodeLink = ({ id, label, onNavigate }) => (
+  <Link component="button" variant="body2" onClick={() => onNavigate(id)}>
+    {label}
+  </Link>
+);
+
+// Clickable chips for related nodes
+const NodeChips = ({ nodes, onNavigate, getLabel = node => node.name }) => {
+  const classes = useStyles();
+  if (nodes.length === 0) {
+    return <Typography variant="body2" color="textSecondary">None</Typography>;
+  }
+  return (
+    <Box>
+      {nodes.slice(0, MAX_LINKED_APPS).map(node => (
+        <Chip
+          key={node.id}
+          className={classes.chip}
+          size="small"
+          clickable
+          label={getLabel(node)}
+          onClick={() => onNavigate(node.id)}
+        />
+      ))}
+      {nodes.length > MAX_LINKED_APPS && (
+        <Typography variant="caption" color="textSecondary">
+          and {nodes.length - MAX_LINKED_APPS} more
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+const RowTable = ({ columns, rows }) => {
+  const classes = useStyles();
+  return (
+    <Box overflow="auto">
+      <Table size="small" className={classes.table}>
+        <TableHead>
+          <TableRow>
+            {columns.map(column => (
+              <TableCell key={column.field} align={column.numeric ? 'right' : 'left'}>{column.label}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, index) => (
+            <TableRow key={row.unique_key || index}>
+              {columns.map(column => (
+                <TableCell key={column.field} align={column.numeric ? 'right' : 'left'}>
+                  {row[column.field] === undefined || row[column.field] === '' ? '—' : String(row[column.field])}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+const sourceRowColumns = [
+  { field: 'data_platform', label: 'Platform' },
+  { field: 'source_eim_id', label: 'EIM ID' },
+  { field: 'source_app_bus_org', label: 'Bus. Org' },
+  { field: 'source_app_it_dir', label: 'IT Dir' },
+  { field: 'source_data_gbgf', label: 'GBGF' },
+  { field: 'source_table_count', label: 'Tables', numeric: true },
+];
+
+const downstreamRowColumns = [
+  { field: 'data_platform', label: 'Platform' },
+  { field: 'downstream_eid_id', label: 'EID ID' },
+  { field: 'downstream_application_abbr', label: 'Abbr.' },
+  { field: 'downstream_app_bus_org', label: 'Bus. Org' },
+  { field: 'downstream_app_it_dir', label: 'IT Dir' },
+  { field: 'downstream_application_gbgf', label: 'GBGF' },
+  { field: 'share_to_downstream_table_count', label: 'Tables', numeric: true },
+];
+
+const ApplicationDetails = ({ details, neighbourApps, onNavigate }) => {
+  const classes = useStyles();
+  return (
+    <>
+      <Section title="Attributes">
+        <Table size="small" className={classes.table}>
+          <TableBody>
+            {details.attributes.map(attribute => (
+              <TableRow key={attribute.key}>
+                <TableCell className={classes.attributeLabel}>{attribute.label}</TableCell>
+                <TableCell>{attribute.values.length ? attribute.values.join(', ') : '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Section>
+      <Divider />
+
+      <Section title="Tables per platform">
+        <Table size="small" className={classes.table}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Platform</TableCell>
+              <TableCell align="right">As source</TableCell>
+              <TableCell align="right">As downstream</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {details.platforms.map(platform => (
+              <TableRow key={platform.id}>
+                <TableCell>
+                  <NodeLink id={platform.id} label={platform.name} onNavigate={onNavigate} />
+                </TableCell>
+                <TableCell align="right">{platform.sourceTables || '—'}</TableCell>
+                <TableCell align="right">{platform.downstreamTables || '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Section>
+      <Divider />
+
+      {details.sourceRows.length > 0 && (
+        <Section title={`Source rows (${details.sourceRows.length})`}>
+          <RowTable columns={sourceRowColumns} rows={details.sourceRows} />
+        </Section>
+      )}
+      {details.downstreamRows.length > 0 && (
+        <Section title={`Downstream rows (${details.downstreamRows.length})`}>
+          <RowTable columns={downstreamRowColumns} rows={details.downstreamRows} />
+        </Section>
+      )}
+      <Divider />
+
+      {neighbourApps && (
+        <>
+          <Section title={`Feeds into (${neighbourApps.downstream.length})`}>
+            <NodeChips nodes={neighbourApps.downstream} onNavigate={onNavigate} />
+          </Section>
+          <Section title={`Fed by (${neighbourApps.upstream.length})`}>
+            <NodeChips nodes={neighbourApps.upstream} onNavigate={onNavigate} />
+          </Section>
+        </>
+      )}
+    </>
+  );
+};
+
+const PlatformDetails = ({ details, onNavigate }) => (
+  <>
+    <Section title={`Source applications (${details.sourceApps.length})`}>
+      <NodeChips
+        nodes={details.sourceApps}
+        onNavigate={onNavigate}
+        getLabel={app => `${app.name} · ${app.sourceTables}`}
+      />
+    </Section>
+    <Section title={`Downstream applications (${details.downstreamApps.length})`}>
+      <NodeChips
+        nodes={details.downstreamApps}
+        onNavigate={onNavigate}
+        getLabel={app => `${app.name} · ${app.downstreamTables}`}
+      />
+    </Section>
+    <Divider />
+    <Section title={`Connected platforms (${details.connectedPlatforms.length})`}>
+      <NodeChips
+        nodes={details.connectedPlatforms}
+        onNavigate={onNavigate}
+        getLabel={platform => `${platform.id} · ${platform.sharedApps.length} shared apps`}
+      />
+    </Section>
+  </>
+);
+
+// Everything behind the selected node; links navigate to the related platform or application
+const NodeDetailDrawer = ({ open, onClose, details, neighbourApps, onNavigate }) => {
+  const classes = useStyles();
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="right"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Box>
+          <Typography variant="h6">{details ? details.name : ''}</Typography>
+          {details && (
+            <Typography variant="caption" color="textSecondary">
+              {details.kind === 'dataplatform'
+                ? `Data platform · ${details.sourceRowCount} source rows, ${details.downstreamRowCount} downstream rows`
+                : `${roleLabels[details.role]} · ${details.totalTables} tables`}
+            </Typography>
+          )}
+        </Box>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      {details && (
+        <Box overflow="auto" flexGrow={1}>
+          {details.kind === 'dataplatform'
+            ? <PlatformDetails details={details} onNavigate={onNavigate} />
+            : <ApplicationDetails details={details} neighbourApps={neighbourApps} onNavigate={onNavigate} />}
+        </Box>
+      )}
+    </Drawer>
+  );
+};
+
+export default NodeDetailDrawer;
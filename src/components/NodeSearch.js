@@ -0,0 +1,130 @@
+import React, { useState, useMemo } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Paper, TextField, InputAdornment, List, ListItem, ListItemText, Typography, ClickAwayListener
+} from '@material-ui/core';
+import SearchIcon from '@material-ui/icons/Search';
+import { searchIndex } from '../utils/search';
+
+const typeLabels = {
+  source: 'Source',
+  downstream: 'Downstream',
+  mixed: 'Source & Downstream',
+  dataplatform: 'Data Platform',
+};
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    position: 'relative',
+    marginRight: theme.spacing(1),
+  },
+  field: {
+    width: 260,
+    backgroundColor: theme.palette.background.paper,
+    borderRadius: theme.shape.borderRadius,
+  },
+  results: {
+    position: 'absolute',
+    top: '100%',
+    left: 0,
+    right: 0,
+    marginTop: 4,
+    maxHeight: 360,
+    overflowY: 'auto',
+    zIndex: 1200,
+  },
+  matched: {
+    color: theme.palette.text.secondary,
+  }
+}));
+
+// The query is controlled by the parent so it can be restored from a deep link
+const NodeSearch = ({ index, query, onQueryChange, onSelect }) => {
+  const classes = useStyles();
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => searchIndex(index, query, 20), [index, query]);
+
+  const selectResult = (result) => {
+    if (!result) return;
+    onQueryChange(result.name);
+    setOpen(false);
+    onSelect(result);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setOpen(true);
+      setActiveIndex(current => Math.min(current + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(current => Math.max(current - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      selectResult(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <ClickAwayListener onClickAway={() => setOpen(false)}>
+      <div className={classes.root}>
+        <TextField
+          className={classes.field}
+          variant="outlined"
+          size="small"
+          placeholder="Search apps, EIM/EID, abbr…"
+          value={query}
+          onChange={(event) => {
+            onQueryChange(event.target.value);
+            setActiveIndex(0);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" color="action" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        {open && query.trim() && (
+          <Paper className={classes.results} elevation={4}>
+            {results.length === 0 ? (
+              <Typography variant="body2" style={{ padding: 12 }}>No matches</Typography>
+            ) : (
+              <List dense disablePadding>
+                {results.map((result, resultIndex) => (
+                  <ListItem
+                    key={result.id}
+                    button
+                    selected={resultIndex === activeIndex}
+                    onMouseEnter={() => setActiveIndex(resultIndex)}
+                    onClick={() => selectResult(result)}
+                  >
+                    <ListItemText
+                      primary={result.name}
+                      secondary={
+                        <span className={classes.matched}>
+                          {typeLabels[result.type] || result.type}
+                          {result.matchedField !== 'Name' && ` · ${result.matchedField}: ${result.matchedValue}`}
+                        </span>
+                      }
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Paper>
+        )}
+      </div>
+    </ClickAwayListener>
+  );
+};
+
+export default NodeSearch;
@@ -1,9 +1,81 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useImperativeHandle, forwardRef } from 'react';
+import { unstable_batchedUpdates } from 'react-dom';
 import ReactECharts from 'echarts-for-react';
 import { makeStyles } from '@material-ui/core/styles';
-import { Paper, CircularProgress, Box, Button, FormControlLabel, Switch, ButtonGroup } from '@material-ui/core';
-import { generateMockData } from '../utils/dataGenerator';
-import { getChartOptions, getMainGraphData, getVennNetworkLayout, defaultColorMap } from '../utils/chartOptions';
+import {
+  Paper, CircularProgress, LinearProgress, Typography, Box, Button, FormControlLabel, Switch, ButtonGroup, Badge, Tooltip, IconButton,
+  Menu, MenuItem, FormControl, InputLabel, Select
+} from '@material-ui/core';
+import CloudUploadIcon from '@material-ui/icons/CloudUpload';
+import ReportProblemIcon from '@material-ui/icons/ReportProblem';
+import FilterListIcon from '@material-ui/icons/FilterList';
+import ShuffleIcon from '@material-ui/icons/Shuffle';
+import AccountTreeIcon from '@material-ui/icons/AccountTree';
+import CompareArrowsIcon from '@material-ui/icons/CompareArrows';
+import FlashOffIcon from '@material-ui/icons/FlashOff';
+import { getChartOptions, getLabelLevel, DEFAULT_GRAPH_ZOOM, DEFAULT_FORCE_SETTINGS } from '../utils/chartOptions';
+import { getSankeyOptions } from '../utils/sankeyLayout';
+import { getChordOptions, CHORD_SERIES } from '../utils/chordLayout';
+import { getMatrixOptions, getMatrixCellIndices, MATRIX_SERIES, MATRIX_SORTS } from '../utils/matrixLayout';
+import {
+  getEulerOptions,
+  getUpSetOptions,
+  getEulerRegionAt,
+  getRegionOverlay,
+  getRegionApps,
+  getRegionLabel,
+  OVERLAP_SERIES
+} from '../utils/platformOverlap';
+import { validateEntityLists, applyValidation, VALIDATION_MODES } from '../utils/entityValidation';
+import { buildSearchIndex } from '../utils/search';
+import { buildGraphIndex, getNodeDataIndex, getNeighborIds } from '../utils/graphIndex';
+import {
+  countActiveFilters,
+  buildApplicationStats,
+  applyEntityFilters,
+  computeFacetCounts
+} from '../utils/entityFilters';
+import { createRandomSeed } from '../utils/random';
+import { createLayoutCache, getLayoutCacheKey } from '../utils/layoutCache';
+import { getLayoutStageLabel } from '../utils/layoutPipeline';
+import { createLayoutClient } from '../workers/layoutClient';
+import {
+  getNodeKind,
+  getNodeEntityId,
+  getFocusSubset,
+  getOverlaySubset,
+  getVisibleGraph,
+  buildNodeAttributeIndex,
+  buildExportRecords,
+  recordsToCsv,
+  downloadText,
+  getExportFileName,
+  exportChartAsPng,
+  exportChartAsSvg
+} from '../utils/exporters';
+import { serializeGraph, GRAPH_FORMATS } from '../utils/graphSerializers';
+import { buildLineageGraph, traceLineage, getLineageOverlay, getNeighbourApplications } from '../utils/lineage';
+import { analyzePlatformOutage, getImpactOverlay } from '../utils/impactAnalysis';
+import { diffSnapshots, mergeSnapshotLists, getDiffOverlay } from '../utils/snapshotDiff';
+import { getTimelineDomain, getEntityListsAt, applyTimelineToGraph, getActiveGraph, getPlatformTableTotals } from '../utils/timeline';
+import { getNodeDetails } from '../utils/nodeDetails';
+import { getPlatformKey } from '../utils/entityKeys';
+import { bundleGraphEdges } from '../utils/edgeBundling';
+import { getDatasetFingerprint, loadPinnedPositions, savePinnedPositions } from '../utils/pinnedPositions';
+import { parseViewState, serializeViewState } from '../utils/viewState';
+import { createMockProvider } from '../providers';
+import DataImportDialog from './DataImportDialog';
+import DataQualityPanel from './DataQualityPanel';
+import NodeSearch from './NodeSearch';
+import FilterDrawer from './FilterDrawer';
+import ExportMenu from './ExportMenu';
+import LineagePanel from './LineagePanel';
+import ImpactAnalysisPanel from './ImpactAnalysisPanel';
+import SnapshotDiffPanel from './SnapshotDiffPanel';
+import NodeDetailDrawer from './NodeDetailDrawer';
+import AppListPanel from './AppListPanel';
+import ForceControls from './ForceControls';
+import TimelineSlider from './TimelineSlider';
 
 const useStyles = makeStyles((theme) => ({
   graphContainer: {
@@ -22,100 +94,248 @@ const useStyles = makeStyles((theme) => ({
     alignItems: 'center',
     height: '100%',
     width: '100%',
+  },
+  dropOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 1100,
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    border: `3px dashed ${theme.palette.primary.main}`,
+    backgroundColor: 'rgba(255, 255, 255, 0.85)',
+    pointerEvents: 'none',
+    fontSize: 18,
+    color: theme.palette.primary.main,
+  },
+  layoutProgress: {
+    position: 'absolute',
+    left: '50%',
+    bottom: 16,
+    transform: 'translateX(-50%)',
+    zIndex: 1000,
+    width: 280,
+    padding: theme.spacing(1, 2),
+    borderRadius: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    boxShadow: theme.shadows[2],
+  },
+  layoutProgressRaised: {
+    // Above the timeline
+    bottom: 110,
+  },
+  matrixSort: {
+    marginLeft: theme.spacing(2),
+    minWidth: 160,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
   }
 }));
 
-const RelationshipGraph = () => {
+const defaultDataProvider = createMockProvider();
+
+// Graph and Sankey nodes report dataType 'node'; chord arcs and Euler circles/dots come from custom series
+const isNodeEvent = (params) => Boolean(
+  params && params.data && params.data.id
+  && (params.dataType === 'node' || params.seriesName === CHORD_SERIES.platforms || params.seriesName === OVERLAP_SERIES.euler)
+);
+
+// UpSet series whose items are intersections
+const UPSET_INTERSECTION_SERIES = [OVERLAP_SERIES.intersections, OVERLAP_SERIES.intersectionsRest, OVERLAP_SERIES.membership];
+
+// Layouts drawn as an ECharts graph series by getChartOptions; the other views bring their own chart type
+const isGraphChart = (data) => Boolean(data) && (!data.chartType || data.chartType === 'force');
+
+// Layouts that keep their node positions while the timeline fades nodes in and out; the other
+// views are rebuilt from the rows valid at the timeline date
+const POSITIONED_LAYOUTS = ['traditional', 'circular', 'force', 'venn'];
+
+const getGraphChartOptions = (graphData, { overlay, viewport, forceSettings, pinnedPositions, bundleEdges, timelineLists }) => {
+  const data = timelineLists ? applyTimelineToGraph(graphData, timelineLists) : graphData;
+  if (data.chartType === 'force') {
+    return getChartOptions(data, viewport, overlay, { ...forceSettings, pinnedPositions });
+  }
+  // Bundling only adds waypoint nodes after the existing ones, so selection indices stay valid
+  return getChartOptions(bundleEdges ? bundleGraphEdges(data) : data, viewport, overlay);
+};
+
+// Data indices of a node and its neighbours; the first one decides what ECharts blurs
+const getNodeAndNeighborIndices = (graphIndex, nodeId) => {
+  const dataIndex = getNodeDataIndex(graphIndex, nodeId);
+  if (dataIndex === undefined) return undefined;
+  const neighborIndices = Array.from(getNeighborIds(graphIndex, nodeId))
+    .map(id => getNodeDataIndex(graphIndex, id))
+    .filter(index => index !== undefined);
+  return [dataIndex, ...neighborIndices];
+};
+
+// The ref exposes captureView/restoreView for the saved views menu in the app bar
+const RelationshipGraph = ({ dataProvider = defaultDataProvider }, ref) => {
   const classes = useStyles();
-  const [graphData, setGraphData] = useState(null);
-  const [hoveredNode, setHoveredNode] = useState(null);
+  // The view shared in a deep link (layout, filters, selection, search, viewport) is restored on load
+  const initialViewStateRef = useRef(null);
+  if (!initialViewStateRef.current) {
+    initialViewStateRef.current = parseViewState(window.location.search);
+  }
+  const initialViewState = initialViewStateRef.current;
+  const [selectedNode, setSelectedNode] = useState(null);
+  const [pendingSelection, setPendingSelection] = useState(initialViewState.selectedNode); // node to select once its layout is shown
   const [loading, setLoading] = useState(true);
   const [sourceEntityList, setSourceEntityList] = useState([]);
   const [downstreamEntityList, setDownstreamEntityList] = useState([]);
-  const [layoutType, setLayoutType] = useState('traditional'); // 'traditional', 'circular', 'venn'
+  const [layoutType, setLayoutType] = useState(initialViewState.layoutType); // 'traditional', 'circular', 'force', 'venn', 'sankey', 'chord', 'matrix', 'overlap'
   const [chartError, setChartError] = useState(null);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [validationMode, setValidationMode] = useState(VALIDATION_MODES.FIX);
+  const [qualityPanelOpen, setQualityPanelOpen] = useState(false);
+  const [filters, setFilters] = useState(initialViewState.filters);
+  const [filterDrawerOpen, setFilterDrawerOpen] = useState(false);
+  const [layoutSeed, setLayoutSeed] = useState(initialViewState.seed);
+  const [searchQuery, setSearchQuery] = useState(initialViewState.searchQuery);
+  const [currentGraphData, setCurrentGraphData] = useState(null);
+  const [layoutProgress, setLayoutProgress] = useState(null); // { stage, progress } while a layout runs
+  const [traceMode, setTraceMode] = useState(false); // clicking a node traces its lineage
+  const [impactMode, setImpactMode] = useState(false); // the outage simulation panel is open
+  const [impactPlatform, setImpactPlatform] = useState(null); // platform whose outage is simulated
+  const [contextMenu, setContextMenu] = useState(null); // { mouseX, mouseY, nodeId } for a right-clicked platform
+  const [selectedConnection, setSelectedConnection] = useState(null); // chord ribbon whose bridging apps are listed
+  const [selectedRegion, setSelectedRegion] = useState(null); // overlap region / UpSet intersection key
+  const [matrixSort, setMatrixSort] = useState('tables'); // MATRIX_SORTS key for the matrix rows
+  const [forceSettings, setForceSettings] = useState(DEFAULT_FORCE_SETTINGS); // force-directed layout parameters
+  const [pinnedCount, setPinnedCount] = useState(0);
+  const [edgeBundling, setEdgeBundling] = useState(false); // bundle application links in the Venn Network layout
+  const [baseline, setBaseline] = useState(null); // { name, sourceEntityList, downstreamEntityList } compared with the current data
+  const [baselineDialogOpen, setBaselineDialogOpen] = useState(false);
+  const [compareMenuAnchor, setCompareMenuAnchor] = useState(null);
+  const [timelineDate, setTimelineDate] = useState(null); // timeline position (ms) for dated rows, null for the latest date
   const chartRef = useRef(null);
+  const layoutCacheRef = useRef(null);
+  if (!layoutCacheRef.current) {
+    layoutCacheRef.current = createLayoutCache();
+  }
+  const layoutClientRef = useRef(null);
+  if (!layoutClientRef.current) {
+    layoutClientRef.current = createLayoutClient();
+  }
+  // Current zoom/center of the graph; kept in a ref so roaming does not trigger re-renders
+  const viewportRef = useRef(initialViewState.viewport);
+  // Pinned node positions of the force-directed layout ({ id: [x, y] }); pinning is applied to the
+  // running simulation directly, so like the viewport it does not rebuild the option
+  const pinnedPositionsRef = useRef({});
+  const dragStartRef = useRef(null);
+  const isHoveringRef = useRef(false);
+  const historyModeRef = useRef('replace'); // how the next view change is written to the URL
+  const viewportUrlTimerRef = useRef(null);
+  
+  // Validate the raw entity lists, then skip or fix the offending rows before layout
+  const validationReport = useMemo(
+    () => validateEntityLists(sourceEntityList, downstreamEntityList),
+    [sourceEntityList, downstreamEntityList]
+  );
+  const validatedLists = useMemo(
+    () => applyValidation(sourceEntityList, downstreamEntityList, validationReport, validationMode),
+    [sourceEntityList, downstreamEntityList, validationReport, validationMode]
+  );
+  
+  // Compare mode: the baseline snapshot is validated the same way, and the layouts show the current
+  // rows plus the removed ones so that removals can be drawn
+  const validatedBaseline = useMemo(() => {
+    if (!baseline) return null;
+    const report = validateEntityLists(baseline.sourceEntityList, baseline.downstreamEntityList);
+    return applyValidation(baseline.sourceEntityList, baseline.downstreamEntityList, report, validationMode);
+  }, [baseline, validationMode]);
+  const displayedLists = useMemo(
+    () => (validatedBaseline ? mergeSnapshotLists(validatedBaseline, validatedLists) : validatedLists),
+    [validatedBaseline, validatedLists]
+  );
+  
+  // Faceted filters: the filtered lists feed every layout
+  const applicationStats = useMemo(
+    () => buildApplicationStats(displayedLists.sourceEntityList, displayedLists.downstreamEntityList),
+    [displayedLists]
+  );
+  const facetCounts = useMemo(
+    () => computeFacetCounts(displayedLists.sourceEntityList, displayedLists.downstreamEntityList, filters, applicationStats),
+    [displayedLists, filters, applicationStats]
+  );
+  const filteredLists = useMemo(
+    () => applyEntityFilters(displayedLists.sourceEntityList, displayedLists.downstreamEntityList, filters, applicationStats),
+    [displayedLists, filters, applicationStats]
+  );
+  
+  // Timeline: with valid_from/valid_to dates on the rows the view shows the rows valid at one date
+  const timelineDomain = useMemo(
+    () => getTimelineDomain(filteredLists.sourceEntityList, filteredLists.downstreamEntityList),
+    [filteredLists]
+  );
+  const timelineTime = timelineDomain
+    ? Math.min(Math.max(timelineDate === null ? timelineDomain.end : timelineDate, timelineDomain.start), timelineDomain.end)
+    : null;
+  const timelineLists = useMemo(
+    () => (timelineTime !== null ? getEntityListsAt(filteredLists, timelineTime) : null),
+    [filteredLists, timelineTime]
+  );
+  const platformTableTotals = useMemo(
+    () => (timelineLists ? getPlatformTableTotals(timelineLists) : []),
+    [timelineLists]
+  );
+  const layoutLists = useMemo(
+    () => (timelineLists && !POSITIONED_LAYOUTS.includes(layoutType) ? timelineLists : filteredLists),
+    [timelineLists, filteredLists, layoutType]
+  );
+  
+  // Changes between the filtered baseline and the filtered current data, as drawn in the layouts
+  const snapshotDiff = useMemo(() => {
+    if (!validatedBaseline) return null;
+    return diffSnapshots(
+      applyEntityFilters(validatedBaseline.sourceEntityList, validatedBaseline.downstreamEntityList, filters, applicationStats),
+      applyEntityFilters(validatedLists.sourceEntityList, validatedLists.downstreamEntityList, filters, applicationStats)
+    );
+  }, [validatedBaseline, validatedLists, filters, applicationStats]);
+  
+  // Pinned positions are saved per dataset; filters do not change the dataset
+  const datasetFingerprint = useMemo(
+    () => getDatasetFingerprint(validatedLists.sourceEntityList, validatedLists.downstreamEntityList),
+    [validatedLists]
+  );
+  const datasetFingerprintRef = useRef(datasetFingerprint);
+  datasetFingerprintRef.current = datasetFingerprint;
+  
+  useEffect(() => {
+    pinnedPositionsRef.current = loadPinnedPositions(datasetFingerprint);
+    setPinnedCount(Object.keys(pinnedPositionsRef.current).length);
+  }, [datasetFingerprint]);
 
   useEffect(() => {
-    // Generate mock data for the graph
+    // Load entity lists from the data provider; cancel the request if the provider changes or we unmount
+    const controller = new AbortController();
     setLoading(true);
+    setChartError(null);
     
-    // Use setTimeout to prevent UI blocking with large datasets
-    setTimeout(() => {
-      try {
-        console.time('Data generation');
-        
-        // Generate traditional layout data
-        const data = generateMockData();
-        
-        // Generate mock data for the circular layout with more nodes and complex connections
-        const dataPlatforms = ['data warehouse', 'data lake', 'stream processing', 'big data platform', 'data mesh'];
-        
-        // 创建更多的源节点，有些会连接到多个数据平台
-        const mockSourceEntityList = [];
-        
-        // 创建200多个源节点
-        for (let i = 0; i < 250; i++) {
-          // 决定这个源节点连接到几个数据平台 (1-3个)
-          const platformCount = Math.floor(Math.random() * 3) + 1;
-          
-          // 为每个连接创建一个实体
-          for (let j = 0; j < platformCount; j++) {
-            const platformIndex = Math.floor(Math.random() * dataPlatforms.length);
-            mockSourceEntityList.push({
-              unique_key: `source-${i}-platform-${j}`,
-              data_platform: dataPlatforms[platformIndex],
-              source_app_bus_org: 'Business Org ' + (i % 5),
-              source_app_it_dir: 'IT Dir ' + (i % 3),
-              source_application_name: `Source App ${i}`, // 相同名称表示同一个应用连接到多个平台
-              source_data_gbgf: 'GBGF-' + (i % 10),
-              source_eim_id: `EIM-${1000 + i}`,
-              source_table_count: Math.floor(Math.random() * 100) + 1
-            });
-          }
+    console.time('Data loading');
+    dataProvider.load({ signal: controller.signal })
+      .then(({ sourceEntityList: loadedSources, downstreamEntityList: loadedDownstreams }) => {
+        setSourceEntityList(loadedSources || []);
+        setDownstreamEntityList(loadedDownstreams || []);
+        console.timeEnd('Data loading');
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading data:', error);
+        setChartError(error.message || 'Failed to load data');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
         }
-        
-        // 创建下游节点，有些会连接到多个数据平台，有些与源节点同名（既是源也是下游）
-        const mockDownstreamEntityList = [];
-        
-        // 创建300多个下游节点
-        for (let i = 0; i < 350; i++) {
-          // 决定这个下游节点连接到几个数据平台 (1-3个)
-          const platformCount = Math.floor(Math.random() * 3) + 1;
-          
-          // 有20%的概率，这个节点也是一个源节点（使用相同的名称）
-          const isMixed = Math.random() < 0.2;
-          const appName = isMixed ? `Source App ${Math.floor(Math.random() * 100)}` : `Downstream App ${i}`;
-          
-          // 为每个连接创建一个实体
-          for (let j = 0; j < platformCount; j++) {
-            const platformIndex = Math.floor(Math.random() * dataPlatforms.length);
-            mockDownstreamEntityList.push({
-              unique_key: `downstream-${i}-platform-${j}`,
-              data_platform: dataPlatforms[platformIndex],
-              downstream_app_bus_org: 'Business Org ' + (i % 5),
-              downstream_app_it_dir: 'IT Dir ' + (i % 3),
-              downstream_application_abbr: 'DS-' + i,
-              downstream_application_gbgf: 'GBGF-' + (i % 10),
-              downstream_application_name: appName,
-              downstream_eid_id: `EID-${2000 + i}`,
-              share_to_downstream_table_count: Math.floor(Math.random() * 100) + 1
-            });
-          }
-        }
-        
-        setSourceEntityList(mockSourceEntityList);
-        setDownstreamEntityList(mockDownstreamEntityList);
-        setGraphData(data);
-        
-        console.timeEnd('Data generation');
-      } catch (error) {
-        console.error('Error generating data:', error);
-      } finally {
-        setLoading(false);
-      }
-    }, 100);
-  }, []);
+      });
+    
+    return () => controller.abort();
+  }, [dataProvider]);
 
   // Handle window resize
   useEffect(() => {
@@ -135,75 +355,544 @@ const RelationshipGraph = () => {
 
   // Set the layout type
   const setLayout = (type) => {
+    viewportRef.current = null;
     setLayoutType(type);
   };
 
-  // Calculate node size based on type and connections
-  const getNodeSize = (node) => {
-    if (!node) return 10;
-    
-    if (node.type === 'DataPlatform') {
-      return 50; // Increased size for DataPlatform nodes to make them more prominent
+  // Open the import dialog, optionally with a file dropped onto the graph
+  const openImportDialog = (file = null) => {
+    setImportFile(file);
+    setImportDialogOpen(true);
+  };
+
+  const closeImportDialog = () => {
+    setImportDialogOpen(false);
+    setImportFile(null);
+  };
+
+  // Apply imported entity lists; lists missing from the import are left untouched
+  const handleImport = ({ sourceEntityList: importedSources, downstreamEntityList: importedDownstreams, mode }) => {
+    if (importedSources) {
+      setSourceEntityList(current => (mode === 'append' ? [...current, ...importedSources] : importedSources));
     }
-    
-    // Calculate size based on connections with smaller range for better visibility
-    // with large number of nodes
-    const minSize = 8;
-    const maxSize = 25;
-    const connectionCount = node.connectionCount || 1;
-    
-    // Use logarithmic scaling for better distribution with many nodes
-    const logScale = Math.log(connectionCount + 1) / Math.log(1.5);
-    return Math.max(minSize, Math.min(maxSize, minSize + logScale * 2));
+    if (importedDownstreams) {
+      setDownstreamEntityList(current => (mode === 'append' ? [...current, ...importedDownstreams] : importedDownstreams));
+    }
+    closeImportDialog();
+  };
+  
+  // Compare mode: a baseline loaded from a file, or the current data kept as the baseline for data imported later
+  const handleBaselineImport = ({ sourceEntityList: importedSources, downstreamEntityList: importedDownstreams, fileName }) => {
+    setBaseline({ name: fileName, sourceEntityList: importedSources || [], downstreamEntityList: importedDownstreams || [] });
+    setBaselineDialogOpen(false);
+  };
+  
+  const keepCurrentDataAsBaseline = () => {
+    setCompareMenuAnchor(null);
+    setBaseline({ name: `data as of ${new Date().toLocaleString()}`, sourceEntityList, downstreamEntityList });
+  };
+
+  // Drag-and-drop of CSV/JSON files onto the graph
+  const handleDragOver = (event) => {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+    event.preventDefault();
+    setDragActive(true);
   };
 
-  // Get color for node based on type
-  const getNodeColor = (node) => {
-    if (!node || !node.type) return '#999';
+  const handleDragLeave = (event) => {
+    // Ignore leave events fired when moving between child elements
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    const file = event.dataTransfer.files && event.dataTransfer.files[0];
+    if (file) {
+      openImportDialog(file);
+    }
+  };
+
+  // Build the graph data ({ nodes, links }) for the active layout in the layout worker.
+  // Results are cached per dataset, layout type and seed; a run that is superseded
+  // (layout switch, new filters, reshuffle, timeline step) is cancelled. The previous graph stays visible meanwhile.
+  useEffect(() => {
+    const { sourceEntityList: sources, downstreamEntityList: downstreams } = layoutLists;
+    const cacheKey = getLayoutCacheKey(sources, downstreams, layoutType, layoutSeed);
+    const layoutCache = layoutCacheRef.current;
     
-    const colors = {
-      DataPlatform: '#4285F4', // Blue
-      Source: '#34A853',       // Green
-      Downstream: '#EA4335',   // Pink/Red
-      Mixed: '#AA46BC'         // Purple for mixed type (Source + Downstream)
-    };
+    if (layoutCache.has(cacheKey)) {
+      setCurrentGraphData(layoutCache.get(cacheKey));
+      setLayoutProgress(null);
+      return undefined;
+    }
+    
+    setLayoutProgress({ stage: 'parse', progress: 0 });
+    const job = layoutClientRef.current.run(
+      { sourceEntityList: sources, downstreamEntityList: downstreams, layoutType, seed: layoutSeed },
+      { onProgress: setLayoutProgress }
+    );
+    
+    job.promise
+      .then((data) => {
+        layoutCache.set(cacheKey, data);
+        setCurrentGraphData(data);
+        setLayoutProgress(null);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        console.error('Error generating graph data:', error);
+        setCurrentGraphData(null);
+        setLayoutProgress(null);
+      });
     
-    return node.isMixed ? colors.Mixed : colors[node.type] || '#999';
+    return () => job.cancel();
+  }, [layoutLists, layoutType, layoutSeed]);
+  
+  // Stop the layout worker on unmount
+  useEffect(() => {
+    const layoutClient = layoutClientRef.current;
+    return () => layoutClient.terminate();
+  }, []);
+  
+  // Produce a new arrangement of the same data on purpose
+  const reshuffleLayout = () => {
+    viewportRef.current = null;
+    setLayoutSeed(createRandomSeed());
   };
+  
+  // Adjacency lookups for the active layout, built once per layout
+  const graphIndex = useMemo(() => buildGraphIndex(currentGraphData), [currentGraphData]);
+  
+  const selectedGraphNode = useMemo(() => {
+    const dataIndex = getNodeDataIndex(graphIndex, selectedNode);
+    return dataIndex !== undefined ? currentGraphData.nodes[dataIndex] : null;
+  }, [graphIndex, selectedNode, currentGraphData]);
+  // Lineage, details and analyses work on the application/platform behind the node
+  const selectedEntityId = selectedGraphNode ? getNodeEntityId(selectedGraphNode) : null;
+  
+  // Lineage trace: in trace mode the selected node is the root of the trace
+  const lineageGraph = useMemo(
+    () => buildLineageGraph(filteredLists.sourceEntityList, filteredLists.downstreamEntityList),
+    [filteredLists]
+  );
+  const lineageTrace = useMemo(
+    () => (traceMode ? traceLineage(lineageGraph, selectedEntityId) : null),
+    [traceMode, lineageGraph, selectedEntityId]
+  );
+  
+  // Platform outage simulation; only one analysis overlay is shown at a time
+  const impactResult = useMemo(
+    () => (impactMode && impactPlatform ? analyzePlatformOutage(filteredLists, impactPlatform) : null),
+    [impactMode, impactPlatform, filteredLists]
+  );
+  // Platforms offered in the outage panel, by key, named as in the first row that mentions them
+  const outagePlatforms = useMemo(() => {
+    const platforms = new Map();
+    [...filteredLists.sourceEntityList, ...filteredLists.downstreamEntityList].forEach(row => {
+      const id = getPlatformKey(row);
+      if (!platforms.has(id)) platforms.set(id, { id, name: String(row?.data_platform || 'Unknown').trim() });
+    });
+    return Array.from(platforms.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [filteredLists]);
+  const platformNodeIds = useMemo(
+    () => (currentGraphData ? currentGraphData.nodes.filter(node => getNodeKind(node) === 'dataplatform').map(node => node.id) : []),
+    [currentGraphData]
+  );
+  const graphOverlay = useMemo(() => {
+    if (impactResult) return getImpactOverlay(impactResult, platformNodeIds);
+    if (lineageTrace) return getLineageOverlay(lineageTrace);
+    if (selectedRegion) return getRegionOverlay(currentGraphData, selectedRegion);
+    return getDiffOverlay(snapshotDiff);
+  }, [impactResult, platformNodeIds, lineageTrace, currentGraphData, selectedRegion, snapshotDiff]);
 
-  // Get options for the chart using the utility function
-  const getOption = () => {
+  const bundleEdges = edgeBundling && layoutType === 'venn';
+  // Like the viewport, the timeline date is applied to graph layouts without rebuilding the option
+  const timelineListsRef = useRef(timelineLists);
+  timelineListsRef.current = timelineLists;
+  
+  // Options only change with the data or an analysis overlay; hover and selection are applied as highlight actions
+  const chartOption = useMemo(() => {
     try {
-      if (!graphData && !sourceEntityList.length) return {};
-      
-      switch (layoutType) {
-        case 'circular':
-          // For the circular layout
-          const circularData = getMainGraphData(sourceEntityList, downstreamEntityList, defaultColorMap);
-          return getChartOptions(circularData, hoveredNode);
-        
-        case 'venn':
-          // For the Venn Network layout
-          const vennData = getVennNetworkLayout(sourceEntityList, downstreamEntityList, defaultColorMap);
-          return getChartOptions(vennData, hoveredNode);
-          
-        case 'traditional':
+      if (!currentGraphData) return {};
+      switch (currentGraphData.chartType) {
+        case 'sankey':
+          return getSankeyOptions(currentGraphData, graphOverlay);
+        case 'chord':
+          return getChordOptions(currentGraphData, graphOverlay);
+        case 'matrix':
+          return getMatrixOptions(currentGraphData, { sortBy: matrixSort }, graphOverlay);
+        case 'euler':
+          return getEulerOptions(currentGraphData, graphOverlay);
+        case 'upset':
+          return getUpSetOptions(currentGraphData, graphOverlay);
         default:
-          // For the traditional layout
-          return getChartOptions(graphData, hoveredNode);
+          return getGraphChartOptions(currentGraphData, {
+            overlay: graphOverlay,
+            viewport: viewportRef.current,
+            forceSettings,
+            pinnedPositions: pinnedPositionsRef.current,
+            bundleEdges,
+            timelineLists: timelineListsRef.current,
+          });
       }
     } catch (error) {
       console.error('Error generating chart options:', error);
       return {}; // Return empty options on error
     }
+  }, [currentGraphData, graphOverlay, matrixSort, forceSettings, bundleEdges]);
+  
+  // Event handlers read the latest selection and index through refs so they never change identity
+  // (echarts-for-react re-initialises the chart whenever onEvents changes)
+  const selectedNodeRef = useRef(selectedNode);
+  const graphIndexRef = useRef(graphIndex);
+  const overlayRef = useRef(graphOverlay);
+  const graphDataRef = useRef(currentGraphData);
+  const graphSettingsRef = useRef({ forceSettings, bundleEdges });
+  selectedNodeRef.current = selectedNode;
+  graphIndexRef.current = graphIndex;
+  overlayRef.current = graphOverlay;
+  graphDataRef.current = currentGraphData;
+  graphSettingsRef.current = { forceSettings, bundleEdges };
+  
+  // Re-apply the node and link data of a graph layout after a change kept out of the option (pins,
+  // label level, timeline date). Merging only the data keeps the viewport and the current positions
+  // of the force simulation; a rebuilt option would restart it from the precomputed layout.
+  const refreshGraphData = useCallback(() => {
+    try {
+      const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+      if (!chartInstance || !isGraphChart(graphDataRef.current)) return;
+      const option = getGraphChartOptions(graphDataRef.current, {
+        ...graphSettingsRef.current,
+        overlay: overlayRef.current,
+        viewport: viewportRef.current,
+        pinnedPositions: pinnedPositionsRef.current,
+        timelineLists: timelineListsRef.current,
+      });
+      chartInstance.setOption({ series: [{ data: option.series[0].data, links: option.series[0].links }] });
+    } catch (error) {
+      console.error('Error refreshing graph data:', error);
+    }
+  }, []);
+  
+  // Save new pinned positions and apply them to the force simulation
+  const updatePinnedPositions = useCallback((positions) => {
+    pinnedPositionsRef.current = positions;
+    savePinnedPositions(datasetFingerprintRef.current, positions);
+    setPinnedCount(Object.keys(positions).length);
+    if (graphDataRef.current && graphDataRef.current.chartType === 'force') {
+      refreshGraphData();
+    }
+  }, [refreshGraphData]);
+  
+  // Highlight the selected node and its neighbours, blurring the rest of the graph.
+  // While an overlay (e.g. a lineage trace) is shown it already marks the nodes of interest.
+  const applySelectionHighlight = useCallback(() => {
+    try {
+      const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+      if (!chartInstance) return;
+      
+      // Graph nodes highlight their neighbours too, so those keep their labels. In the matrix the
+      // series items are cells, so a node highlights its whole row or column; UpSet items are
+      // intersections, which nodes do not map to
+      const chartType = graphDataRef.current ? graphDataRef.current.chartType : null;
+      let dataIndex;
+      if (isGraphChart(graphDataRef.current)) {
+        dataIndex = getNodeAndNeighborIndices(graphIndexRef.current, selectedNodeRef.current);
+      } else if (chartType === 'matrix') {
+        dataIndex = getMatrixCellIndices(graphIndexRef.current, selectedNodeRef.current);
+      } else if (chartType !== 'upset') {
+        dataIndex = getNodeDataIndex(graphIndexRef.current, selectedNodeRef.current);
+      }
+      chartInstance.dispatchAction({ type: 'downplay', seriesIndex: 0 });
+      if (dataIndex !== undefined && !overlayRef.current) {
+        chartInstance.dispatchAction({ type: 'highlight', seriesIndex: 0, dataIndex });
+      }
+    } catch (error) {
+      console.error('Error applying selection highlight:', error);
+    }
+  }, []);
+  
+  useEffect(() => {
+    applySelectionHighlight();
+  }, [selectedNode, chartOption, applySelectionHighlight]);
+  
+  // Moving the timeline fades nodes and links of graph layouts in and out where they are
+  useEffect(() => {
+    if (!isGraphChart(graphDataRef.current)) return;
+    refreshGraphData();
+    applySelectionHighlight();
+  }, [timelineLists, refreshGraphData, applySelectionHighlight]);
+  
+  // A listed chord ribbon or overlap region belongs to the layout it was clicked in
+  useEffect(() => {
+    setSelectedConnection(null);
+    setSelectedRegion(null);
+  }, [currentGraphData]);
+  
+  // A node from a deep link (or browser history) is selected once the layout it belongs to is shown
+  useEffect(() => {
+    if (!pendingSelection || loading || !currentGraphData) return;
+    // The layout shown must be the one for the current data, layout and seed, not the previous one
+    const layoutCache = layoutCacheRef.current;
+    const cacheKey = getLayoutCacheKey(layoutLists.sourceEntityList, layoutLists.downstreamEntityList, layoutType, layoutSeed);
+    if (!layoutCache.has(cacheKey) || layoutCache.get(cacheKey) !== currentGraphData) return;
+    if (getNodeDataIndex(graphIndex, pendingSelection) !== undefined) {
+      setSelectedNode(pendingSelection);
+    } else {
+      // Not in this data: correct the URL without adding a history entry
+      historyModeRef.current = 'replace';
+    }
+    setPendingSelection(null);
+  }, [pendingSelection, loading, graphIndex, currentGraphData, layoutLists, layoutType, layoutSeed]);
+  
+  // Drop a selection that no longer exists in the current layout
+  useEffect(() => {
+    if (selectedNode && getNodeDataIndex(graphIndex, selectedNode) === undefined) {
+      setSelectedNode(null);
+    }
+  }, [graphIndex, selectedNode]);
+  
+  // Deep links: the URL mirrors the view. Layout, seed, selection and filter changes add a history
+  // entry so back/forward step through them; typing a search or roaming only updates the current one.
+  const viewStateRef = useRef(null);
+  viewStateRef.current = { layoutType, seed: layoutSeed, selectedNode: selectedNode || pendingSelection, filters, searchQuery };
+  
+  const updateUrl = useCallback((mode) => {
+    try {
+      const query = serializeViewState({ ...viewStateRef.current, viewport: viewportRef.current });
+      const search = query ? `?${query}` : '';
+      if (search === window.location.search) return;
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (mode === 'push') {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    } catch (error) {
+      console.error('Error updating the URL:', error);
+    }
+  }, []);
+  
+  useEffect(() => {
+    updateUrl(historyModeRef.current);
+    historyModeRef.current = 'push';
+  }, [layoutType, layoutSeed, selectedNode, pendingSelection, filters, updateUrl]);
+  
+  useEffect(() => {
+    updateUrl('replace');
+  }, [searchQuery, updateUrl]);
+  
+  // Show a parsed view state (from browser history or a saved view) without adding a history entry
+  const restoreViewState = useCallback((viewState) => {
+    const isSameLayout = viewState.layoutType === viewStateRef.current.layoutType && viewState.seed === viewStateRef.current.seed;
+    viewportRef.current = viewState.viewport;
+    // Outside React event handlers updates are not batched in React 17; restore the view in one render
+    unstable_batchedUpdates(() => {
+      setLayoutType(viewState.layoutType);
+      setLayoutSeed(viewState.seed);
+      setFilters(viewState.filters);
+      setSearchQuery(viewState.searchQuery);
+      setSelectedNode(null);
+      setPendingSelection(viewState.selectedNode);
+    });
+  
+    // A new layout picks the viewport up from viewportRef; the current one is moved directly
+    if (!isSameLayout || !isGraphChart(graphDataRef.current)) return;
+    try {
+      const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+      if (chartInstance) {
+        chartInstance.setOption({ series: [viewState.viewport || { center: null, zoom: DEFAULT_GRAPH_ZOOM }] });
+        refreshGraphData();
+      }
+    } catch (error) {
+      console.error('Error restoring the viewport:', error);
+    }
+  }, [refreshGraphData]);
+  
+  // Browser back/forward restores the view recorded in the URL
+  useEffect(() => {
+    const handlePopState = () => restoreViewState(parseViewState(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [restoreViewState]);
+  
+  // Saved views: a view is its deep-link query plus the pinned positions of the force-directed layout.
+  // Restoring one navigates to its link, so back returns to the view before it.
+  useImperativeHandle(ref, () => ({
+    captureView: () => ({
+      query: serializeViewState({ ...viewStateRef.current, viewport: viewportRef.current }),
+      pinnedPositions: { ...pinnedPositionsRef.current },
+    }),
+    restoreView: ({ query, pinnedPositions }) => {
+      const search = query ? `?${query}` : '';
+      if (search !== window.location.search) {
+        window.history.pushState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+      }
+      updatePinnedPositions(pinnedPositions || {});
+      restoreViewState(parseViewState(search));
+    },
+  }), [restoreViewState, updatePinnedPositions]);
+  
+  useEffect(() => () => clearTimeout(viewportUrlTimerRef.current), []);
+  
+  // Entity rows behind the selected node, for the detail drawer
+  const nodeDetails = useMemo(() => (
+    selectedGraphNode
+      ? getNodeDetails(getNodeEntityId(selectedGraphNode), getNodeKind(selectedGraphNode), filteredLists.sourceEntityList, filteredLists.downstreamEntityList)
+      : null
+  ), [selectedGraphNode, filteredLists]);
+  const neighbourApps = useMemo(
+    () => (nodeDetails && nodeDetails.kind === 'application' ? getNeighbourApplications(lineageGraph, nodeDetails.id) : null),
+    [nodeDetails, lineageGraph]
+  );
+  
+  // Applications listed in the side panel: the bridging apps of a chord ribbon or the apps of an overlap region
+  const appList = useMemo(() => {
+    if (selectedConnection) {
+      return {
+        title: 'Bridging Applications',
+        subtitle: `${selectedConnection.source} ↔ ${selectedConnection.target}`,
+        apps: selectedConnection.sharedApps.map(name => ({ id: name, name })),
+      };
+    }
+    if (selectedRegion) {
+      return {
+        title: 'Platform Overlap',
+        subtitle: getRegionLabel(selectedRegion),
+        apps: getRegionApps(currentGraphData, selectedRegion),
+      };
+    }
+    return null;
+  }, [selectedConnection, selectedRegion, currentGraphData]);
+  
+  // Graph layouts keep the nodes the timeline fades out; search and export only see the ones
+  // that exist at the timeline date. Node and link indices match currentGraphData.
+  const timelineGraphData = useMemo(
+    () => (timelineLists && isGraphChart(currentGraphData) ? applyTimelineToGraph(currentGraphData, timelineLists) : currentGraphData),
+    [currentGraphData, timelineLists]
+  );
+  const searchIndex = useMemo(() => {
+    const { sourceEntityList, downstreamEntityList } = timelineLists || filteredLists;
+    return buildSearchIndex(
+      timelineGraphData ? getActiveGraph(timelineGraphData).nodes : [],
+      sourceEntityList,
+      downstreamEntityList
+    );
+  }, [timelineGraphData, timelineLists, filteredLists]);
+  
+  // Center the viewport on a node and zoom in; returns the node, or null if it is not in the layout
+  const centerOnNode = (nodeId) => {
+    const dataIndex = getNodeDataIndex(graphIndex, nodeId);
+    const node = dataIndex !== undefined ? currentGraphData.nodes[dataIndex] : null;
+    if (!node) return null;
+    
+    if (node.x !== undefined && node.y !== undefined) {
+      const currentZoom = viewportRef.current ? viewportRef.current.zoom : DEFAULT_GRAPH_ZOOM;
+      viewportRef.current = { center: [node.x, node.y], zoom: Math.max(currentZoom, 2.5) };
+
+      // Apply immediately as well, in case the selection itself does not change
+      try {
+        const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+        if (chartInstance) {
+          chartInstance.setOption({ series: [viewportRef.current] });
+        }
+        if (getLabelLevel(viewportRef.current.zoom) !== getLabelLevel(currentZoom)) {
+          refreshGraphData();
+        }
+      } catch (error) {
+        console.error('Error centering on node:', error);
+      }
+    }
+    return node;
+  };
+  
+  // Select a search result and center the viewport on its node
+  const handleSearchSelect = (result) => {
+    const node = centerOnNode(result.id);
+    if (node) {
+      setSelectedNode(node.id);
+    }
+  };
+  
+  // Leave the region list for the application's own details
+  const selectRegionApp = (appId) => {
+    setSelectedRegion(null);
+    setSelectedNode(appId);
+  };
+  
+  const toggleTraceMode = () => {
+    setImpactMode(false);
+    setImpactPlatform(null);
+    setTraceMode(enabled => !enabled);
+  };
+  
+  const toggleImpactMode = () => {
+    setTraceMode(false);
+    setImpactPlatform(null);
+    setImpactMode(enabled => !enabled);
+  };
+  
+  const simulateOutage = (platformId) => {
+    setContextMenu(null);
+    setTraceMode(false);
+    setImpactMode(true);
+    setImpactPlatform(platformId);
   };
 
-  // Safe event handlers for chart interactions
-  const onChartEvents = {
+  // Export the current view: images from the chart, data from the visible (filtered and focused) graph
+  const handleExport = (format) => {
+    try {
+      const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+      const focus = graphOverlay
+        ? getOverlaySubset(timelineGraphData, graphOverlay)
+        : getFocusSubset(timelineGraphData, graphIndex, selectedNode);
+      
+      switch (format) {
+        case 'png':
+          if (chartInstance) exportChartAsPng(chartInstance, getExportFileName(layoutType, 'png'));
+          break;
+        case 'svg':
+          if (chartInstance) exportChartAsSvg(chartInstance, getExportFileName(layoutType, 'svg'), { focus });
+          break;
+        default: {
+          const { sourceEntityList, downstreamEntityList } = timelineLists || filteredLists;
+          const attributeIndex = buildNodeAttributeIndex(sourceEntityList, downstreamEntityList);
+          const visibleGraph = getActiveGraph(getVisibleGraph(timelineGraphData, focus));
+          if (GRAPH_FORMATS[format]) {
+            const { extension, mimeType } = GRAPH_FORMATS[format];
+            downloadText(serializeGraph(format, visibleGraph, { attributeIndex }), getExportFileName(layoutType, extension), mimeType);
+            break;
+          }
+          
+          const records = buildExportRecords(visibleGraph, attributeIndex);
+          if (format === 'nodes-csv') {
+            downloadText(recordsToCsv(records.nodes), getExportFileName(layoutType, 'csv', 'nodes'), 'text/csv');
+          } else if (format === 'links-csv') {
+            downloadText(recordsToCsv(records.links), getExportFileName(layoutType, 'csv', 'links'), 'text/csv');
+          } else if (format === 'json') {
+            downloadText(JSON.stringify(records, null, 2), getExportFileName(layoutType, 'json'), 'application/json');
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error exporting view:', error);
+    }
+  };
+  
+  // Safe event handlers for chart interactions.
+  // Hover highlighting is handled by ECharts itself (emphasis focus: 'adjacency').
+  const onChartEvents = useMemo(() => ({
     'mouseover': (params) => {
       try {
-        if (params && params.data && params.dataType === 'node' && params.data.id) {
-          setHoveredNode(params.data.id);
+        isHoveringRef.current = true;
+        // ECharts only emphasises the hovered node; its neighbours are highlighted too so they show their labels
+        if (!isGraphChart(graphDataRef.current) || overlayRef.current || params.dataType !== 'node' || !params.data) return;
+        const dataIndex = getNodeAndNeighborIndices(graphIndexRef.current, params.data.id);
+        const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+        if (chartInstance && dataIndex) {
+          chartInstance.dispatchAction({ type: 'highlight', seriesIndex: 0, dataIndex });
         }
       } catch (error) {
         console.error('Error in mouseover event:', error);
@@ -211,164 +900,282 @@ const RelationshipGraph = () => {
     },
     'mouseout': () => {
       try {
-        setHoveredNode(null);
+        // Leaving a node downplays what the hover highlighted; restore the selection afterwards,
+        // unless the pointer moved straight onto another element
+        isHoveringRef.current = false;
+        setTimeout(() => {
+          if (!isHoveringRef.current) applySelectionHighlight();
+        }, 0);
       } catch (error) {
         console.error('Error in mouseout event:', error);
       }
     },
     'click': (params) => {
       try {
-        if (params && params.data && params.dataType === 'node' && params.data.id) {
-          // Toggle hover state on click for mobile devices
-          setHoveredNode(hoveredNode === params.data.id ? null : params.data.id);
+        if (params && params.seriesName === CHORD_SERIES.connections) {
+          // A chord ribbon lists the applications bridging its two platforms
+          setSelectedNode(null);
+          setSelectedConnection(params.data);
+          return;
+        }
+        setSelectedConnection(null);
+        
+        // Overlap view: a click inside the circles, or on an UpSet column, selects a region
+        let regionKey = null;
+        if (params && params.seriesName === OVERLAP_SERIES.euler && getNodeKind(params.data) === 'dataplatform') {
+          const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+          if (chartInstance && params.event) {
+            regionKey = getEulerRegionAt(
+              graphDataRef.current, chartInstance.getWidth(), chartInstance.getHeight(), params.event.offsetX, params.event.offsetY
+            );
+          }
+        } else if (params && UPSET_INTERSECTION_SERIES.includes(params.seriesName) && params.data) {
+          regionKey = params.data.key;
+        }
+        setSelectedRegion(current => (regionKey && current !== regionKey ? regionKey : null));
+        if (regionKey) {
+          setSelectedNode(null);
+          return;
+        }
+        
+        if (params && params.seriesName === MATRIX_SERIES && params.data) {
+          // A matrix cell selects its application, which stays selected in the other views
+          const appId = params.data.source;
+          setSelectedNode(current => (current === appId ? null : appId));
+        } else if (isNodeEvent(params)) {
+          // Toggle selection on click (also gives mobile devices a way to highlight)
+          const nodeId = params.data.id;
+          setSelectedNode(current => (current === nodeId ? null : nodeId));
         } else {
           // Clicking on empty space clears the selection
-          setHoveredNode(null);
+          setSelectedNode(null);
         }
       } catch (error) {
         console.error('Error in click event:', error);
       }
-    }
-  };
-  
-  // Initialize chart with safer approach
-  const initializeChart = () => {
-    if (!chartRef.current) return;
-    
-    try {
-      const chartInstance = chartRef.current.getEchartsInstance();
-      if (!chartInstance) return;
-      
-      // Clear any previous handlers
-      chartInstance.off('mouseover');
-      chartInstance.off('mouseout');
-      chartInstance.off('click');
-    } catch (error) {
-      console.error('Error clearing chart events:', error);
-    }
-  };
-  
-  // 已经使用 setLayout 函数替代了 toggleLayout
-
-  // Ensure chart is properly initialized before rendering
-  useEffect(() => {
-    // When chart ref and data are available, ensure the chart is properly initialized
-    if (chartRef.current && graphData && !loading) {
+    },
+    'mousedown': (params) => {
       try {
-        const chartInstance = chartRef.current.getEchartsInstance();
-        if (chartInstance) {
-          // Use a stable version of the options to avoid infinite re-renders
-          const options = {
-            tooltip: {
-              trigger: 'item',
-              formatter: (params) => {
-                try {
-                  if (params && params.dataType === 'node' && params.data) {
-                    const data = params.data;
-                    return `
-                      <div>
-                        <strong>${data.label}</strong><br/>
-                        Type: ${data.isMixed ? 'Source & Downstream' : data.type}<br/>
-                        Connections: ${data.connectionCount || 0}
-                      </div>
-                    `;
-                  }
-                } catch (error) {
-                  console.error('Error in tooltip formatter:', error);
-                }
-                return '';
-              }
-            },
-            animation: true,
-            animationDuration: 1000,
-            animationEasingUpdate: 'quinticInOut',
-            series: [{
-              type: 'graph',
-              layout: 'none',
-              data: graphData.nodes.map(node => ({
-                ...node,
-                symbolSize: getNodeSize(node),
-                itemStyle: {
-                  color: getNodeColor(node),
-                  borderWidth: hoveredNode === node.id ? 3 : 1,
-                  borderColor: hoveredNode === node.id ? '#FFD700' : 'rgba(255, 255, 255, 0.5)',
-                  opacity: hoveredNode ? (
-                    hoveredNode === node.id || 
-                    graphData.links.some(link => 
-                      (typeof link.source === 'object' ? link.source.id : link.source) === hoveredNode && 
-                      (typeof link.target === 'object' ? link.target.id : link.target) === node.id || 
-                      (typeof link.target === 'object' ? link.target.id : link.target) === hoveredNode && 
-                      (typeof link.source === 'object' ? link.source.id : link.source) === node.id
-                    ) ? 1 : 0.3
-                  ) : 1
-                },
-                label: {
-                  show: true,
-                  position: 'right',
-                  formatter: node.label,
-                  fontSize: 12,
-                  color: '#333'
-                }
-              })),
-              links: graphData.links.map(link => ({
-                ...link,
-                lineStyle: {
-                  color: 'rgba(128, 128, 128, 0.3)',
-                  width: hoveredNode ? (
-                    (typeof link.source === 'object' ? link.source.id : link.source) === hoveredNode || 
-                    (typeof link.target === 'object' ? link.target.id : link.target) === hoveredNode ? 3 : 1
-                  ) : 1,
-                  opacity: hoveredNode ? (
-                    (typeof link.source === 'object' ? link.source.id : link.source) === hoveredNode || 
-                    (typeof link.target === 'object' ? link.target.id : link.target) === hoveredNode ? 1 : 0.1
-                  ) : 0.3,
-                  curveness: 0.3
-                }
-              })),
-              roam: true,
-              draggable: true,
-              focusNodeAdjacency: false, // Disable built-in adjacency highlighting to avoid errors
-              lineStyle: {
-                color: 'source',
-                curveness: 0.3
-              },
-              emphasis: {
-                focus: 'adjacency',
-                lineStyle: {
-                  width: 3
-                }
-              },
-              edgeSymbol: ['none', 'arrow'],
-              edgeSymbolSize: 8
-            }]
-          };
-          
-          // Clear any previous options first
-          chartInstance.clear();
-          // Set new options
-          chartInstance.setOption(options, true);
-          
-          // Force a resize to ensure proper rendering
-          setTimeout(() => {
-            try {
-              if (chartInstance) {
-                chartInstance.resize();
-              }
-            } catch (error) {
-              console.error('Error in resize:', error);
-            }
-          }, 200);
+        // Remember where a node drag in the force-directed layout started
+        const isForceNode = graphDataRef.current && graphDataRef.current.chartType === 'force' && isNodeEvent(params);
+        dragStartRef.current = isForceNode && params.event
+          ? { nodeId: params.data.id, x: params.event.offsetX, y: params.event.offsetY }
+          : null;
+      } catch (error) {
+        console.error('Error in mousedown event:', error);
+      }
+    },
+    'mouseup': (params) => {
+      try {
+        // A node dropped after dragging is pinned where it was released
+        const dragStart = dragStartRef.current;
+        dragStartRef.current = null;
+        if (!dragStart || !isNodeEvent(params) || params.data.id !== dragStart.nodeId || !params.event) return;
+        const { offsetX, offsetY } = params.event;
+        if (Math.hypot(offsetX - dragStart.x, offsetY - dragStart.y) < 4) return;
+        
+        const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+        const position = chartInstance && chartInstance.convertFromPixel({ seriesIndex: 0 }, [offsetX, offsetY]);
+        if (position && position.every(Number.isFinite)) {
+          updatePinnedPositions({ ...pinnedPositionsRef.current, [dragStart.nodeId]: position });
+        }
+      } catch (error) {
+        console.error('Error in mouseup event:', error);
+      }
+    },
+    'dblclick': (params) => {
+      try {
+        // Double-clicking a pinned node releases it into the simulation
+        if (!isNodeEvent(params) || !pinnedPositionsRef.current[params.data.id]) return;
+        const { [params.data.id]: released, ...positions } = pinnedPositionsRef.current;
+        updatePinnedPositions(positions);
+      } catch (error) {
+        console.error('Error in dblclick event:', error);
+      }
+    },
+    'contextmenu': (params) => {
+      try {
+        // Right-clicking a data platform offers the outage simulation
+        if (isNodeEvent(params) && getNodeKind(params.data) === 'dataplatform') {
+          const nativeEvent = params.event && params.event.event;
+          if (!nativeEvent) return;
+          nativeEvent.preventDefault();
+          setContextMenu({ mouseX: nativeEvent.clientX, mouseY: nativeEvent.clientY, nodeId: params.data.id });
+        }
+      } catch (error) {
+        console.error('Error in contextmenu event:', error);
+      }
+    },
+    'graphroam': () => {
+      try {
+        // Remember the user's zoom/pan so re-renders do not reset the viewport
+        const chartInstance = chartRef.current && chartRef.current.getEchartsInstance();
+        const series = chartInstance && chartInstance.getOption().series[0];
+        if (series) {
+          const previousZoom = viewportRef.current ? viewportRef.current.zoom : undefined;
+          viewportRef.current = { center: series.center, zoom: series.zoom };
+          // More labels fit as the user zooms in; relabel when the zoom crosses a label level
+          if (getLabelLevel(series.zoom) !== getLabelLevel(previousZoom)) {
+            refreshGraphData();
+          }
+          // Roaming fires continuously; write the viewport to the URL once it settles
+          clearTimeout(viewportUrlTimerRef.current);
+          viewportUrlTimerRef.current = setTimeout(() => updateUrl('replace'), 300);
         }
       } catch (error) {
-        console.error('Error initializing chart:', error);
+        console.error('Error in graphroam event:', error);
       }
     }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [graphData, loading]);
+  }), [applySelectionHighlight, updatePinnedPositions, refreshGraphData, updateUrl]);
+  
+  // 已经使用 setLayout 函数替代了 toggleLayout
 
   return (
-    <Paper className={classes.graphContainer} elevation={3}>
-      <Box position="absolute" top={10} right={10} zIndex={1000}>
+    <Paper
+      className={classes.graphContainer}
+      elevation={3}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <Box position="absolute" top={10} left={10} zIndex={1000} display="flex" alignItems="center">
+        <Badge badgeContent={countActiveFilters(filters)} color="secondary">
+          <Button
+            variant="contained"
+            color="default"
+            startIcon={<FilterListIcon />}
+            onClick={() => setFilterDrawerOpen(open => !open)}
+          >
+            Filters
+          </Button>
+        </Badge>
+        <Tooltip title="Click a node to trace its full upstream and downstream lineage">
+          <Button
+            variant="contained"
+            color={traceMode ? 'primary' : 'default'}
+            startIcon={<AccountTreeIcon />}
+            onClick={toggleTraceMode}
+            style={{ marginLeft: 16 }}
+          >
+            Trace lineage
+          </Button>
+        </Tooltip>
+        <Tooltip title="Simulate the outage of a data platform">
+          <Button
+            variant="contained"
+            color={impactMode ? 'primary' : 'default'}
+            startIcon={<FlashOffIcon />}
+            onClick={toggleImpactMode}
+            style={{ marginLeft: 16 }}
+          >
+            Outage
+          </Button>
+        </Tooltip>
+        <Tooltip title="Compare the data with an earlier snapshot">
+          <Button
+            variant="contained"
+            color={baseline ? 'primary' : 'default'}
+            startIcon={<CompareArrowsIcon />}
+            onClick={(event) => setCompareMenuAnchor(event.currentTarget)}
+            style={{ marginLeft: 16 }}
+          >
+            Compare
+          </Button>
+        </Tooltip>
+        <Menu
+          anchorEl={compareMenuAnchor}
+          open={Boolean(compareMenuAnchor)}
+          onClose={() => setCompareMenuAnchor(null)}
+          getContentAnchorEl={null}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+        >
+          <MenuItem
+            onClick={() => {
+              setCompareMenuAnchor(null);
+              setBaselineDialogOpen(true);
+            }}
+          >
+            Load baseline from file…
+          </MenuItem>
+          <MenuItem onClick={keepCurrentDataAsBaseline} disabled={loading}>
+            Use current data as baseline
+          </MenuItem>
+          <MenuItem
+            onClick={() => {
+              setCompareMenuAnchor(null);
+              setBaseline(null);
+            }}
+            disabled={!baseline}
+          >
+            Exit compare mode
+          </MenuItem>
+        </Menu>
+        {layoutType === 'venn' && (
+          <Tooltip title="Route application links along shared paths per platform and business org">
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={edgeBundling}
+                  onChange={(event) => setEdgeBundling(event.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Bundle edges"
+              style={{ marginLeft: 16, paddingRight: 8, borderRadius: 4, backgroundColor: 'rgba(255, 255, 255, 0.9)' }}
+            />
+          </Tooltip>
+        )}
+        {layoutType === 'matrix' && (
+          <FormControl variant="outlined" size="small" className={classes.matrixSort}>
+            <InputLabel>Sort rows by</InputLabel>
+            <Select
+              value={matrixSort}
+              onChange={(event) => setMatrixSort(event.target.value)}
+              label="Sort rows by"
+            >
+              {MATRIX_SORTS.map(sort => (
+                <MenuItem key={sort.key} value={sort.key}>{sort.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+      
+      <FilterDrawer
+        open={filterDrawerOpen}
+        onClose={() => setFilterDrawerOpen(false)}
+        filters={filters}
+        counts={facetCounts}
+        onChange={setFilters}
+      />
+      
+      <Box position="absolute" top={10} right={10} zIndex={1000} display="flex" alignItems="center">
+        <Button
+          variant="contained"
+          color="default"
+          startIcon={<CloudUploadIcon />}
+          onClick={() => openImportDialog()}
+          style={{ marginRight: 8 }}
+        >
+          Import
+        </Button>
+        <Badge
+          badgeContent={validationReport.summary.errorCount + validationReport.summary.warningCount}
+          color={validationReport.summary.errorCount ? 'error' : 'primary'}
+          max={999}
+          style={{ marginRight: 16 }}
+        >
+          <Button
+            variant="contained"
+            color="default"
+            startIcon={<ReportProblemIcon />}
+            onClick={() => setQualityPanelOpen(true)}
+          >
+            Data Quality
+          </Button>
+        </Badge>
+        <ExportMenu onExport={handleExport} disabled={!currentGraphData} />
+        <NodeSearch index={searchIndex} query={searchQuery} onQueryChange={setSearchQuery} onSelect={handleSearchSelect} />
         <ButtonGroup variant="contained" color="primary">
           <Button 
             onClick={() => setLayout('traditional')}
@@ -384,6 +1191,13 @@ const RelationshipGraph = () => {
           >
             Circular
           </Button>
+          <Button 
+            onClick={() => setLayout('force')}
+            variant={layoutType === 'force' ? 'contained' : 'outlined'}
+            color={layoutType === 'force' ? 'primary' : 'default'}
+          >
+            Force
+          </Button>
           <Button 
             onClick={() => setLayout('venn')}
             variant={layoutType === 'venn' ? 'contained' : 'outlined'}
@@ -391,7 +1205,40 @@ const RelationshipGraph = () => {
           >
             Venn Network
           </Button>
+          <Button 
+            onClick={() => setLayout('sankey')}
+            variant={layoutType === 'sankey' ? 'contained' : 'outlined'}
+            color={layoutType === 'sankey' ? 'primary' : 'default'}
+          >
+            Sankey
+          </Button>
+          <Button 
+            onClick={() => setLayout('chord')}
+            variant={layoutType === 'chord' ? 'contained' : 'outlined'}
+            color={layoutType === 'chord' ? 'primary' : 'default'}
+          >
+            Platform Chord
+          </Button>
+          <Button 
+            onClick={() => setLayout('matrix')}
+            variant={layoutType === 'matrix' ? 'contained' : 'outlined'}
+            color={layoutType === 'matrix' ? 'primary' : 'default'}
+          >
+            Matrix
+          </Button>
+          <Button 
+            onClick={() => setLayout('overlap')}
+            variant={layoutType === 'overlap' ? 'contained' : 'outlined'}
+            color={layoutType === 'overlap' ? 'primary' : 'default'}
+          >
+            Platform Overlap
+          </Button>
         </ButtonGroup>
+        <Tooltip title={`Reshuffle layout (seed ${layoutSeed})`}>
+          <IconButton onClick={reshuffleLayout} style={{ marginLeft: 4, backgroundColor: 'rgba(255, 255, 255, 0.8)' }}>
+            <ShuffleIcon />
+          </IconButton>
+        </Tooltip>
       </Box>
       
       {loading ? (
@@ -413,7 +1260,7 @@ const RelationshipGraph = () => {
       ) : (
         <ReactECharts
           ref={chartRef}
-          option={getOption()}
+          option={chartOption}
           style={{ height: '100%', width: '100%' }}
           onEvents={onChartEvents}
           notMerge={true}
@@ -421,8 +1268,123 @@ const RelationshipGraph = () => {
           opts={{ renderer: 'canvas' }}
         />
       )}
+      
+      {layoutProgress && !loading && (
+        <Box className={`${classes.layoutProgress} ${timelineDomain ? classes.layoutProgressRaised : ''}`}>
+          <Typography variant="caption" color="textSecondary">
+            {getLayoutStageLabel(layoutProgress.stage)}…
+          </Typography>
+          <LinearProgress variant="determinate" value={Math.round(layoutProgress.progress * 100)} />
+        </Box>
+      )}
+      
+      {timelineDomain && !loading && (
+        <TimelineSlider
+          domain={timelineDomain}
+          value={timelineTime}
+          onChange={setTimelineDate}
+          platformTotals={platformTableTotals}
+        />
+      )}
+      
+      {layoutType === 'force' && !loading && (
+        <ForceControls
+          settings={forceSettings}
+          onChange={setForceSettings}
+          pinnedCount={pinnedCount}
+          onUnpinAll={() => updatePinnedPositions({})}
+        />
+      )}
+      
+      {dragActive && (
+        <Box className={classes.dropOverlay}>
+          Drop a CSV or JSON file to import entity data
+        </Box>
+      )}
+      
+      <LineagePanel
+        open={traceMode}
+        onClose={() => setTraceMode(false)}
+        lineageGraph={lineageGraph}
+        trace={lineageTrace}
+        onSelectApp={centerOnNode}
+      />
+      
+      <ImpactAnalysisPanel
+        open={impactMode}
+        onClose={() => {
+          setImpactMode(false);
+          setImpactPlatform(null);
+        }}
+        platforms={outagePlatforms}
+        platformId={impactPlatform}
+        onSelectPlatform={setImpactPlatform}
+        result={impactResult}
+        onSelectApp={centerOnNode}
+      />
+      
+      {/* The analysis panels take the right-hand side while they are open */}
+      <SnapshotDiffPanel
+        open={Boolean(snapshotDiff) && !nodeDetails && !appList && !traceMode && !impactMode}
+        onClose={() => setBaseline(null)}
+        diff={snapshotDiff}
+        baselineName={baseline ? baseline.name : ''}
+        onSelectApp={centerOnNode}
+      />
+      
+      <NodeDetailDrawer
+        open={Boolean(nodeDetails) && !traceMode && !impactMode}
+        onClose={() => setSelectedNode(null)}
+        details={nodeDetails}
+        neighbourApps={neighbourApps}
+        onNavigate={nodeId => handleSearchSelect({ id: nodeId })}
+      />
+      
+      <AppListPanel
+        open={Boolean(appList) && !traceMode && !impactMode}
+        onClose={() => {
+          setSelectedConnection(null);
+          setSelectedRegion(null);
+        }}
+        list={appList}
+        onSelectApp={selectedRegion ? selectRegionApp : undefined}
+      />
+      
+      <Menu
+        open={Boolean(contextMenu)}
+        onClose={() => setContextMenu(null)}
+        anchorReference="anchorPosition"
+        anchorPosition={contextMenu ? { top: contextMenu.mouseY, left: contextMenu.mouseX } : undefined}
+      >
+        <MenuItem onClick={() => contextMenu && simulateOutage(contextMenu.nodeId)}>
+          Simulate outage of {contextMenu ? contextMenu.nodeId : ''}
+        </MenuItem>
+      </Menu>
+      
+      <DataImportDialog
+        open={importDialogOpen}
+        file={importFile}
+        onClose={closeImportDialog}
+        onImport={handleImport}
+      />
+      
+      <DataImportDialog
+        open={baselineDialogOpen}
+        onClose={() => setBaselineDialogOpen(false)}
+        onImport={handleBaselineImport}
+        title="Load Baseline Snapshot"
+        allowAppend={false}
+      />
+      
+      <DataQualityPanel
+        open={qualityPanelOpen}
+        onClose={() => setQualityPanelOpen(false)}
+        report={validationReport}
+        mode={validationMode}
+        onModeChange={setValidationMode}
+      />
     </Paper>
   );
 };
 
-export default RelationshipGraph;
+export default forwardRef(RelationshipGraph);
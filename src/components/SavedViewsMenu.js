@@ -0,0 +1,200 @@
+import React, { useState, useRef } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Button, Menu, MenuItem, ListItemText, ListItemIcon, ListSubheader, Divider, IconButton, Tooltip, Typography,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, Snackbar
+} from '@material-ui/core';
+import BookmarksIcon from '@material-ui/icons/Bookmarks';
+import BookmarkBorderIcon from '@material-ui/icons/BookmarkBorder';
+import EditIcon from '@material-ui/icons/Edit';
+import DeleteIcon from '@material-ui/icons/Delete';
+import GetAppIcon from '@material-ui/icons/GetApp';
+import PublishIcon from '@material-ui/icons/Publish';
+import {
+  createSavedView,
+  loadSavedViews,
+  storeSavedViews,
+  serializeSavedViews,
+  parseSavedViewsFile,
+  mergeSavedViews
+} from '../utils/savedViews';
+import { downloadText, getExportFileName } from '../utils/exporters';
+
+const useStyles = makeStyles((theme) => ({
+  viewItem: {
+    minWidth: 320,
+    paddingRight: theme.spacing(1),
+  },
+  viewName: {
+    marginRight: theme.spacing(1),
+  },
+  empty: {
+    padding: theme.spacing(1, 2),
+  }
+}));
+
+// "Views" menu in the app bar: save the current view under a name, then restore, rename or
+// delete it. `onCapture` returns { query, pinnedPositions } for the current view and
+// `onRestore` applies a saved one.
+const SavedViewsMenu = ({ onCapture, onRestore }) => {
+  const classes = useStyles();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [views, setViews] = useState(loadSavedViews);
+  const [nameDialog, setNameDialog] = useState(null); // { viewId (null for a new view), name }
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateViews = (nextViews) => {
+    setViews(nextViews);
+    storeSavedViews(nextViews);
+  };
+
+  const openNameDialog = (view = null) => {
+    setAnchorEl(null);
+    setNameDialog({ viewId: view ? view.id : null, name: view ? view.name : '' });
+  };
+
+  const submitName = () => {
+    const name = nameDialog.name.trim();
+    if (!name) return;
+    if (nameDialog.viewId) {
+      updateViews(views.map(view => (view.id === nameDialog.viewId ? { ...view, name } : view)));
+    } else {
+      const { query, pinnedPositions } = onCapture();
+      updateViews([...views, createSavedView(name, query, pinnedPositions)]);
+      setMessage(`Saved view "${name}"`);
+    }
+    setNameDialog(null);
+  };
+
+  const restoreView = (view) => {
+    setAnchorEl(null);
+    onRestore(view);
+  };
+
+  const deleteView = (event, view) => {
+    event.stopPropagation();
+    updateViews(views.filter(existing => existing.id !== view.id));
+  };
+
+  const renameView = (event, view) => {
+    event.stopPropagation();
+    openNameDialog(view);
+  };
+
+  const exportViews = () => {
+    setAnchorEl(null);
+    downloadText(serializeSavedViews(views), getExportFileName('views', 'json'), 'application/json');
+  };
+
+  const handleFileInput = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    // Allow choosing the same file again
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseSavedViewsFile(await file.text());
+      updateViews(mergeSavedViews(views, imported));
+      setMessage(`Imported ${imported.length} view${imported.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Error importing views:', error);
+      setMessage(`Could not import views: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      <Button color="inherit" startIcon={<BookmarksIcon />} onClick={(event) => setAnchorEl(event.currentTarget)}>
+        Views
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        getContentAnchorEl={null}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <MenuItem onClick={() => openNameDialog()}>
+          <ListItemIcon><BookmarkBorderIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="Save current view…" />
+        </MenuItem>
+        <Divider />
+        <ListSubheader disableSticky>Saved views</ListSubheader>
+        {views.length === 0 && (
+          <Typography variant="body2" color="textSecondary" className={classes.empty}>
+            No saved views yet
+          </Typography>
+        )}
+        {views.map(view => (
+          <MenuItem key={view.id} className={classes.viewItem} onClick={() => restoreView(view)}>
+            <ListItemText
+              className={classes.viewName}
+              primary={view.name}
+              secondary={new Date(view.savedAt).toLocaleString()}
+            />
+            <Tooltip title="Rename">
+              <IconButton size="small" onClick={(event) => renameView(event, view)}>
+                <EditIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Delete">
+              <IconButton size="small" onClick={(event) => deleteView(event, view)}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={exportViews} disabled={views.length === 0}>
+          <ListItemIcon><GetAppIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="Export views (JSON)" />
+        </MenuItem>
+        <MenuItem onClick={() => { setAnchorEl(null); fileInputRef.current && fileInputRef.current.click(); }}>
+          <ListItemIcon><PublishIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="Import views…" />
+        </MenuItem>
+      </Menu>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        style={{ display: 'none' }}
+        onChange={handleFileInput}
+      />
+
+      <Dialog open={Boolean(nameDialog)} onClose={() => setNameDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{nameDialog && nameDialog.viewId ? 'Rename view' : 'Save current view'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Name"
+            placeholder="e.g. Finance org sources into Data Lake"
+            value={nameDialog ? nameDialog.name : ''}
+            onChange={(event) => setNameDialog(current => ({ ...current, name: event.target.value }))}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') submitName();
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNameDialog(null)}>Cancel</Button>
+          <Button color="primary" onClick={submitName} disabled={!nameDialog || !nameDialog.name.trim()}>
+            {nameDialog && nameDialog.viewId ? 'Rename' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={Boolean(message)}
+        message={message}
+        autoHideDuration={4000}
+        onClose={() => setMessage(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      />
+    </>
+  );
+};
+
+export default SavedViewsMenu;
@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import {
+  Drawer, Typography, Box, Chip, Divider, IconButton, Tabs, Tab,
+  Table, TableHead, TableBody, TableRow, TableCell, TableSortLabel
+} from '@material-ui/core';
+import CloseIcon from '@material-ui/icons/Close';
+import { sortDiffRows, DIFF_STATUS, DIFF_STATUS_LABELS, DIFF_COLORS } from '../utils/snapshotDiff';
+
+// Rendering thousands of rows makes the drawer sluggish; the summary still counts everything
+const MAX_LISTED_ROWS = 500;
+
+const columnsByTab = {
+  apps: [
+    { key: 'name', label: 'Application' },
+    { key: 'status', label: 'Change' },
+    { key: 'before', label: 'Before', numeric: true },
+    { key: 'after', label: 'After', numeric: true },
+    { key: 'delta', label: 'Δ', numeric: true },
+  ],
+  links: [
+    { key: 'appName', label: 'Application' },
+    { key: 'platformName', label: 'Platform' },
+    { key: 'status', label: 'Change' },
+    { key: 'before', label: 'Before', numeric: true },
+    { key: 'after', label: 'After', numeric: true },
+    { key: 'delta', label: 'Δ', numeric: true },
+  ],
+};
+
+const useStyles = makeStyles((theme) => ({
+  drawerPaper: {
+    // Starts below the graph toolbar so its buttons stay reachable
+    position: 'absolute',
+    top: 56,
+    height: 'calc(100% - 56px)',
+    width: 480,
+    maxWidth: '100%',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: theme.spacing(1, 2),
+  },
+  section: {
+    padding: theme.spacing(1, 2),
+  },
+  chip: {
+    marginRight: theme.spacing(1),
+    marginBottom: theme.spacing(0.5),
+    color: '#fff',
+  },
+  row: {
+    cursor: 'pointer',
+  },
+  statusDot: {
+    display: 'inline-block',
+    width: 10,
+    height: 10,
+    borderRadius: '50%',
+    marginRight: theme.spacing(1),
+  }
+}));
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : delta);
+
+// Changes between the baseline snapshot and the current data, per application or per
+// application–platform link; unchanged entries are only counted
+const SnapshotDiffPanel = ({ open, onClose, diff, baselineName, onSelectApp }) => {
+  const classes = useStyles();
+  const [tab, setTab] = useState('apps');
+  const [orderBy, setOrderBy] = useState('status');
+  const [order, setOrder] = useState('asc');
+
+  const columns = columnsByTab[tab];
+  const rows = useMemo(() => {
+    if (!diff) return [];
+    const changed = diff[tab].filter(row => row.status !== DIFF_STATUS.UNCHANGED);
+    return sortDiffRows(changed, orderBy, order);
+  }, [diff, tab, orderBy, order]);
+
+  const changeTab = (nextTab) => {
+    setTab(nextTab);
+    // The application column is keyed differently per tab
+    if (orderBy === 'name' || orderBy === 'appName' || orderBy === 'platformName') {
+      setOrderBy('status');
+      setOrder('asc');
+    }
+  };
+
+  const handleSort = (column) => {
+    if (orderBy === column) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setOrderBy(column);
+      // Numbers read best largest first
+      setOrder(['before', 'after', 'delta'].includes(column) ? 'desc' : 'asc');
+    }
+  };
+
+  return (
+    <Drawer
+      variant="persistent"
+      anchor="right"
+      open={open}
+      classes={{ paper: classes.drawerPaper }}
+    >
+      <Box className={classes.header}>
+        <Typography variant="h6">Changes</Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      {diff && (
+        <>
+          <Box className={classes.section}>
+            <Typography variant="subtitle1">Compared with {baselineName}</Typography>
+            <Typography variant="caption" color="textSecondary" display="block" gutterBottom>
+              {formatDelta(diff.tableDelta)} tables in total
+            </Typography>
+            {[DIFF_STATUS.ADDED, DIFF_STATUS.REMOVED, DIFF_STATUS.CHANGED].map(status => (
+              <Chip
+                key={status}
+                className={classes.chip}
+                size="small"
+                style={{ backgroundColor: DIFF_COLORS[status] }}
+                label={`${DIFF_STATUS_LABELS[status]}: ${diff.summary.apps[status]} apps, ${diff.summary.links[status]} links`}
+              />
+            ))}
+            <Typography variant="caption" color="textSecondary" display="block">
+              {diff.summary.apps[DIFF_STATUS.UNCHANGED]} applications unchanged
+            </Typography>
+          </Box>
+          <Tabs value={tab} onChange={(event, value) => changeTab(value)} indicatorColor="primary" variant="fullWidth">
+            <Tab value="apps" label="Applications" />
+            <Tab value="links" label="Links" />
+          </Tabs>
+          <Divider />
+          <Box overflow="auto" flexGrow={1}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {columns.map(column => (
+                    <TableCell key={column.key} align={column.numeric ? 'right' : 'left'}>
+                      <TableSortLabel
+                        active={orderBy === column.key}
+                        direction={orderBy === column.key ? order : 'asc'}
+                        onClick={() => handleSort(column.key)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.slice(0, MAX_LISTED_ROWS).map(row => (
+                  <TableRow
+                    key={row.key || row.id}
+                    hover
+                    className={classes.row}
+                    onClick={() => onSelectApp(row.appId || row.id)}
+                  >
+                    <TableCell>{row.name || row.appName}</TableCell>
+                    {tab === 'links' && (
+                      <TableCell>
+                        {row.role === 'source' ? '→ ' : '← '}{row.platformName}
+                      </TableCell>
+                    )}
+                    <TableCell>
+                      <span className={classes.statusDot} style={{ backgroundColor: DIFF_COLORS[row.status] }} />
+                      {DIFF_STATUS_LABELS[row.status]}
+                    </TableCell>
+                    <TableCell align="right">{row.before}</TableCell>
+                    <TableCell align="right">{row.after}</TableCell>
+                    <TableCell align="right">{formatDelta(row.delta)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {rows.length === 0 && (
+              <Typography variant="body2" color="textSecondary" className={classes.section}>
+                No changes.
+              </Typography>
+            )}
+            {rows.length > MAX_LISTED_ROWS && (
+              <Typography variant="caption" color="textSecondary" component="div" className={classes.section}>
+                Showing the first {MAX_LISTED_ROWS} of {rows.length} changes.
+              </Typography>
+            )}
+          </Box>
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default SnapshotDiffPanel;
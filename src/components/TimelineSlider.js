@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { makeStyles } from '@material-ui/core/styles';
+import { Paper, Typography, Slider, IconButton, Tooltip, Chip, Box } from '@material-ui/core';
+import PlayArrowIcon from '@material-ui/icons/PlayArrow';
+import PauseIcon from '@material-ui/icons/Pause';
+import { formatTimelineDate } from '../utils/timeline';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    position: 'absolute',
+    left: '50%',
+    bottom: 16,
+    transform: 'translateX(-50%)',
+    zIndex: 1000,
+    width: 600,
+    maxWidth: 'calc(100% - 32px)',
+    padding: theme.spacing(0.5, 2, 1),
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  slider: {
+    flexGrow: 1,
+    margin: theme.spacing(0, 2),
+  },
+  date: {
+    minWidth: 84,
+    fontVariantNumeric: 'tabular-nums',
+  },
+  chip: {
+    marginRight: theme.spacing(0.5),
+    marginTop: theme.spacing(0.5),
+  }
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Playback walks the whole range in this many steps, one step per interval
+const PLAY_STEPS = 60;
+const PLAY_INTERVAL = 500;
+
+// Timeline scrubber for dated entity rows: the graph is shown as of `value` (a timestamp).
+// `domain` is { start, end, dates } from getTimelineDomain; `platformTotals` lists the platform
+// table totals as of that date.
+const TimelineSlider = ({ domain, value, onChange, platformTotals = [] }) => {
+  const classes = useStyles();
+  const [playing, setPlaying] = useState(false);
+
+  // Step through the range while playing; stop at the end
+  useEffect(() => {
+    if (!playing) return undefined;
+    const step = Math.max(DAY, Math.round((domain.end - domain.start) / PLAY_STEPS));
+    const timer = setTimeout(() => {
+      if (value >= domain.end) {
+        setPlaying(false);
+      } else {
+        onChange(Math.min(domain.end, value + step));
+      }
+    }, PLAY_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, value, domain, onChange]);
+
+  const togglePlaying = () => {
+    // Playing from the end starts over
+    if (!playing && value >= domain.end) {
+      onChange(domain.start);
+    }
+    setPlaying(current => !current);
+  };
+
+  return (
+    <Paper className={classes.root} elevation={2}>
+      <Box className={classes.row}>
+        <Tooltip title={playing ? 'Pause' : 'Replay the history'}>
+          <IconButton size="small" onClick={togglePlaying}>
+            {playing ? <PauseIcon /> : <PlayArrowIcon />}
+          </IconButton>
+        </Tooltip>
+        <Slider
+          className={classes.slider}
+          min={domain.start}
+          max={domain.end}
+          step={DAY}
+          value={value}
+          marks={domain.dates.length <= 50 ? domain.dates.map(date => ({ value: date })) : undefined}
+          valueLabelDisplay="off"
+          onChange={(event, nextValue) => {
+            setPlaying(false);
+            onChange(nextValue);
+          }}
+        />
+        <Typography variant="body2" className={classes.date}>
+          {formatTimelineDate(value)}
+        </Typography>
+      </Box>
+      <Box>
+        {platformTotals.map(platform => (
+          <Chip
+            key={platform.id}
+            className={classes.chip}
+            size="small"
+            variant="outlined"
+            label={`${platform.id}: ${platform.tables.toLocaleString()} tables`}
+          />
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default TimelineSlider;
@@ -0,0 +1,130 @@
+/**
+ * HTTP Data Provider
+ *
+ * Fetches source and downstream entity lists from paginated REST endpoints.
+ * Each endpoint is expected to answer `GET <path>?page=<n>&pageSize=<size>` with
+ * `{ items: [...], total }` (a plain array is treated as a single page).
+ *
+ * - Caching: complete lists are cached per URL for `cacheTtl` milliseconds
+ * - Retry: network errors, 429 and 5xx responses are retried with exponential backoff
+ * - Cancellation: pass an AbortSignal to `load`; pending requests and backoff waits stop
+ */
+
+const createAbortError = () => new DOMException('Aborted', 'AbortError');
+
+// Wait for `ms` milliseconds, rejecting early if the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+const isRetryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+const buildUrl = (baseUrl, path, params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}?${query}`;
+};
+
+export const createHttpProvider = ({
+  baseUrl = '',
+  sourcePath = '/api/source-entities',
+  downstreamPath = '/api/downstream-entities',
+  pageSize = 500,
+  maxRetries = 3,
+  retryDelay = 500,
+  cacheTtl = 5 * 60 * 1000,
+  headers = {},
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  const cache = new Map();
+
+  // Fetch JSON from a URL, retrying transient failures
+  const fetchJson = async (url, signal) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetchImpl(url, { signal, headers: { Accept: 'application/json', ...headers } });
+        if (!response.ok) {
+          const error = new Error(`Request failed with status ${response.status}: ${url}`);
+          error.status = response.status;
+          throw error;
+        }
+        return await response.json();
+      } catch (error) {
+        if (error.name === 'AbortError' || (signal && signal.aborted)) {
+          throw createAbortError();
+        }
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          throw error;
+        }
+        console.warn(`Retrying ${url} (attempt ${attempt + 1} of ${maxRetries}):`, error.message);
+        await wait(retryDelay * 2 ** attempt, signal);
+      }
+    }
+  };
+
+  // Follow pages until `total` rows are collected or a short page is returned
+  const fetchAllPages = async (path, signal, onPage) => {
+    const cacheKey = buildUrl(baseUrl, path, { pageSize });
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+      return cached.items;
+    }
+
+    const items = [];
+    for (let page = 1; ; page++) {
+      const body = await fetchJson(buildUrl(baseUrl, path, { page, pageSize }), signal);
+      const pageItems = Array.isArray(body) ? body : (body.items || []);
+      items.push(...pageItems);
+
+      const total = Array.isArray(body) ? items.length : body.total;
+      if (onPage) onPage({ path, page, loaded: items.length, total });
+
+      const done = Array.isArray(body)
+        || pageItems.length === 0
+        || (typeof total === 'number' ? items.length >= total : pageItems.length < pageSize);
+      if (done) break;
+    }
+
+    cache.set(cacheKey, { items, expires: Date.now() + cacheTtl });
+    return items;
+  };
+
+  return {
+    name: 'http',
+    load: async ({ signal, onProgress } = {}) => {
+      // Both lists share a child controller, so a failing list stops the other one's requests and retries
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', abort, { once: true });
+      }
+      try {
+        const [sourceEntityList, downstreamEntityList] = await Promise.all([
+          fetchAllPages(sourcePath, controller.signal, onProgress),
+          fetchAllPages(downstreamPath, controller.signal, onProgress),
+        ]);
+        return { sourceEntityList, downstreamEntityList };
+      } catch (error) {
+        controller.abort();
+        throw error;
+      } finally {
+        if (signal) signal.removeEventListener('abort', abort);
+      }
+    },
+    clearCache: () => cache.clear(),
+  };
+};
@@ -0,0 +1,102 @@
+import { createHttpProvider } from './httpProvider';
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+// Answers each path with its queued responses, recording the requests it receives
+const createFetch = (responses) => {
+  const calls = [];
+  const fetchImpl = (url, options) => {
+    calls.push({ url, signal: options.signal });
+    const path = url.split('?')[0].replace(/^\/+/, '');
+    const next = responses[path].shift();
+    return typeof next === 'function' ? next(options) : Promise.resolve(next);
+  };
+  return { fetchImpl, calls };
+};
+
+// A request that only settles when its signal aborts
+const hangUntilAborted = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+// Count the listeners added to and removed from a signal
+const trackListeners = (signal) => {
+  const counts = { added: 0, removed: 0 };
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (...args) => { counts.added++; add(...args); };
+  signal.removeEventListener = (...args) => { counts.removed++; remove(...args); };
+  return counts;
+};
+
+const options = { sourcePath: 'sources', downstreamPath: 'downstreams', pageSize: 2, retryDelay: 0 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('createHttpProvider', () => {
+  it('follows pages and caches the complete lists', async () => {
+    const { fetchImpl, calls } = createFetch({
+      sources: [jsonResponse({ items: [{ id: 1 }, { id: 2 }], total: 3 }), jsonResponse({ items: [{ id: 3 }], total: 3 })],
+      downstreams: [jsonResponse([{ id: 4 }])],
+    });
+    const provider = createHttpProvider({ ...options, fetchImpl });
+
+    const lists = await provider.load();
+    expect(lists.sourceEntityList.map(row => row.id)).toEqual([1, 2, 3]);
+    expect(lists.downstreamEntityList.map(row => row.id)).toEqual([4]);
+
+    await provider.load();
+    expect(calls).toHaveLength(3);
+  });
+
+  it('retries server errors and removes its abort listeners once done', async () => {
+    let retryListeners = null;
+    const { fetchImpl } = createFetch({
+      sources: [
+        ({ signal }) => {
+          // The backoff wait listens on the signal each request receives
+          retryListeners = trackListeners(signal);
+          return Promise.resolve(jsonResponse({}, 503));
+        },
+        jsonResponse([{ id: 1 }]),
+      ],
+      downstreams: [jsonResponse([])],
+    });
+    const controller = new AbortController();
+    const callerListeners = trackListeners(controller.signal);
+
+    const lists = await createHttpProvider({ ...options, fetchImpl }).load({ signal: controller.signal });
+
+    expect(lists.sourceEntityList).toEqual([{ id: 1 }]);
+    expect(retryListeners).toEqual({ added: 1, removed: 1 });
+    expect(callerListeners).toEqual({ added: 1, removed: 1 });
+  });
+
+  it('rejects with the failing request and aborts the other list', async () => {
+    const { fetchImpl, calls } = createFetch({
+      sources: [hangUntilAborted],
+      downstreams: [jsonResponse({}, 404)],
+    });
+
+    await expect(createHttpProvider({ ...options, fetchImpl }).load()).rejects.toMatchObject({ status: 404 });
+    expect(calls[0].signal.aborted).toBe(true);
+  });
+
+  it('rejects with an AbortError when the caller aborts', async () => {
+    const { fetchImpl } = createFetch({
+      sources: [hangUntilAborted],
+      downstreams: [hangUntilAborted],
+    });
+    const controller = new AbortController();
+    const loading = createHttpProvider({ ...options, fetchImpl }).load({ signal: controller.signal });
+
+    controller.abort();
+    await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Data Providers
+ *
+ * A data provider supplies the entity lists consumed by RelationshipGraph:
+ *
+ *   {
+ *     name: String,
+ *     load: ({ signal, onProgress }) => Promise<{ sourceEntityList, downstreamEntityList }>
+ *   }
+ *
+ * `signal` is an AbortSignal; providers reject with an AbortError when it fires.
+ */
+
+import { createMockProvider } from './mockProvider';
+import { createStaticFileProvider } from './staticFileProvider';
+import { createHttpProvider } from './httpProvider';
+
+export { createMockProvider, createStaticFileProvider, createHttpProvider };
+
+// Pick a provider from the REACT_APP_* environment variables (see README)
+export const createDataProviderFromEnv = (env = process.env) => {
+  switch (env.REACT_APP_DATA_PROVIDER) {
+    case 'http':
+      return createHttpProvider({
+        baseUrl: env.REACT_APP_API_BASE_URL || '',
+        sourcePath: env.REACT_APP_SOURCE_ENTITY_PATH || undefined,
+        downstreamPath: env.REACT_APP_DOWNSTREAM_ENTITY_PATH || undefined,
+        pageSize: Number(env.REACT_APP_API_PAGE_SIZE) || undefined,
+      });
+
+    case 'static':
+      return createStaticFileProvider({
+        url: env.REACT_APP_DATA_URL || undefined,
+        sourceUrl: env.REACT_APP_SOURCE_DATA_URL || undefined,
+        downstreamUrl: env.REACT_APP_DOWNSTREAM_DATA_URL || undefined,
+      });
+
+    case 'mock':
+    default:
+      return createMockProvider({ history: env.REACT_APP_MOCK_HISTORY === 'true' });
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Mock Data Provider
+ *
+ * Serves the generated mock entity lists. Used when no backend is configured.
+ * With `history` the rows carry valid_from/valid_to dates to demo the timeline.
+ */
+
+import { generateMockEntityLists } from '../utils/dataGenerator';
+import { createRandom, DEFAULT_MOCK_DATA_SEED } from '../utils/random';
+
+// The same seed always yields the same dataset
+export const createMockProvider = ({ delay = 100, seed = DEFAULT_MOCK_DATA_SEED, history = false } = {}) => ({
+  name: 'mock',
+  load: ({ signal } = {}) => new Promise((resolve, reject) => {
+    // Defer generation so the loading state can render first
+    const timer = setTimeout(() => {
+      try {
+        resolve(generateMockEntityLists({ random: createRandom(seed), history }));
+      } catch (error) {
+        reject(error);
+      }
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    }
+  }),
+});
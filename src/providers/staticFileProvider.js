@@ -0,0 +1,52 @@
+/**
+ * Static File Data Provider
+ *
+ * Loads entity lists from CSV/JSON files, either served as static URLs
+ * (e.g. files under `public/`) or picked locally as File objects.
+ * Columns are mapped automatically using the import field aliases.
+ */
+
+import { parseEntityText, tablesToEntityLists } from '../utils/entityImport';
+
+// Fetch one URL and parse it into import tables
+const fetchTables = async (url, { signal, fetchImpl }) => {
+  const response = await fetchImpl(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+  }
+  const text = await response.text();
+  const fileName = url.split('?')[0].split('/').pop();
+  return parseEntityText(text, fileName, response.headers.get('content-type') || '').tables;
+};
+
+// Force the entity kind of every table when the URL is known to hold one list
+const withKind = (tables, kind) => tables.map(table => ({ ...table, kind: kind || table.kind }));
+
+// `url` holds both lists (JSON with sourceEntityList/downstreamEntityList),
+// `sourceUrl`/`downstreamUrl` hold one list each, and `files` are local File
+// objects whose list kind is detected from their headers.
+export const createStaticFileProvider = ({
+  url,
+  sourceUrl,
+  downstreamUrl,
+  files = [],
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => ({
+  name: 'static',
+  load: async ({ signal } = {}) => {
+    const requests = [];
+    if (url) requests.push(fetchTables(url, { signal, fetchImpl }));
+    if (sourceUrl) requests.push(fetchTables(sourceUrl, { signal, fetchImpl }).then(tables => withKind(tables, 'source')));
+    if (downstreamUrl) requests.push(fetchTables(downstreamUrl, { signal, fetchImpl }).then(tables => withKind(tables, 'downstream')));
+    files.forEach(file => {
+      requests.push(file.text().then(text => parseEntityText(text, file.name, file.type).tables));
+    });
+
+    if (requests.length === 0) {
+      throw new Error('Static file provider needs a url, sourceUrl/downstreamUrl or files');
+    }
+
+    const tableGroups = await Promise.all(requests);
+    return tablesToEntityLists(tableGroups.flat());
+  },
+});
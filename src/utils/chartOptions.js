@@ -3,8 +3,15 @@
  * 
  * This utility generates the ECharts options for the relationship visualization
  * with a circular layout for data platforms and their related source/downstream nodes.
+ * Layout jitter comes from a seeded random generator (`options.random`) so the same
+ * dataset and seed always produce the same picture.
  */
 
+import { createRandom, DEFAULT_LAYOUT_SEED } from './random';
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { computePlatformConnections, formatSharedApps } from './platformConnections';
+import { getLinkEndpointId } from './graphIndex';
+
 // Calculate symbol size based on the number of tables
 const calculateSymbolSize = (value) => {
   if (value <= 0) return 20;
@@ -31,12 +38,77 @@ const getSectorPosition = (index, total, radius, centerX, centerY, startAngle, e
 
 // 我们已经有了 calculateSymbolSize 函数，不需要重复声明
 
+// Venn Network 布局中的平台间连接：只保留共享较多的连接，减少视觉混乱
+const getVennPlatformLinks = (connections, random) => connections
+  // 只显示连接数量超过阈值的连接
+  .filter(connection => connection.value > 3)
+  .map(connection => {
+    const width = Math.min(4, Math.max(1, Math.log(connection.value) / 2));
+    const opacity = Math.min(0.6, 0.3 + (connection.value / 100));
+    
+    return {
+      source: connection.source,
+      target: connection.target,
+      value: connection.value,
+      sharedApps: connection.sharedApps,
+      lineStyle: {
+        color: '#9370DB', // 使用中紫色表示平台间连接
+        width: width,
+        type: 'dashed',
+        opacity: opacity,
+        curveness: 0.3 + (random() * 0.1), // 增加曲率变化，使连接线更易区分
+      }
+    };
+  });
+
+// Platform-to-platform links of the circular layout
+const getMainPlatformLinks = (connections) => connections.map(connection => ({
+  source: connection.source,
+  target: connection.target,
+  value: connection.value,
+  sharedApps: connection.sharedApps,
+  lineStyle: {
+    color: '#999',
+    width: connection.value > 1 ? Math.min(5, 1 + connection.value / 5) : 2,
+    type: 'dashed',
+    opacity: 0.5,
+    curveness: 0.3,
+  },
+}));
+
+// Platform-to-platform links for a layout type; the traditional layout has none
+export const getPlatformConnectionLinks = (layoutType, connections, random = createRandom(DEFAULT_LAYOUT_SEED)) => {
+  switch (layoutType) {
+    case 'venn':
+      return getVennPlatformLinks(connections, random);
+    case 'circular':
+      return getMainPlatformLinks(connections);
+    default:
+      return [];
+  }
+};
+
+// 将平台名称转换为类型排序值：warehouse、lake、stream、big data、mesh，其余排在最后
+const getPlatformTypeValue = (name) => {
+  if (name.includes('warehouse')) return 1;
+  if (name.includes('lake')) return 2;
+  if (name.includes('stream')) return 3;
+  if (name.includes('big data')) return 4;
+  if (name.includes('mesh')) return 5;
+  return 6;
+};
+
+// Comparator for platform keys so platforms of the same type end up next to each other
+export const comparePlatformTypes = (a, b) => getPlatformTypeValue(a) - getPlatformTypeValue(b);
+
 // 新的 Venn Network 布局函数
-export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, colorMap = {}) => {
+export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, colorMap = {}, options = {}) => {
   if (!sourceEntityList || !downstreamEntityList) {
     return { nodes: [], links: [] };
   }
   
+  const random = options.random || createRandom(DEFAULT_LAYOUT_SEED);
+  
   const nodes = [];
   const links = [];
   const regionNodeMap = new Map();
@@ -51,40 +123,27 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
   
   // 收集所有数据平台
   sourceEntityList.forEach((row) => {
-    const dataPlatform = row?.['data_platform'] || 'Unknown';
-    dataplatformSet.add(dataPlatform.toLowerCase());
+    dataplatformSet.add(getPlatformKey(row));
   });
 
   downstreamEntityList.forEach((row) => {
-    const dataPlatform = row?.['data_platform'] || 'Unknown';
-    dataplatformSet.add(dataPlatform.toLowerCase());
+    dataplatformSet.add(getPlatformKey(row));
   });
   
   // 创建 DataPlatform 节点环，按照平台类型分层
   const dataPlatforms = Array.from(dataplatformSet);
   
   // 对数据平台进行分类排序，使相同类型的平台相邻
-  dataPlatforms.sort((a, b) => {
-    // 将平台名称转换为类型排序值
-    const getTypeValue = (name) => {
-      if (name.includes('warehouse')) return 1;
-      if (name.includes('lake')) return 2;
-      if (name.includes('stream')) return 3;
-      if (name.includes('big data')) return 4;
-      if (name.includes('mesh')) return 5;
-      return 6;
-    };
-    return getTypeValue(a) - getTypeValue(b);
-  });
+  dataPlatforms.sort(comparePlatformTypes);
   
   // 计算每个数据平台的连接数量，用于后续调整位置
   const platformConnectionCounts = {};
   sourceEntityList.forEach(entity => {
-    const platform = entity.data_platform.toLowerCase();
+    const platform = getPlatformKey(entity);
     platformConnectionCounts[platform] = (platformConnectionCounts[platform] || 0) + 1;
   });
   downstreamEntityList.forEach(entity => {
-    const platform = entity.data_platform.toLowerCase();
+    const platform = getPlatformKey(entity);
     platformConnectionCounts[platform] = (platformConnectionCounts[platform] || 0) + 1;
   });
   
@@ -151,14 +210,14 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
   });
   
   sortedSourceEntityList.forEach(row => {
-    const dataPlatform = row?.['data_platform']?.toLowerCase() || 'Unknown';
+    const dataPlatform = getPlatformKey(row);
     const sources = sourcesByPlatform.get(dataPlatform) || [];
     sources.push(row);
     sourcesByPlatform.set(dataPlatform, sources);
   });
   
   sortedDownstreamEntityList.forEach(row => {
-    const dataPlatform = row?.['data_platform']?.toLowerCase() || 'Unknown';
+    const dataPlatform = getPlatformKey(row);
     const downstreams = downstreamsByPlatform.get(dataPlatform) || [];
     downstreams.push(row);
     downstreamsByPlatform.set(dataPlatform, downstreams);
@@ -179,9 +238,9 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
     
     // 为每个 source 分配位置（在环内，靠近对应的 DataPlatform）
     sources.forEach((source, index) => {
-      const sourceAppName = source?.['source_application_name'] || 'Unknown';
+      const sourceAppName = String(source?.['source_application_name'] || 'Unknown');
       const sourceTableCount = source?.['source_table_count'] || 0;
-      const uniqueKey = sourceAppName.toLowerCase();
+      const uniqueKey = getApplicationKey(sourceAppName);
       
       // 如果节点已存在，只更新表数量
       if (nodeMap.has(uniqueKey)) {
@@ -213,7 +272,7 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
       const angleOffset = (indexInLayer / nodesPerLayer) * (sector.endAngle - sector.startAngle);
       
       // 添加小的随机偏移，避免完全对齐
-      const randomOffset = (Math.random() - 0.5) * 0.05;
+      const randomOffset = (random() - 0.5) * 0.05;
       const angle = sector.startAngle + angleOffset + randomOffset;
       
       // 在内环上的位置
@@ -226,6 +285,7 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
         tables: sourceTableCount,
         type: 'source',
         dataPlatform: dataPlatform,
+        busOrg: source?.['source_app_bus_org'] || '',
         isMixed: false,
         x: x,
         y: y,
@@ -263,7 +323,7 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
           width: lineWidth,
           type: 'solid',
           opacity: opacity,
-          curveness: 0.2 + (Math.random() * 0.1), // 添加微小的随机性以减少重叠
+          curveness: 0.2 + (random() * 0.1), // 添加微小的随机性以减少重叠
         },
       });
     });
@@ -279,9 +339,9 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
     
     // 为每个 downstream 分配位置（在环外，靠近对应的 DataPlatform）
     downstreams.forEach((downstream, index) => {
-      const downstreamAppName = downstream?.['downstream_application_name'] || 'Unknown';
+      const downstreamAppName = String(downstream?.['downstream_application_name'] || 'Unknown');
       const downstreamTableCount = downstream?.['share_to_downstream_table_count'] || 0;
-      const uniqueKey = downstreamAppName.toLowerCase();
+      const uniqueKey = getApplicationKey(downstreamAppName);
       
       // 如果节点已存在，更新表数量和检查是否为混合类型
       if (nodeMap.has(uniqueKey)) {
@@ -323,7 +383,7 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
       const dsAngleOffset = (dsIndexInLayer / dsNodesPerLayer) * (sector.endAngle - sector.startAngle);
       
       // 添加小的随机偏移，避免完全对齐
-      const dsRandomOffset = (Math.random() - 0.5) * 0.05;
+      const dsRandomOffset = (random() - 0.5) * 0.05;
       const angle = sector.startAngle + dsAngleOffset + dsRandomOffset;
       
       // 在外环上的位置
@@ -336,6 +396,7 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
         tables: downstreamTableCount,
         type: 'downstream',
         dataPlatform: dataPlatform,
+        busOrg: downstream?.['downstream_app_bus_org'] || '',
         isMixed: false,
         x: x,
         y: y,
@@ -373,72 +434,25 @@ export const getVennNetworkLayout = (sourceEntityList, downstreamEntityList, col
           width: lineWidth,
           type: 'solid',
           opacity: opacity,
-          curveness: 0.2 + (Math.random() * 0.1), // 添加微小的随机性以减少重叠
+          curveness: 0.2 + (random() * 0.1), // 添加微小的随机性以减少重叠
         },
       });
     });
   });
   
   // 添加 DataPlatform 之间的连接，优化显示效果
-  const dataPlatformConnections = new Map();
-  
-  // 检查通过 source 连接的数据平台
-  sourceEntityList.forEach(entity => {
-    const dataPlatform = entity.data_platform.toLowerCase();
-    const sourceAppName = entity.source_application_name;
-    
-    // 查找该 source 是否连接到不同数据平台的 downstream
-    downstreamEntityList.forEach(dsEntity => {
-      const dsAppName = dsEntity.downstream_application_name;
-      const dsPlatform = dsEntity.data_platform.toLowerCase();
-      
-      // 如果 source 和 downstream 相连且有不同平台，创建平台间连接
-      if (sourceAppName === dsAppName && dataPlatform !== dsPlatform) {
-        const connectionKey = [dataPlatform, dsPlatform].sort().join('-');
-        if (!dataPlatformConnections.has(connectionKey)) {
-          dataPlatformConnections.set(connectionKey, {
-            source: dataPlatform,
-            target: dsPlatform,
-            value: 1
-          });
-        } else {
-          const connection = dataPlatformConnections.get(connectionKey);
-          connection.value += 1;
-        }
-      }
-    });
-  });
-  
-  // 只添加重要的数据平台间连接，减少视觉混乱
-  dataPlatformConnections.forEach((connection, key) => {
-    // 只显示连接数量超过阈值的连接
-    if (connection.value > 3) {
-      const width = Math.min(4, Math.max(1, Math.log(connection.value) / 2));
-      const opacity = Math.min(0.6, 0.3 + (connection.value / 100));
-      
-      links.push({
-        source: connection.source,
-        target: connection.target,
-        value: connection.value,
-        lineStyle: {
-          color: '#9370DB', // 使用中紫色表示平台间连接
-          width: width,
-          type: 'dashed',
-          opacity: opacity,
-          curveness: 0.3 + (Math.random() * 0.1), // 增加曲率变化，使连接线更易区分
-        },
-        tooltip: {
-          formatter: `${connection.value} shared connections`
-        }
-      });
-    }
-  });
+  // 基于应用名称索引计算平台间共享应用，避免 source × downstream 的双重循环
+  // （后台布局流水线会关闭此项，并在单独的阶段中补上这些连接）
+  if (options.platformLinks !== false) {
+    const dataPlatformConnections = computePlatformConnections(sourceEntityList, downstreamEntityList, options.applicationIndex);
+    links.push(...getVennPlatformLinks(dataPlatformConnections, random));
+  }
   
   return { nodes, links };
 };
 
 // Generate the main graph data
-export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMap = {}) => {
+export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMap = {}, options = {}) => {
   if (!sourceEntityList || !downstreamEntityList) {
     return { nodes: [], links: [] };
   }
@@ -458,13 +472,11 @@ export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMa
 
   // Collect all data platforms
   sourceEntityList.forEach((row) => {
-    const dataPlatform = row?.["data_platform"] || "Unknown";
-    dataplatformSet.add(dataPlatform.toLowerCase());
+    dataplatformSet.add(getPlatformKey(row));
   });
 
   downstreamEntityList.forEach((row) => {
-    const dataPlatform = row?.["data_platform"] || "Unknown";
-    dataplatformSet.add(dataPlatform.toLowerCase());
+    dataplatformSet.add(getPlatformKey(row));
   });
 
   // Sort entities by table count
@@ -508,11 +520,11 @@ export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMa
 
   // Create source nodes and links
   sortedSourceEntityList.forEach((row, index) => {
-    const sourceAppName = row?.["source_application_name"] || "Unknown";
+    const sourceAppName = String(row?.["source_application_name"] || "Unknown");
     const sourceTableCount = row?.["source_table_count"] || 0;
-    const dataPlatform = row?.["data_platform"]?.toLowerCase() || "Unknown";
+    const dataPlatform = getPlatformKey(row);
     
-    const uniqueKey = sourceAppName.toLowerCase();
+    const uniqueKey = getApplicationKey(sourceAppName);
 
     const nodeData = {
       id: uniqueKey,
@@ -589,11 +601,11 @@ export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMa
 
   // Create downstream nodes and links
   sortedDownstreamEntityList.forEach((row, index) => {
-    const downstreamAppName = row?.["downstream_application_name"] || "Unknown";
+    const downstreamAppName = String(row?.["downstream_application_name"] || "Unknown");
     const downstreamTableCount = row?.["share_to_downstream_table_count"] || 0;
-    const dataPlatform = row?.["data_platform"]?.toLowerCase() || "Unknown";
+    const dataPlatform = getPlatformKey(row);
     
-    const uniqueKey = downstreamAppName.toLowerCase();
+    const uniqueKey = getApplicationKey(downstreamAppName);
     
     const nodeData = {
       id: uniqueKey,
@@ -682,99 +694,139 @@ export const getMainGraphData = (sourceEntityList, downstreamEntityList, colorMa
 
   // Add connections between data platforms
   // This creates links between data platforms that share common sources or downstream applications
-  const dataPlatformConnections = new Map();
-  
-  // Check for connections through sources
-  sortedSourceEntityList.forEach(row => {
-    const dataPlatform = row?.["data_platform"]?.toLowerCase() || "Unknown";
-    const sourceAppName = row?.["source_application_name"] || "Unknown";
-    
-    // Find if this source connects to any downstream with a different data platform
-    sortedDownstreamEntityList.forEach(dsRow => {
-      const dsAppName = dsRow?.["downstream_application_name"] || "Unknown";
-      const dsPlatform = dsRow?.["data_platform"]?.toLowerCase() || "Unknown";
-      
-      // If source and downstream are connected and have different platforms, create a platform-to-platform link
-      if (sourceAppName === dsAppName && dataPlatform !== dsPlatform) {
-        const connectionKey = [dataPlatform, dsPlatform].sort().join('-');
-        if (!dataPlatformConnections.has(connectionKey)) {
-          dataPlatformConnections.set(connectionKey, {
-            source: dataPlatform,
-            target: dsPlatform,
-            value: 1,
-            lineStyle: {
-              color: '#999',
-              width: 2,
-              type: 'dashed',
-              opacity: 0.5,
-              curveness: 0.3,
-            },
-          });
-        } else {
-          const connection = dataPlatformConnections.get(connectionKey);
-          connection.value += 1;
-          connection.lineStyle.width = Math.min(5, 1 + connection.value / 5);
-        }
-      }
-    });
-  });
-  
-  // Add the data platform connections to links
-  dataPlatformConnections.forEach(connection => {
-    links.push(connection);
-  });
+  if (options.platformLinks !== false) {
+    const dataPlatformConnections = computePlatformConnections(sortedSourceEntityList, sortedDownstreamEntityList, options.applicationIndex);
+    links.push(...getMainPlatformLinks(dataPlatformConnections));
+  }
   
   return { nodes, links };
 };
 
+export const DEFAULT_GRAPH_ZOOM = 0.8;
+
+// Applications labelled at zoom 1; the budget grows with the zoomed area (zoom²)
+const LABEL_BUDGET = 25;
+
+// Label levels change every quarter octave of zoom, so roaming only relabels the graph now and then
+export const getLabelLevel = (zoom) => Math.round(Math.log2(zoom || DEFAULT_GRAPH_ZOOM) * 4);
+
+// Level of detail: platforms are always labelled, applications by table count up to the budget of the zoom level
+const getLabelledNodeIds = (nodes, zoom) => {
+  const budget = Math.round(LABEL_BUDGET * 2 ** (getLabelLevel(zoom) / 2));
+  const labelled = new Set();
+  const apps = [];
+  nodes.forEach(node => {
+    const type = String(node.type || '').toLowerCase();
+    if (node.inactive) return;
+    if (type === 'dataplatform') labelled.add(node.id);
+    else if (type !== 'bundle') apps.push(node);
+  });
+  apps
+    .sort((a, b) => (b.tables || 0) - (a.tables || 0))
+    .slice(0, budget)
+    .forEach(node => labelled.add(node.id));
+  return labelled;
+};
+
 // Generate chart options
-export const getChartOptions = (data, hoveredNode = null) => {
+// `viewport` ({ center: [x, y], zoom }) restores a zoom/pan position in graph coordinates.
+// Hover and selection are not baked into the option: they are applied with ECharts
+// highlight/downplay (emphasis + blur states), so the option is only rebuilt when the data changes.
+// `overlay` ({ nodes: Map id -> { borderColor, color, label }, dimOpacity }) marks an analysis result
+// such as a lineage trace: listed nodes are restyled and labelled, all other nodes and links are dimmed.
+// Its optional `links` (Map "<source id>-><target id>" -> { color, type }) restyles individual links.
+// Bundled segments (see edgeBundling.js) follow the links listed in their `originalLinks`.
+// Nodes and links flagged `inactive` (not valid at the timeline date, see timeline.js) are faded out.
+// `force` ({ repulsion, edgeLength, gravity, pinnedPositions }) switches to the force-directed layout:
+// the precomputed positions are the starting point and pinned nodes ({ id: [x, y] }) stay where they were dropped.
+export const getChartOptions = (data, viewport = null, overlay = null, force = null) => {
   if (!data || !data.nodes || !data.links) {
     return {};
   }
 
   try {
-    // Process nodes with hover effects
-    const processedNodes = data.nodes.map(node => ({
-      ...node,
-      itemStyle: {
-        ...node.itemStyle,
-        borderWidth: hoveredNode === node.id ? 3 : 1,
-        borderColor: hoveredNode === node.id ? '#FFD700' : 'rgba(255, 255, 255, 0.5)',
-        opacity: hoveredNode ? (
-          hoveredNode === node.id || 
-          data.links.some(link => {
-            try {
-              const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-              const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-              return ((sourceId === hoveredNode) && (targetId === node.id)) || 
-                     ((targetId === hoveredNode) && (sourceId === node.id));
-            } catch (error) {
-              console.error('Error in node opacity calculation:', error);
-              return false;
-            }
-          }) ? 1 : 0.3
-        ) : 1
+    const dimOpacity = overlay && overlay.dimOpacity !== undefined ? overlay.dimOpacity : 0.15;
+    const pinnedPositions = (force && force.pinnedPositions) || {};
+    const zoom = viewport && viewport.zoom ? viewport.zoom : DEFAULT_GRAPH_ZOOM;
+    const labelledIds = getLabelledNodeIds(data.nodes, zoom);
+    
+    // Base node style; the highlighted look lives in the series emphasis state
+    const processedNodes = data.nodes.map(node => {
+      const overlayStyle = overlay ? overlay.nodes.get(node.id) : null;
+      const processedNode = {
+        ...node,
+        itemStyle: {
+          ...node.itemStyle,
+          borderWidth: overlayStyle && overlayStyle.borderColor ? 3 : 1,
+          borderColor: (overlayStyle && overlayStyle.borderColor) || 'rgba(255, 255, 255, 0.5)'
+        },
+        // Some layouts keep the display name in `label`
+        label: {
+          ...(node.label && typeof node.label === 'object' ? node.label : {}),
+          show: labelledIds.has(node.id)
+        }
+      };
+      
+      if ((overlay && !overlayStyle) || node.inactive) {
+        processedNode.itemStyle.opacity = node.inactive ? INACTIVE_OPACITY : dimOpacity;
+        processedNode.label.show = false;
+      }
+      if (node.inactive) {
+        processedNode.emphasis = { disabled: true };
+      }
+      if (overlayStyle && overlayStyle.color) {
+        processedNode.itemStyle.color = overlayStyle.color;
       }
-    }));
+      if (overlayStyle && overlayStyle.label) {
+        processedNode.label = { ...processedNode.label, show: true, formatter: `${node.name}\n${overlayStyle.label}` };
+      }
+      
+      // Pinned nodes are fixed at their saved position and keep a dark outline
+      const pinned = pinnedPositions[node.id];
+      if (pinned) {
+        processedNode.x = pinned[0];
+        processedNode.y = pinned[1];
+        processedNode.fixed = true;
+        if (!overlayStyle || !overlayStyle.borderColor) {
+          processedNode.itemStyle.borderWidth = 2;
+          processedNode.itemStyle.borderColor = PINNED_BORDER_COLOR;
+        }
+      }
+      return processedNode;
+    });
 
-    // Process links with hover effects
+    // Highlighted links keep their colour and become 1.5x wider
     const processedLinks = data.links.map(link => {
       try {
-        const sourceId = typeof link.source === 'object' ? (link.source ? link.source.id : null) : link.source;
-        const targetId = typeof link.target === 'object' ? (link.target ? link.target.id : null) : link.target;
+        const lineStyle = link.lineStyle || {};
+        const width = lineStyle.width || 1;
+        // With an overlay only links between two overlay nodes stay visible; a bundled segment
+        // stays visible when any link it carries does
+        const endpoints = link.originalLinks
+          || [{ source: getLinkEndpointId(link.source), target: getLinkEndpointId(link.target) }];
+        const inOverlay = !overlay || endpoints.some(({ source, target }) => (
+          overlay.nodes.has(source) && overlay.nodes.has(target)
+        ));
+        const overlayLinkStyle = overlay && overlay.links
+          ? endpoints.map(({ source, target }) => overlay.links.get(`${source}->${target}`)).find(Boolean)
+          : null;
+        
+        let opacity = inOverlay ? (overlay ? 0.8 : lineStyle.opacity || 0.5) : dimOpacity / 3;
+        if (link.inactive) opacity = 0;
         
         return {
           ...link,
           lineStyle: {
-            ...link.lineStyle,
-            opacity: hoveredNode ? (
-              ((sourceId === hoveredNode) || (targetId === hoveredNode)) ? 0.8 : 0.1
-            ) : link.lineStyle.opacity || 0.5,
-            width: hoveredNode ? (
-              ((sourceId === hoveredNode) || (targetId === hoveredNode)) ? 
-                link.lineStyle.width * 1.5 : link.lineStyle.width
-            ) : link.lineStyle.width
+            ...lineStyle,
+            ...overlayLinkStyle,
+            opacity,
+            width: overlayLinkStyle ? Math.max(width, 2) : width
+          },
+          emphasis: {
+            lineStyle: {
+              opacity: link.inactive ? 0 : 0.8,
+              width: width * 1.5
+            }
           }
         };
       } catch (error) {
@@ -857,6 +909,28 @@ export const getChartOptions = (data, hoveredNode = null) => {
             }
             
             // 处理边的tooltip
+            // 平台间连接：列出连接两个平台的共享应用
+            if (params.dataType === 'edge' && data.sharedApps) {
+              return `
+                <div>
+                  <strong>${data.source} ↔ ${data.target}</strong><br/>
+                  Shared applications: ${data.sharedApps.length}<br/>
+                  ${formatSharedApps(data.sharedApps)}
+                </div>
+              `;
+            }
+            
+            // Edge bundles (see edgeBundling.js): how many application links they carry
+            if (params.dataType === 'edge' && data.bundle) {
+              return `
+                <div>
+                  <strong>${data.bundle.platform}${data.bundle.org ? ` · ${data.bundle.org}` : ''}</strong><br/>
+                  Bundled links: ${data.bundle.count}<br/>
+                  Tables: ${data.value || 0}
+                </div>
+              `;
+            }
+            
             if (params.dataType === 'edge') {
               return `
                 <div>
@@ -878,15 +952,23 @@ export const getChartOptions = (data, hoveredNode = null) => {
       animationEasingUpdate: 'quinticInOut',
       series: [{
         type: 'graph',
-        layout: 'none', // Use custom layout
+        layout: force ? 'force' : 'none', // Custom layout unless force-directed
         data: processedNodes,
         links: processedLinks,
         roam: true,
-        zoom: 0.8,
+        zoom,
+        center: viewport && viewport.center ? viewport.center : undefined,
         scaleLimit: { min: 0.3, max: 5 },
         draggable: true,
-        focusNodeAdjacency: false, // Disable built-in adjacency highlighting
-        force: {
+        force: force ? {
+          // Nodes without a saved position start from the precomputed layout
+          initLayout: 'none',
+          repulsion: force.repulsion,
+          edgeLength: force.edgeLength,
+          gravity: force.gravity,
+          // Animated so the simulation runs in the background and dragged nodes pull their neighbours along
+          layoutAnimation: true
+        } : {
           repulsion: 100,
           edgeLength: 50,
           gravity: 0.1,
@@ -901,13 +983,34 @@ export const getChartOptions = (data, hoveredNode = null) => {
         progressiveThreshold: 1000,
         large: true,
         largeThreshold: 300,
+        // Labels that overlap a label of a larger node are hidden, using their measured bounding boxes
+        labelLayout: {
+          hideOverlap: true
+        },
+        // Hovered/selected node and its neighbours stay in focus, everything else is blurred;
+        // highlighted nodes always show their labels
         emphasis: {
           focus: 'adjacency',
+          label: {
+            show: true
+          },
+          itemStyle: {
+            borderWidth: 3,
+            borderColor: '#FFD700'
+          },
           lineStyle: {
             width: 2,
             opacity: 0.8
           }
         },
+        blur: {
+          itemStyle: {
+            opacity: 0.3
+          },
+          lineStyle: {
+            opacity: 0.1
+          }
+        },
         edgeSymbol: ['none', 'arrow'],
         edgeSymbolSize: 6
       }]
@@ -918,6 +1021,18 @@ export const getChartOptions = (data, hoveredNode = null) => {
   }
 };
 
+// Initial force-directed layout settings; the toolbar sliders adjust them
+export const DEFAULT_FORCE_SETTINGS = {
+  repulsion: 500,
+  edgeLength: 150,
+  gravity: 0.05,
+};
+
+const PINNED_BORDER_COLOR = '#263238';
+
+// Nodes outside the timeline date stay faintly visible so the layout keeps its shape
+const INACTIVE_OPACITY = 0.06;
+
 // Default color map for different data platforms
 export const defaultColorMap = {
   'data warehouse': '#5470c6',
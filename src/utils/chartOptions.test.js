@@ -0,0 +1,61 @@
+import { getChartOptions, getLabelLevel, DEFAULT_GRAPH_ZOOM } from './chartOptions';
+
+// Two platforms, a bundle waypoint and 60 applications with 1..60 tables
+const apps = Array.from({ length: 60 }, (_, index) => ({
+  id: `app-${index + 1}`,
+  name: `App ${index + 1}`,
+  type: index % 2 ? 'Source' : 'Downstream',
+  tables: index + 1,
+}));
+const data = {
+  nodes: [
+    { id: 'data lake', name: 'Data Lake', type: 'DataPlatform' },
+    { id: 'warehouse', name: 'Warehouse', type: 'DataPlatform' },
+    { id: 'bundle:data lake:in', name: '', type: 'bundle' },
+    ...apps,
+  ],
+  links: [],
+};
+
+const labelledIds = (zoom, overlay = null) => getChartOptions(data, { center: [0, 0], zoom }, overlay)
+  .series[0].data
+  .filter(node => node.label.show)
+  .map(node => node.id);
+
+describe('getLabelLevel', () => {
+  it('changes every quarter octave of zoom', () => {
+    expect(getLabelLevel(1)).toBe(0);
+    expect(getLabelLevel(1.05)).toBe(0);
+    expect(getLabelLevel(1.1)).toBe(1);
+    expect(getLabelLevel(2)).toBe(4);
+    expect(getLabelLevel(0.5)).toBe(-4);
+    expect(getLabelLevel(undefined)).toBe(getLabelLevel(DEFAULT_GRAPH_ZOOM));
+  });
+});
+
+describe('label level of detail', () => {
+  it('always labels platforms and labels the largest applications up to the zoom budget', () => {
+    const atOne = labelledIds(1);
+
+    expect(atOne.slice(0, 2)).toEqual(['data lake', 'warehouse']);
+    expect(atOne).toHaveLength(2 + 25);
+    expect(atOne).toContain('app-60');
+    expect(atOne).not.toContain('app-35');
+    expect(atOne).not.toContain('bundle:data lake:in');
+  });
+
+  it('labels more applications when zoomed in and fewer when zoomed out', () => {
+    expect(labelledIds(0.5)).toHaveLength(2 + 6);
+    expect(labelledIds(2)).toHaveLength(2 + 60);
+  });
+
+  it('labels overlay nodes with a label regardless of the budget and hides labels outside the overlay', () => {
+    const overlay = { nodes: new Map([['app-1', { label: '(hop 1)' }], ['app-60', {}]]) };
+
+    expect(labelledIds(1, overlay)).toEqual(['app-1', 'app-60']);
+  });
+
+  it('hides overlapping labels', () => {
+    expect(getChartOptions(data).series[0].labelLayout.hideOverlap).toBe(true);
+  });
+});
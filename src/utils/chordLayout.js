@@ -0,0 +1,282 @@
+/**
+ * Chord Layout Utility
+ *
+ * Platform interconnection view: every data platform is an arc on a circle and every pair of
+ * platforms sharing applications (source of one, downstream of the other) is a ribbon whose
+ * width is the number of shared applications. ECharts 5 has no chord series, so the geometry
+ * is computed here (as angles, independent of the chart size) and drawn with custom series.
+ */
+
+import { getPlatformKey } from './entityKeys';
+import { getLinkEndpointId } from './graphIndex';
+import { computePlatformConnections, formatSharedApps } from './platformConnections';
+
+// Series names, used by event handlers to tell arcs from ribbons
+export const CHORD_SERIES = {
+  platforms: 'chord-platforms',
+  connections: 'chord-connections',
+};
+
+const ARC_GAP = 0.04; // radians between neighbouring arcs
+const ARC_WIDTH = 14;
+const LABEL_SPACE = 90;
+const START_ANGLE = -Math.PI / 2; // first arc starts at 12 o'clock
+
+// { nodes, links, chartType: 'chord' }: nodes carry startAngle/endAngle, links carry
+// sourceSpan/targetSpan ([start, end] angles on each platform's arc) and the shared applications
+export const getChordGraphData = (sourceEntityList = [], downstreamEntityList = [], colorMap = {}, options = {}) => {
+  const connections = computePlatformConnections(sourceEntityList, downstreamEntityList, options.applicationIndex);
+
+  // Every platform gets an arc, even without connections
+  const platforms = new Map();
+  const getPlatform = (id) => {
+    if (!platforms.has(id)) {
+      platforms.set(id, { id, name: id, type: 'dataplatform', value: 0, tables: 0, connections: [] });
+    }
+    return platforms.get(id);
+  };
+  sourceEntityList.forEach(row => {
+    getPlatform(getPlatformKey(row)).tables += Number(row?.source_table_count) || 0;
+  });
+  downstreamEntityList.forEach(row => getPlatform(getPlatformKey(row)));
+
+  const links = connections.map(connection => {
+    const link = {
+      source: connection.source,
+      target: connection.target,
+      value: connection.sharedApps.length,
+      sharedApps: connection.sharedApps,
+    };
+    [connection.source, connection.target].forEach(id => {
+      const platform = getPlatform(id);
+      platform.value += link.value;
+      platform.connections.push(link);
+    });
+    return link;
+  });
+
+  const nodes = Array.from(platforms.values())
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+  const order = new Map(nodes.map((node, index) => [node.id, index]));
+
+  // Unconnected platforms still get a sliver so they stay visible
+  const totalValue = nodes.reduce((sum, node) => sum + node.value, 0);
+  const minWeight = Math.max(1, totalValue * 0.02);
+  const totalWeight = nodes.reduce((sum, node) => sum + Math.max(node.value, minWeight), 0);
+  const gap = nodes.length > 1 ? ARC_GAP : 0;
+  const anglePerWeight = totalWeight > 0 ? (2 * Math.PI - gap * nodes.length) / totalWeight : 0;
+
+  let angle = START_ANGLE;
+  nodes.forEach(node => {
+    const arcAngle = Math.max(node.value, minWeight) * anglePerWeight;
+    node.startAngle = angle;
+    node.endAngle = angle + arcAngle;
+
+    // Ribbons leave the arc in the order of the platforms they lead to, which limits crossings
+    const other = link => (link.source === node.id ? link.target : link.source);
+    let spanStart = angle;
+    node.connections
+      .sort((a, b) => order.get(other(a)) - order.get(other(b)))
+      .forEach(link => {
+        const span = [spanStart, spanStart + link.value * anglePerWeight];
+        if (link.source === node.id) link.sourceSpan = span;
+        else link.targetSpan = span;
+        spanStart = span[1];
+      });
+
+    angle += arcAngle + gap;
+  });
+
+  return {
+    nodes: nodes.map(({ connections: nodeLinks, ...node }) => ({
+      ...node,
+      connectionCount: nodeLinks.length,
+      itemStyle: { color: colorMap[node.id] || colorMap.dataplatform },
+    })),
+    links,
+    chartType: 'chord',
+  };
+};
+
+// Circle fitted into the chart, leaving room for the labels
+const getCircle = (api) => ({
+  cx: api.getWidth() / 2,
+  cy: api.getHeight() / 2 + 20,
+  radius: Math.max(40, Math.min(api.getWidth(), api.getHeight() - 40) / 2 - LABEL_SPACE),
+});
+
+const pointAt = (cx, cy, radius, angle) => [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+
+// SVG path of a ribbon: along one arc span, through the centre to the other span and back
+const getRibbonPath = ({ cx, cy, radius }, [s0, s1], [t0, t1]) => {
+  const arc = (from, to) => {
+    const [x, y] = pointAt(cx, cy, radius, to);
+    return `A ${radius} ${radius} 0 ${to - from > Math.PI ? 1 : 0} 1 ${x} ${y}`;
+  };
+  const [sx, sy] = pointAt(cx, cy, radius, s0);
+  const [tx, ty] = pointAt(cx, cy, radius, t0);
+  return [
+    `M ${sx} ${sy}`,
+    arc(s0, s1),
+    `Q ${cx} ${cy} ${tx} ${ty}`,
+    arc(t0, t1),
+    `Q ${cx} ${cy} ${sx} ${sy}`,
+    'Z',
+  ].join(' ');
+};
+
+// ECharts option for chord graph data; `overlay` works as in getChartOptions
+export const getChordOptions = (data, overlay = null) => {
+  if (!data || !data.nodes || !data.links) {
+    return {};
+  }
+
+  try {
+    const dimOpacity = overlay && overlay.dimOpacity !== undefined ? overlay.dimOpacity : 0.15;
+    const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+    const inOverlay = (id) => !overlay || overlay.nodes.has(id);
+
+    const arcs = data.nodes.map(node => {
+      const overlayStyle = overlay ? overlay.nodes.get(node.id) : null;
+      return {
+        ...node,
+        color: (overlayStyle && overlayStyle.color) || node.itemStyle.color,
+        borderColor: overlayStyle && overlayStyle.borderColor,
+        opacity: inOverlay(node.id) ? 1 : dimOpacity,
+        labelText: overlayStyle && overlayStyle.label ? `${node.name} ${overlayStyle.label}` : node.name,
+      };
+    });
+
+    // Ribbons without spans (zero shared applications) are not drawn
+    const ribbons = data.links.filter(link => link.sourceSpan && link.targetSpan).map(link => {
+      const sourceId = getLinkEndpointId(link.source);
+      const targetId = getLinkEndpointId(link.target);
+      const source = nodesById.get(sourceId);
+      return {
+        ...link,
+        color: source ? source.itemStyle.color : '#999',
+        opacity: inOverlay(sourceId) && inOverlay(targetId) ? 0.55 : dimOpacity / 3,
+      };
+    });
+
+    return {
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        appendToBody: true,
+        formatter: (params) => {
+          try {
+            if (!params || !params.data) return '';
+            const item = params.data;
+
+            if (params.seriesName === CHORD_SERIES.connections) {
+              return `
+                <div>
+                  <strong>${item.source} ↔ ${item.target}</strong><br/>
+                  Shared applications: ${item.sharedApps.length}<br/>
+                  ${formatSharedApps(item.sharedApps)}
+                </div>
+              `;
+            }
+
+            return `
+              <div>
+                <strong>${item.name || 'Unknown'}</strong><br/>
+                Type: Data Platform<br/>
+                Connected platforms: ${item.connectionCount}<br/>
+                Shared applications: ${item.value}<br/>
+                Tables: ${item.tables || 0}
+              </div>
+            `;
+          } catch (error) {
+            console.error('Error in tooltip formatter:', error);
+            return '';
+          }
+        }
+      },
+      animation: false,
+      series: [
+        {
+          // Series 0 holds the nodes so selection highlights address them by dataIndex
+          type: 'custom',
+          name: CHORD_SERIES.platforms,
+          coordinateSystem: 'none',
+          data: arcs,
+          z: 2,
+          renderItem: (params, api) => {
+            const arc = arcs[params.dataIndex];
+            const circle = getCircle(api);
+            const midAngle = (arc.startAngle + arc.endAngle) / 2;
+            const [labelX, labelY] = pointAt(circle.cx, circle.cy, circle.radius + ARC_WIDTH + 8, midAngle);
+
+            return {
+              type: 'group',
+              children: [
+                {
+                  type: 'sector',
+                  shape: {
+                    cx: circle.cx,
+                    cy: circle.cy,
+                    r0: circle.radius,
+                    r: circle.radius + ARC_WIDTH,
+                    startAngle: arc.startAngle,
+                    endAngle: arc.endAngle,
+                  },
+                  style: {
+                    fill: arc.color,
+                    opacity: arc.opacity,
+                    stroke: arc.borderColor || null,
+                    lineWidth: arc.borderColor ? 3 : 0,
+                  },
+                  emphasis: {
+                    style: { stroke: '#FFD700', lineWidth: 3 },
+                  },
+                },
+                {
+                  type: 'text',
+                  x: labelX,
+                  y: labelY,
+                  silent: true,
+                  style: {
+                    text: arc.labelText,
+                    fill: '#333',
+                    opacity: arc.opacity,
+                    fontSize: 12,
+                    align: Math.cos(midAngle) >= 0 ? 'left' : 'right',
+                    verticalAlign: 'middle',
+                  },
+                },
+              ],
+            };
+          },
+        },
+        {
+          type: 'custom',
+          name: CHORD_SERIES.connections,
+          coordinateSystem: 'none',
+          data: ribbons,
+          z: 1,
+          renderItem: (params, api) => {
+            const ribbon = ribbons[params.dataIndex];
+            return {
+              type: 'path',
+              shape: {
+                pathData: getRibbonPath(getCircle(api), ribbon.sourceSpan, ribbon.targetSpan),
+              },
+              style: {
+                fill: ribbon.color,
+                opacity: ribbon.opacity,
+              },
+              emphasis: {
+                style: { opacity: 0.9 },
+              },
+            };
+          },
+        },
+      ],
+    };
+  } catch (error) {
+    console.error('Error generating chord options:', error);
+    return {};
+  }
+};
@@ -0,0 +1,75 @@
+import { getChordGraphData, getChordOptions, CHORD_SERIES } from './chordLayout';
+import { sourceRow, downstreamRow } from './testUtils';
+
+// Billing bridges Data Lake and Stream, Payments bridges Warehouse and Stream, Crm bridges nothing
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake', 3),
+  sourceRow('Payments', 'Warehouse', 2),
+  sourceRow('Crm', 'Archive', 5),
+];
+const downstreamEntityList = [downstreamRow('Billing', 'Stream'), downstreamRow('Payments', 'Stream')];
+
+const colorMap = { dataplatform: '#999', stream: '#f00' };
+
+describe('getChordGraphData', () => {
+  const data = getChordGraphData(sourceEntityList, downstreamEntityList, colorMap);
+  const byId = new Map(data.nodes.map(node => [node.id, node]));
+  const arcLength = (node) => node.endAngle - node.startAngle;
+
+  it('orders platforms by shared applications and keeps unconnected platforms', () => {
+    expect(data.chartType).toBe('chord');
+    expect(data.nodes.map(node => node.id)).toEqual(['stream', 'data lake', 'warehouse', 'archive']);
+    expect(byId.get('stream')).toMatchObject({ value: 2, connectionCount: 2, itemStyle: { color: '#f00' } });
+    expect(byId.get('archive')).toMatchObject({ value: 0, tables: 5, connectionCount: 0, itemStyle: { color: '#999' } });
+    expect(arcLength(byId.get('archive'))).toBeGreaterThan(0);
+  });
+
+  it('lays the arcs around the full circle, starting at 12 o\'clock', () => {
+    const gaps = data.nodes.length * 0.04;
+    const total = data.nodes.reduce((sum, node) => sum + arcLength(node), 0);
+
+    expect(data.nodes[0].startAngle).toBeCloseTo(-Math.PI / 2);
+    expect(total + gaps).toBeCloseTo(2 * Math.PI);
+    data.nodes.slice(1).forEach((node, index) => {
+      expect(node.startAngle).toBeCloseTo(data.nodes[index].endAngle + 0.04);
+    });
+  });
+
+  it('gives every link a span on both platform arcs, sized by its shared applications', () => {
+    expect(data.links.map(({ source, target, value }) => [source, target, value]).sort()).toEqual([
+      ['data lake', 'stream', 1],
+      ['warehouse', 'stream', 1],
+    ]);
+
+    data.links.forEach(link => {
+      [[link.source, link.sourceSpan], [link.target, link.targetSpan]].forEach(([id, [start, end]]) => {
+        const node = byId.get(id);
+        expect(start).toBeGreaterThanOrEqual(node.startAngle - 1e-9);
+        expect(end).toBeLessThanOrEqual(node.endAngle + 1e-9);
+        expect(end - start).toBeCloseTo(arcLength(byId.get('data lake')));
+      });
+    });
+  });
+});
+
+describe('getChordOptions', () => {
+  const data = getChordGraphData(sourceEntityList, downstreamEntityList, colorMap);
+
+  it('returns an empty option without graph data', () => {
+    expect(getChordOptions(null)).toEqual({});
+  });
+
+  it('draws arcs and ribbons as custom series, dimming what the overlay leaves out', () => {
+    const overlay = { nodes: new Map([['stream', { label: '(1)' }], ['data lake', {}]]), dimOpacity: 0.2 };
+    const [arcs, ribbons] = getChordOptions(data, overlay).series;
+
+    expect(arcs.name).toBe(CHORD_SERIES.platforms);
+    expect(arcs.data.find(arc => arc.id === 'stream')).toMatchObject({ opacity: 1, labelText: 'stream (1)' });
+    expect(arcs.data.find(arc => arc.id === 'warehouse').opacity).toBe(0.2);
+
+    expect(ribbons.name).toBe(CHORD_SERIES.connections);
+    const opacityByPair = Object.fromEntries(ribbons.data.map(ribbon => [`${ribbon.source}|${ribbon.target}`, ribbon.opacity]));
+    expect(opacityByPair['data lake|stream']).toBe(0.55);
+    expect(opacityByPair['warehouse|stream']).toBeCloseTo(0.2 / 3);
+  });
+});
@@ -1,14 +1,20 @@
 /**
  * Data Generator Utility
  * 
- * This utility generates mock data for the relationship visualization with the following structure:
+ * This utility generates mock data for the relationship visualization and builds the
+ * traditional layout from source/downstream entity lists, with the following structure:
  * - Node types: DataPlatform, Source, Downstream
  * - Layout: Three-column layout with specific layer assignments
  * - Node attributes: id, type, label, x, y coordinates, and connection counts
+ *
+ * All randomness goes through a seeded generator so results are reproducible.
  */
 
+import { createRandom, DEFAULT_LAYOUT_SEED, DEFAULT_MOCK_DATA_SEED } from './random';
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
 // Helper function to calculate node positions
-const calculateNodePositions = (nodes, links) => {
+const calculateNodePositions = (nodes, links, random = createRandom(DEFAULT_LAYOUT_SEED)) => {
   // Use fixed dimensions for consistent layout regardless of window size
   const width = 3000; // Further increased width for better horizontal spacing
   const height = 2400; // Further increased height for better vertical spacing
@@ -118,8 +124,8 @@ const calculateNodePositions = (nodes, links) => {
       const yPosition = (layer + 1) * layerHeight + columnOffset + inColumnOffset;
       
       // Add minimal controlled randomness to maintain the staggered pattern while avoiding perfect alignment
-      const jitterX = Math.random() * 20 - 10;
-      const jitterY = Math.random() * 20 - 10;
+      const jitterX = random() * 20 - 10;
+      const jitterY = random() * 20 - 10;
       
       positionedNodes.push({
         ...node,
@@ -133,125 +139,180 @@ const calculateNodePositions = (nodes, links) => {
   return positionedNodes;
 };
 
-// Generate mock data for the visualization
-export const generateMockData = () => {
-  // Create data platforms (central nodes) - increased to 4
-  const dataPlatforms = [
-    { id: 'dp1', type: 'DataPlatform', label: 'Data Warehouse' },
-    { id: 'dp2', type: 'DataPlatform', label: 'Data Lake' },
-    { id: 'dp3', type: 'DataPlatform', label: 'Stream Processing' },
-    { id: 'dp4', type: 'DataPlatform', label: 'Big Data Platform' }
-  ];
+// Mock history spans two years; fixed dates keep the generated data reproducible
+const HISTORY_START = Date.UTC(2023, 0, 1);
+const HISTORY_END = Date.UTC(2024, 11, 31);
+const DAY = 24 * 60 * 60 * 1000;
+
+const toIsoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Dated history for the timeline: half of the rows exist from the start and the rest arrive over
+// time; some rows are retired later and some change their table count (an old version of the row
+// until the change and a new version from then on)
+const addMockHistory = (rows, tableField, random) => rows.flatMap(row => {
+  const from = random() < 0.5 ? HISTORY_START : HISTORY_START + Math.floor(random() * (HISTORY_END - HISTORY_START) * 0.9);
+  const dated = { ...row, valid_from: toIsoDate(from) };
+  // At least a month after `from`, so every version is valid for a while
+  const laterDate = () => from + 30 * DAY + Math.floor(random() * (HISTORY_END - from - 30 * DAY));
+  const roll = random();
+
+  if (roll < 0.15) {
+    return [{ ...dated, valid_to: toIsoDate(laterDate()) }];
+  }
+  if (roll < 0.3) {
+    const changed = toIsoDate(laterDate());
+    return [
+      { ...dated, valid_to: changed },
+      { ...dated, unique_key: `${row.unique_key}-v2`, valid_from: changed, [tableField]: Math.floor(random() * 100) + 1 },
+    ];
+  }
+  return [dated];
+});
+
+// Generate mock source/downstream entity lists in the same shape as the inventory export.
+// With `history` the rows carry valid_from/valid_to dates for the timeline.
+export const generateMockEntityLists = ({ random = createRandom(DEFAULT_MOCK_DATA_SEED), history = false } = {}) => {
+  const dataPlatforms = ['data warehouse', 'data lake', 'stream processing', 'big data platform', 'data mesh'];
   
-  // Generate 150 source systems
-  const sources = [];
-  const sourceTypes = [
-    'CRM', 'ERP', 'POS', 'Web Analytics', 'Mobile App', 'IoT Devices', 'Social Media', 
-    'Email', 'Call Center', 'Survey', 'External API', 'Legacy System', 'Database', 
-    'File System', 'Messaging Queue', 'Sensor Data', 'Payment Gateway', 'Third-party Service'
-  ];
+  // 创建更多的源节点，有些会连接到多个数据平台
+  const sourceEntityList = [];
   
-  for (let i = 1; i <= 150; i++) {
-    const typeIndex = Math.floor(Math.random() * sourceTypes.length);
-    sources.push({
-      id: `s${i}`,
-      type: 'Source',
-      label: `${sourceTypes[typeIndex]} ${i}`
-    });
+  // 创建200多个源节点
+  for (let i = 0; i < 250; i++) {
+    // 决定这个源节点连接到几个数据平台 (1-3个)
+    const platformCount = Math.floor(random() * 3) + 1;
+    
+    // 为每个连接创建一个实体
+    for (let j = 0; j < platformCount; j++) {
+      const platformIndex = Math.floor(random() * dataPlatforms.length);
+      sourceEntityList.push({
+        unique_key: `source-${i}-platform-${j}`,
+        data_platform: dataPlatforms[platformIndex],
+        source_app_bus_org: 'Business Org ' + (i % 5),
+        source_app_it_dir: 'IT Dir ' + (i % 3),
+        source_application_name: `Source App ${i}`, // 相同名称表示同一个应用连接到多个平台
+        source_data_gbgf: 'GBGF-' + (i % 10),
+        source_eim_id: `EIM-${1000 + i}`,
+        source_table_count: Math.floor(random() * 100) + 1
+      });
+    }
   }
   
-  // Generate 150 downstream applications
-  const downstreams = [];
-  const downstreamTypes = [
-    'BI Dashboard', 'Analytics', 'Reporting', 'Marketing Platform', 'Recommendation Engine',
-    'Fraud Detection', 'Inventory Management', 'Customer Support', 'Forecasting', 
-    'Alerting', 'Monitoring', 'Visualization', 'Machine Learning', 'AI Model', 
-    'Decision Support', 'Operational Dashboard', 'Mobile App', 'Web Portal'
-  ];
+  // 创建下游节点，有些会连接到多个数据平台，有些与源节点同名（既是源也是下游）
+  const downstreamEntityList = [];
   
-  for (let i = 1; i <= 150; i++) {
-    const typeIndex = Math.floor(Math.random() * downstreamTypes.length);
-    downstreams.push({
-      id: `d${i}`,
-      type: 'Downstream',
-      label: `${downstreamTypes[typeIndex]} ${i}`
-    });
+  // 创建300多个下游节点
+  for (let i = 0; i < 350; i++) {
+    // 决定这个下游节点连接到几个数据平台 (1-3个)
+    const platformCount = Math.floor(random() * 3) + 1;
+    
+    // 有20%的概率，这个节点也是一个源节点（使用相同的名称）
+    const isMixed = random() < 0.2;
+    const appName = isMixed ? `Source App ${Math.floor(random() * 100)}` : `Downstream App ${i}`;
+    
+    // 为每个连接创建一个实体
+    for (let j = 0; j < platformCount; j++) {
+      const platformIndex = Math.floor(random() * dataPlatforms.length);
+      downstreamEntityList.push({
+        unique_key: `downstream-${i}-platform-${j}`,
+        data_platform: dataPlatforms[platformIndex],
+        downstream_app_bus_org: 'Business Org ' + (i % 5),
+        downstream_app_it_dir: 'IT Dir ' + (i % 3),
+        downstream_application_abbr: 'DS-' + i,
+        downstream_application_gbgf: 'GBGF-' + (i % 10),
+        downstream_application_name: appName,
+        downstream_eid_id: `EID-${2000 + i}`,
+        share_to_downstream_table_count: Math.floor(random() * 100) + 1
+      });
+    }
   }
   
-  // Create mixed nodes (both source and downstream)
-  const mixedNodes = [];
-  const mixedTypes = ['Database', 'API Gateway', 'Transaction System', 'Integration Service', 'Data Service'];
-  
-  for (let i = 1; i <= 10; i++) {
-    const typeIndex = Math.floor(Math.random() * mixedTypes.length);
-    mixedNodes.push({
-      id: `m${i}`,
-      type: 'Source',
-      label: `${mixedTypes[typeIndex]} ${i}`,
-      isMixed: true
-    });
+  // History is drawn after the rows, so the undated rows are the same with or without it
+  if (history) {
+    return {
+      sourceEntityList: addMockHistory(sourceEntityList, 'source_table_count', random),
+      downstreamEntityList: addMockHistory(downstreamEntityList, 'share_to_downstream_table_count', random),
+    };
+  }
+  return { sourceEntityList, downstreamEntityList };
+};
+
+// Build the traditional three-column layout from source/downstream entity lists
+export const getTraditionalGraphData = (sourceEntityList, downstreamEntityList, colorMap = {}, options = {}) => {
+  if (!sourceEntityList || !downstreamEntityList) {
+    return { nodes: [], links: [] };
   }
   
-  // Combine all nodes
-  const allNodes = [...dataPlatforms, ...sources, ...downstreams, ...mixedNodes];
+  const platformNodes = new Map();
+  const appNodes = new Map();
+  const linkMap = new Map();
   
-  // Create links between nodes
-  const links = [];
+  const getPlatformNode = (row) => {
+    const platformKey = getPlatformKey(row);
+    if (!platformNodes.has(platformKey)) {
+      platformNodes.set(platformKey, {
+        id: platformKey,
+        type: 'DataPlatform',
+        label: platformKey,
+        name: platformKey,
+        tables: 0,
+        itemStyle: { color: colorMap[platformKey] || colorMap['dataplatform'] || '#4285F4' }
+      });
+    }
+    return platformNodes.get(platformKey);
+  };
+  
+  // One link per app/platform pair; repeated rows add to its table count
+  const addLink = (source, target, value) => {
+    const key = `${source}->${target}`;
+    if (linkMap.has(key)) {
+      linkMap.get(key).value += value;
+      return;
+    }
+    linkMap.set(key, { source, target, value });
+  };
   
   // Connect sources to data platforms
-  sources.forEach((source, index) => {
-    // Distribute sources across data platforms
-    const dpIndex = index % dataPlatforms.length;
-    links.push({ source: source.id, target: dataPlatforms[dpIndex].id });
+  sourceEntityList.forEach(row => {
+    const name = String(row?.['source_application_name'] || 'Unknown');
+    const tables = Number(row?.['source_table_count']) || 0;
+    const platformNode = getPlatformNode(row);
+    const id = getApplicationKey(name);
     
-    // Add some additional connections for complexity
-    if (index % 5 === 0) {
-      const secondDpIndex = (dpIndex + 1) % dataPlatforms.length;
-      links.push({ source: source.id, target: dataPlatforms[secondDpIndex].id });
+    if (!appNodes.has(id)) {
+      appNodes.set(id, { id, type: 'Source', label: name, name, tables: 0, dataPlatform: platformNode.id });
     }
+    appNodes.get(id).tables += tables;
+    platformNode.tables += tables;
+    addLink(id, platformNode.id, tables);
   });
   
-  // Connect data platforms to downstream applications
-  downstreams.forEach((downstream, index) => {
-    // Distribute downstream applications across data platforms
-    const dpIndex = index % dataPlatforms.length;
-    links.push({ source: dataPlatforms[dpIndex].id, target: downstream.id });
+  // Connect data platforms to downstream applications; apps already seen as sources become mixed
+  downstreamEntityList.forEach(row => {
+    const name = String(row?.['downstream_application_name'] || 'Unknown');
+    const tables = Number(row?.['share_to_downstream_table_count']) || 0;
+    const platformNode = getPlatformNode(row);
+    const id = getApplicationKey(name);
     
-    // Add some additional connections for complexity
-    if (index % 7 === 0) {
-      const secondDpIndex = (dpIndex + 2) % dataPlatforms.length;
-      links.push({ source: dataPlatforms[secondDpIndex].id, target: downstream.id });
+    if (!appNodes.has(id)) {
+      appNodes.set(id, { id, type: 'Downstream', label: name, name, tables: 0, dataPlatform: platformNode.id });
+    } else if (appNodes.get(id).type === 'Source') {
+      appNodes.get(id).isMixed = true;
     }
+    appNodes.get(id).tables += tables;
+    addLink(platformNode.id, id, tables);
   });
   
-  // Connect mixed nodes
-  mixedNodes.forEach((mixedNode, index) => {
-    // Connect as source
-    const sourceDpIndex = index % dataPlatforms.length;
-    links.push({ source: mixedNode.id, target: dataPlatforms[sourceDpIndex].id });
-    
-    // Connect as downstream
-    const targetDpIndex = (index + 1) % dataPlatforms.length;
-    links.push({ source: dataPlatforms[targetDpIndex].id, target: mixedNode.id });
+  appNodes.forEach(node => {
+    const colorKey = node.isMixed ? 'mixed' : node.type.toLowerCase();
+    node.itemStyle = { color: colorMap[colorKey] || (node.isMixed ? '#AA46BC' : node.type === 'Source' ? '#34A853' : '#EA4335') };
   });
   
-  // Connect data platforms to each other
-  for (let i = 0; i < dataPlatforms.length; i++) {
-    const nextIndex = (i + 1) % dataPlatforms.length;
-    links.push({ source: dataPlatforms[i].id, target: dataPlatforms[nextIndex].id });
-  }
-  
-  // Convert string IDs to objects for ECharts
-  const formattedLinks = links.map(link => ({
-    source: link.source,
-    target: link.target
-  }));
-  
-  // Calculate positions for all nodes
-  const positionedNodes = calculateNodePositions(allNodes, links);
+  const allNodes = [...platformNodes.values(), ...appNodes.values()];
+  const links = Array.from(linkMap.values());
   
   return {
-    nodes: positionedNodes,
-    links: formattedLinks
+    nodes: calculateNodePositions(allNodes, links, options.random),
+    links
   };
 };
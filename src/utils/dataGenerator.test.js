@@ -0,0 +1,21 @@
+import { getTraditionalGraphData } from './dataGenerator';
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { createRandom } from './random';
+import { sourceRow, downstreamRow } from './testUtils';
+
+describe('getTraditionalGraphData', () => {
+  it('keys platform and application nodes like the other layouts', () => {
+    const data = getTraditionalGraphData(
+      [sourceRow(' Billing', ' Data Lake ', 2)],
+      [downstreamRow('Reporting', 'data lake', 1)],
+      {},
+      { random: createRandom(1) }
+    );
+
+    expect(data.nodes.map(node => node.id).sort()).toEqual(['billing', 'data lake', 'reporting']);
+    expect(data.nodes.find(node => node.id === getPlatformKey({ data_platform: 'Data Lake' })).tables).toBe(2);
+    expect(data.links.map(link => `${link.source}->${link.target}`)).toEqual(
+      expect.arrayContaining([`${getApplicationKey(' Billing')}->data lake`, 'data lake->reporting'])
+    );
+  });
+});
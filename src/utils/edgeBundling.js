@@ -0,0 +1,141 @@
+/**
+ * Edge Bundling Utility
+ *
+ * Hierarchical edge bundling for positioned graph data (Venn Network layout). Application ->
+ * platform links are grouped by platform, direction and business org and routed through
+ * invisible waypoint nodes:
+ *
+ *   application -> org waypoint -> platform hub -> platform      (sources)
+ *   platform -> platform hub -> org waypoint -> application      (downstreams)
+ *
+ * The org -> hub and hub -> platform segments are the shared bundles, drawn once in the platform
+ * colour with a width that grows with the number of links they carry; the application segments
+ * fan out again near the applications. Waypoints are appended after the existing nodes, so node
+ * data indices (selection, highlight) stay valid. Every segment lists the links it carries in
+ * `originalLinks` ([{ source, target }] node ids), so overlays can style it like those links.
+ */
+
+import { getLinkEndpointId } from './graphIndex';
+import { getNodeKind } from './exporters';
+
+// How far the platform hub sits from the platform towards its applications, and how far the
+// org waypoints sit from their applications towards the hub
+const HUB_POSITION = 0.35;
+const ORG_POSITION = 0.45;
+
+const NO_ORG = 'No business org';
+
+const WAYPOINT_STYLE = {
+  symbolSize: 0,
+  label: { show: false },
+  emphasis: { label: { show: false } },
+  tooltip: { show: false },
+};
+
+const getBundleWidth = (count) => Math.min(10, 1 + Math.sqrt(count) * 1.2);
+
+const centroid = (nodes) => [
+  nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length,
+  nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length,
+];
+
+const between = ([x1, y1], [x2, y2], t) => [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+
+const getOriginalLinks = (members) => members.map(({ link }) => ({
+  source: getLinkEndpointId(link.source),
+  target: getLinkEndpointId(link.target),
+}));
+
+// Returns new graph data with bundled application links; other links (e.g. between platforms) are kept
+export const bundleGraphEdges = (data) => {
+  if (!data || !data.nodes || !data.links) return data;
+
+  const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+  const isPlatform = (node) => getNodeKind(node) === 'dataplatform';
+  const hasPosition = (node) => Number.isFinite(node.x) && Number.isFinite(node.y);
+
+  // platform -> direction -> org -> [{ link, app }]
+  const groups = new Map();
+  const keptLinks = [];
+
+  data.links.forEach(link => {
+    const source = nodesById.get(getLinkEndpointId(link.source));
+    const target = nodesById.get(getLinkEndpointId(link.target));
+    const isIncoming = source && target && !isPlatform(source) && isPlatform(target);
+    const isOutgoing = source && target && isPlatform(source) && !isPlatform(target);
+    // Links faded out by the timeline are not bundled
+    if ((!isIncoming && !isOutgoing) || link.inactive || !hasPosition(source) || !hasPosition(target)) {
+      keptLinks.push(link);
+      return;
+    }
+
+    const platform = isIncoming ? target : source;
+    const app = isIncoming ? source : target;
+    const direction = isIncoming ? 'in' : 'out';
+    const org = app.busOrg || NO_ORG;
+
+    if (!groups.has(platform.id)) groups.set(platform.id, new Map());
+    const directions = groups.get(platform.id);
+    if (!directions.has(direction)) directions.set(direction, new Map());
+    const orgs = directions.get(direction);
+    if (!orgs.has(org)) orgs.set(org, []);
+    orgs.get(org).push({ link, app });
+  });
+
+  const waypoints = [];
+  const bundledLinks = [];
+
+  groups.forEach((directions, platformId) => {
+    const platform = nodesById.get(platformId);
+    const color = platform.itemStyle && platform.itemStyle.color;
+
+    directions.forEach((orgs, direction) => {
+      const members = Array.from(orgs.values()).flat();
+      const isIncoming = direction === 'in';
+      const hubId = `bundle:${platformId}:${direction}`;
+      const hubPosition = between([platform.x, platform.y], centroid(members.map(member => member.app)), HUB_POSITION);
+      waypoints.push({ id: hubId, name: hubId, type: 'bundle', x: hubPosition[0], y: hubPosition[1], ...WAYPOINT_STYLE });
+
+      bundledLinks.push({
+        source: isIncoming ? hubId : platformId,
+        target: isIncoming ? platformId : hubId,
+        bundle: { platform: platformId, count: members.length, direction },
+        originalLinks: getOriginalLinks(members),
+        value: members.reduce((sum, member) => sum + (member.link.value || 0), 0),
+        symbol: isIncoming ? ['none', 'arrow'] : ['none', 'none'],
+        lineStyle: { color, width: getBundleWidth(members.length), opacity: 0.6, curveness: 0 },
+      });
+
+      orgs.forEach((orgMembers, org) => {
+        const orgId = `bundle:${platformId}:${direction}:${org}`;
+        const orgPosition = between(centroid(orgMembers.map(member => member.app)), hubPosition, ORG_POSITION);
+        waypoints.push({ id: orgId, name: orgId, type: 'bundle', x: orgPosition[0], y: orgPosition[1], ...WAYPOINT_STYLE });
+
+        // Segments point the same way as the links they replace; only the last one has an arrow
+        bundledLinks.push({
+          source: isIncoming ? orgId : hubId,
+          target: isIncoming ? hubId : orgId,
+          bundle: { platform: platformId, org, count: orgMembers.length, direction },
+          originalLinks: getOriginalLinks(orgMembers),
+          value: orgMembers.reduce((sum, member) => sum + (member.link.value || 0), 0),
+          symbol: ['none', 'none'],
+          lineStyle: { color, width: getBundleWidth(orgMembers.length), opacity: 0.5, curveness: 0.15 },
+        });
+
+        // Fan-out: each application keeps its own link, style and arrow
+        orgMembers.forEach(({ link, app }) => {
+          bundledLinks.push({
+            ...link,
+            originalLinks: getOriginalLinks([{ link }]),
+            source: isIncoming ? app.id : orgId,
+            target: isIncoming ? orgId : app.id,
+            symbol: isIncoming ? ['none', 'none'] : ['none', 'arrow'],
+            lineStyle: { ...link.lineStyle, curveness: 0.1 },
+          });
+        });
+      });
+    });
+  });
+
+  return { ...data, nodes: [...data.nodes, ...waypoints], links: [...keptLinks, ...bundledLinks] };
+};
@@ -0,0 +1,60 @@
+import { bundleGraphEdges } from './edgeBundling';
+import { getChartOptions } from './chartOptions';
+
+const graph = {
+  nodes: [
+    { id: 'billing', name: 'Billing', type: 'Source', busOrg: 'Finance', x: 0, y: 0 },
+    { id: 'payments', name: 'Payments', type: 'Source', busOrg: 'Finance', x: 0, y: 100 },
+    { id: 'data lake', name: 'Data Lake', type: 'DataPlatform', x: 500, y: 50, itemStyle: { color: '#4285F4' } },
+    { id: 'reporting', name: 'Reporting', type: 'Downstream', x: 1000, y: 50 },
+  ],
+  links: [
+    { source: 'billing', target: 'data lake', value: 4 },
+    { source: 'payments', target: 'data lake', value: 2 },
+    { source: 'data lake', target: 'reporting', value: 1 },
+  ],
+};
+
+const linkKey = (link) => `${link.source}->${link.target}`;
+
+describe('bundleGraphEdges', () => {
+  const bundled = bundleGraphEdges(graph);
+
+  it('routes application links through waypoints appended after the existing nodes', () => {
+    expect(bundled.nodes.slice(0, graph.nodes.length)).toEqual(graph.nodes);
+    expect(bundled.nodes.slice(graph.nodes.length).every(node => node.type === 'bundle')).toBe(true);
+    expect(bundled.links.map(linkKey)).toEqual(expect.arrayContaining([
+      'bundle:data lake:in->data lake',
+      'billing->bundle:data lake:in:Finance',
+      'data lake->bundle:data lake:out',
+    ]));
+  });
+
+  it('lists the original links carried by each segment', () => {
+    const trunk = bundled.links.find(link => linkKey(link) === 'bundle:data lake:in->data lake');
+    const fanOut = bundled.links.find(link => linkKey(link) === 'billing->bundle:data lake:in:Finance');
+
+    expect(trunk.originalLinks).toEqual([
+      { source: 'billing', target: 'data lake' },
+      { source: 'payments', target: 'data lake' },
+    ]);
+    expect(fanOut.originalLinks).toEqual([{ source: 'billing', target: 'data lake' }]);
+  });
+
+  it('keeps the segments of highlighted links visible under an overlay', () => {
+    const overlay = {
+      nodes: new Map([['billing', {}], ['data lake', {}]]),
+      links: new Map([['billing->data lake', { color: '#D32F2F', type: 'dashed' }]]),
+      dimOpacity: 0.2,
+    };
+    const links = getChartOptions(bundled, null, overlay).series[0].links;
+    const visible = links.filter(link => link.lineStyle.opacity > overlay.dimOpacity);
+
+    expect(visible.map(linkKey).sort()).toEqual([
+      'billing->bundle:data lake:in:Finance',
+      'bundle:data lake:in->data lake',
+      'bundle:data lake:in:Finance->bundle:data lake:in',
+    ]);
+    expect(visible.every(link => link.lineStyle.type === 'dashed')).toBe(true);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Entity Filters Utility
+ *
+ * Faceted filtering of source/downstream entity rows by platform, business org,
+ * IT directory and GBGF, plus an application table-count range and node-type
+ * toggles (source, downstream, mixed). Facet counts are "live": each facet is
+ * counted with every other active filter applied, so the numbers show what a
+ * click on that value would return.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
+export const FILTER_FACETS = [
+  { key: 'platform', label: 'Data Platform', sourceField: 'data_platform', downstreamField: 'data_platform' },
+  { key: 'busOrg', label: 'Business Org', sourceField: 'source_app_bus_org', downstreamField: 'downstream_app_bus_org' },
+  { key: 'itDir', label: 'IT Directory', sourceField: 'source_app_it_dir', downstreamField: 'downstream_app_it_dir' },
+  { key: 'gbgf', label: 'GBGF', sourceField: 'source_data_gbgf', downstreamField: 'downstream_application_gbgf' },
+];
+
+export const NODE_TYPES = ['source', 'downstream', 'mixed'];
+
+// Value used for rows that have no value for a facet
+export const EMPTY_FACET_VALUE = '(none)';
+
+export const createEmptyFilters = () => ({
+  facets: FILTER_FACETS.reduce((facets, facet) => ({ ...facets, [facet.key]: [] }), {}),
+  tableRange: null, // [min, max] application table count, null for no limit
+  nodeTypes: [...NODE_TYPES],
+});
+
+// Number of filters that narrow the data, for badges
+export const countActiveFilters = (filters) => {
+  if (!filters) return 0;
+  const facetCount = Object.values(filters.facets).filter(values => values.length > 0).length;
+  const rangeCount = filters.tableRange ? 1 : 0;
+  const typeCount = filters.nodeTypes.length < NODE_TYPES.length ? 1 : 0;
+  return facetCount + rangeCount + typeCount;
+};
+
+const getAppKey = (row, role) => {
+  const name = role === 'source' ? row.source_application_name : row.downstream_application_name;
+  return getApplicationKey(name);
+};
+
+const getTableCount = (row, role) => Number(
+  role === 'source' ? row.source_table_count : row.share_to_downstream_table_count
+) || 0;
+
+// Facet value of a row; platforms use the lowercase key shared with the graph nodes
+export const getFacetValue = (row, role, facet) => {
+  if (facet.key === 'platform') return getPlatformKey(row);
+  const value = row[role === 'source' ? facet.sourceField : facet.downstreamField];
+  return value === undefined || value === null || String(value).trim() === '' ? EMPTY_FACET_VALUE : String(value).trim();
+};
+
+// Role (source/downstream/mixed) and total table count for every application
+export const buildApplicationStats = (sourceEntityList = [], downstreamEntityList = []) => {
+  const stats = new Map();
+  const add = (row, role) => {
+    if (!row) return;
+    const key = getAppKey(row, role);
+    if (!stats.has(key)) stats.set(key, { isSource: false, isDownstream: false, totalTables: 0 });
+    const entry = stats.get(key);
+    if (role === 'source') entry.isSource = true;
+    else entry.isDownstream = true;
+    entry.totalTables += getTableCount(row, role);
+  };
+  sourceEntityList.forEach(row => add(row, 'source'));
+  downstreamEntityList.forEach(row => add(row, 'downstream'));
+
+  stats.forEach(entry => {
+    entry.nodeType = entry.isSource && entry.isDownstream ? 'mixed' : (entry.isSource ? 'source' : 'downstream');
+  });
+  return stats;
+};
+
+// Check a row against the filters; `ignore` skips one facet key (or 'nodeTypes'/'tableRange') for live counts
+const rowMatches = (row, role, filters, stats, ignore = null) => {
+  if (!row) return false;
+  const app = stats.get(getAppKey(row, role));
+  if (!app) return false;
+
+  if (ignore !== 'nodeTypes' && !filters.nodeTypes.includes(app.nodeType)) return false;
+
+  if (ignore !== 'tableRange' && filters.tableRange) {
+    const [min, max] = filters.tableRange;
+    if (app.totalTables < min || app.totalTables > max) return false;
+  }
+
+  return FILTER_FACETS.every(facet => {
+    if (facet.key === ignore) return true;
+    const selected = filters.facets[facet.key];
+    return !selected || selected.length === 0 || selected.includes(getFacetValue(row, role, facet));
+  });
+};
+
+// Apply the filters to both entity lists
+export const applyEntityFilters = (sourceEntityList = [], downstreamEntityList = [], filters, stats = null) => {
+  if (!filters || countActiveFilters(filters) === 0) {
+    return { sourceEntityList, downstreamEntityList };
+  }
+  const appStats = stats || buildApplicationStats(sourceEntityList, downstreamEntityList);
+  return {
+    sourceEntityList: sourceEntityList.filter(row => rowMatches(row, 'source', filters, appStats)),
+    downstreamEntityList: downstreamEntityList.filter(row => rowMatches(row, 'downstream', filters, appStats)),
+  };
+};
+
+// Count distinct applications per facet value, node type, and the table-count domain
+export const computeFacetCounts = (sourceEntityList = [], downstreamEntityList = [], filters, stats = null) => {
+  const appStats = stats || buildApplicationStats(sourceEntityList, downstreamEntityList);
+  const activeFilters = filters || createEmptyFilters();
+  const counts = { facets: {}, nodeTypes: {}, tableDomain: [0, 0] };
+
+  const eachRow = (callback) => {
+    sourceEntityList.forEach(row => callback(row, 'source'));
+    downstreamEntityList.forEach(row => callback(row, 'downstream'));
+  };
+
+  FILTER_FACETS.forEach(facet => {
+    const appsByValue = new Map();
+    eachRow((row, role) => {
+      if (!rowMatches(row, role, activeFilters, appStats, facet.key)) return;
+      const value = getFacetValue(row, role, facet);
+      if (!appsByValue.has(value)) appsByValue.set(value, new Set());
+      appsByValue.get(value).add(getAppKey(row, role));
+    });
+
+    // Keep every known value so selected values with no matches stay visible
+    eachRow((row, role) => {
+      if (!row) return;
+      const value = getFacetValue(row, role, facet);
+      if (!appsByValue.has(value)) appsByValue.set(value, new Set());
+    });
+
+    counts.facets[facet.key] = Array.from(appsByValue.entries())
+      .map(([value, apps]) => ({ value, count: apps.size }))
+      .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+  });
+
+  const appsByType = { source: new Set(), downstream: new Set(), mixed: new Set() };
+  eachRow((row, role) => {
+    if (!rowMatches(row, role, activeFilters, appStats, 'nodeTypes')) return;
+    const key = getAppKey(row, role);
+    appsByType[appStats.get(key).nodeType].add(key);
+  });
+  NODE_TYPES.forEach(type => {
+    counts.nodeTypes[type] = appsByType[type].size;
+  });
+
+  let maxTables = 0;
+  appStats.forEach(entry => {
+    maxTables = Math.max(maxTables, entry.totalTables);
+  });
+  counts.tableDomain = [0, Math.ceil(maxTables)];
+
+  return counts;
+};
@@ -0,0 +1,74 @@
+import {
+  createEmptyFilters,
+  countActiveFilters,
+  buildApplicationStats,
+  applyEntityFilters,
+  computeFacetCounts,
+  EMPTY_FACET_VALUE,
+} from './entityFilters';
+
+const sourceEntityList = [
+  { source_application_name: 'Billing', data_platform: 'Data Lake', source_app_bus_org: 'Finance', source_table_count: 4 },
+  { source_application_name: 'Billing', data_platform: 'Warehouse', source_app_bus_org: 'Finance', source_table_count: 6 },
+  { source_application_name: 'Crm', data_platform: 'Warehouse', source_app_bus_org: 'Sales', source_table_count: 2 },
+];
+const downstreamEntityList = [
+  { downstream_application_name: 'Reporting', data_platform: 'Data Lake', downstream_app_bus_org: 'Finance', share_to_downstream_table_count: 3 },
+  { downstream_application_name: 'billing', data_platform: 'Data Lake', share_to_downstream_table_count: 1 },
+];
+
+const withFilters = (changes) => ({ ...createEmptyFilters(), ...changes });
+
+describe('buildApplicationStats', () => {
+  it('merges rows by application and classifies mixed applications', () => {
+    const stats = buildApplicationStats(sourceEntityList, downstreamEntityList);
+
+    expect(stats.get('billing')).toMatchObject({ nodeType: 'mixed', totalTables: 11 });
+    expect(stats.get('crm')).toMatchObject({ nodeType: 'source', totalTables: 2 });
+    expect(stats.get('reporting').nodeType).toBe('downstream');
+  });
+});
+
+describe('applyEntityFilters', () => {
+  it('returns the lists unchanged without active filters', () => {
+    const filtered = applyEntityFilters(sourceEntityList, downstreamEntityList, createEmptyFilters());
+
+    expect(countActiveFilters(createEmptyFilters())).toBe(0);
+    expect(filtered.sourceEntityList).toBe(sourceEntityList);
+  });
+
+  it('keeps rows matching every facet, node type and table range', () => {
+    const filters = withFilters({
+      facets: { ...createEmptyFilters().facets, platform: ['warehouse'] },
+      tableRange: [5, 20],
+    });
+    const filtered = applyEntityFilters(sourceEntityList, downstreamEntityList, filters);
+
+    expect(countActiveFilters(filters)).toBe(2);
+    expect(filtered.sourceEntityList).toEqual([sourceEntityList[1]]);
+    expect(filtered.downstreamEntityList).toEqual([]);
+  });
+
+  it('filters by node type', () => {
+    const filtered = applyEntityFilters(sourceEntityList, downstreamEntityList, withFilters({ nodeTypes: ['downstream'] }));
+
+    expect(filtered.sourceEntityList).toEqual([]);
+    expect(filtered.downstreamEntityList.map(row => row.downstream_application_name)).toEqual(['Reporting']);
+  });
+});
+
+describe('computeFacetCounts', () => {
+  it('counts each facet with the other filters applied and keeps values without matches', () => {
+    const filters = withFilters({ facets: { ...createEmptyFilters().facets, busOrg: ['Sales'] } });
+    const counts = computeFacetCounts(sourceEntityList, downstreamEntityList, filters);
+
+    expect(counts.facets.platform).toEqual([{ value: 'data lake', count: 0 }, { value: 'warehouse', count: 1 }]);
+    expect(counts.facets.busOrg).toEqual([
+      { value: EMPTY_FACET_VALUE, count: 1 },
+      { value: 'Finance', count: 2 },
+      { value: 'Sales', count: 1 },
+    ]);
+    expect(counts.nodeTypes).toEqual({ source: 1, downstream: 0, mixed: 0 });
+    expect(counts.tableDomain).toEqual([0, 11]);
+  });
+});
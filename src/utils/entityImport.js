@@ -0,0 +1,314 @@
+/**
+ * Entity Import Utility
+ *
+ * Parses CSV and JSON inventory files into source/downstream entity lists.
+ * Column headers that differ from the expected field names can be remapped
+ * before the rows are handed to the layout builders.
+ */
+
+// Expected fields for each entity list. `aliases` are normalized header names
+// that are matched automatically when the exact field name is not present.
+export const SOURCE_ENTITY_FIELDS = [
+  { key: 'unique_key', label: 'Unique Key', aliases: ['key', 'id', 'row_id'] },
+  { key: 'source_application_name', label: 'Application Name', required: true, aliases: ['application_name', 'app_name', 'application', 'source_application', 'source_app_name'] },
+  { key: 'data_platform', label: 'Data Platform', required: true, aliases: ['platform', 'dataplatform', 'platform_name'] },
+  { key: 'source_table_count', label: 'Table Count', required: true, numeric: true, aliases: ['table_count', 'tables', 'source_tables'] },
+  { key: 'source_app_bus_org', label: 'Business Org', aliases: ['bus_org', 'business_org', 'app_bus_org'] },
+  { key: 'source_app_it_dir', label: 'IT Directory', aliases: ['it_dir', 'it_directory', 'app_it_dir'] },
+  { key: 'source_data_gbgf', label: 'GBGF', aliases: ['gbgf', 'data_gbgf'] },
+  { key: 'source_eim_id', label: 'EIM ID', aliases: ['eim_id', 'eim'] },
+  { key: 'valid_from', label: 'Valid From', aliases: ['from', 'start_date', 'effective_from'] },
+  { key: 'valid_to', label: 'Valid To', aliases: ['to', 'end_date', 'effective_to'] },
+];
+
+export const DOWNSTREAM_ENTITY_FIELDS = [
+  { key: 'unique_key', label: 'Unique Key', aliases: ['key', 'id', 'row_id'] },
+  { key: 'downstream_application_name', label: 'Application Name', required: true, aliases: ['application_name', 'app_name', 'application', 'downstream_application', 'downstream_app_name'] },
+  { key: 'data_platform', label: 'Data Platform', required: true, aliases: ['platform', 'dataplatform', 'platform_name'] },
+  { key: 'share_to_downstream_table_count', label: 'Table Count', required: true, numeric: true, aliases: ['table_count', 'tables', 'downstream_table_count', 'shared_table_count'] },
+  { key: 'downstream_app_bus_org', label: 'Business Org', aliases: ['bus_org', 'business_org', 'app_bus_org'] },
+  { key: 'downstream_app_it_dir', label: 'IT Directory', aliases: ['it_dir', 'it_directory', 'app_it_dir'] },
+  { key: 'downstream_application_abbr', label: 'Abbreviation', aliases: ['abbr', 'application_abbr', 'app_abbr'] },
+  { key: 'downstream_application_gbgf', label: 'GBGF', aliases: ['gbgf', 'application_gbgf'] },
+  { key: 'downstream_eid_id', label: 'EID ID', aliases: ['eid_id', 'eid'] },
+  { key: 'valid_from', label: 'Valid From', aliases: ['from', 'start_date', 'effective_from'] },
+  { key: 'valid_to', label: 'Valid To', aliases: ['to', 'end_date', 'effective_to'] },
+];
+
+export const ENTITY_FIELDS = {
+  source: SOURCE_ENTITY_FIELDS,
+  downstream: DOWNSTREAM_ENTITY_FIELDS,
+};
+
+// Normalize a header so that "Source Application Name" matches "source_application_name"
+const normalizeHeader = (header) => String(header || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+// Pick the most likely delimiter from the first line of the file
+const detectDelimiter = (line) => {
+  const candidates = [',', ';', '\t', '|'];
+  let best = ',';
+  let bestCount = 0;
+  candidates.forEach(delimiter => {
+    const count = line.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Parse CSV text (RFC 4180 quoting) into headers and row objects
+export const parseCsv = (text) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = detectDelimiter(firstLine);
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+
+  return { headers, rows };
+};
+
+// Collect the union of keys across JSON rows, preserving first-seen order
+const collectHeaders = (rows) => {
+  const headers = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    if (!row || typeof row !== 'object') return;
+    Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+  return headers;
+};
+
+// Guess whether a set of headers describes source or downstream rows
+export const detectEntityKind = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const score = (fields) => fields.reduce((total, field) => (
+    normalized.includes(field.key) ? total + 1 : total
+  ), 0);
+
+  const sourceScore = score(SOURCE_ENTITY_FIELDS) + (normalized.some(h => h.startsWith('source_')) ? 1 : 0);
+  const downstreamScore = score(DOWNSTREAM_ENTITY_FIELDS) + (normalized.some(h => h.startsWith('downstream_') || h.startsWith('share_to_')) ? 1 : 0);
+
+  return downstreamScore > sourceScore ? 'downstream' : 'source';
+};
+
+// Parse JSON text. Accepts a plain array of rows, `{ data: [...] }`, or an object
+// holding `sourceEntityList` and/or `downstreamEntityList`.
+export const parseJson = (text) => {
+  const parsed = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  const tables = [];
+
+  const addTable = (name, rows, kind) => {
+    const objectRows = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    const headers = collectHeaders(objectRows);
+    tables.push({ name, headers, rows: objectRows, kind: kind || detectEntityKind(headers) });
+  };
+
+  if (Array.isArray(parsed)) {
+    addTable('rows', parsed);
+  } else if (parsed && typeof parsed === 'object') {
+    if (Array.isArray(parsed.sourceEntityList)) {
+      addTable('sourceEntityList', parsed.sourceEntityList, 'source');
+    }
+    if (Array.isArray(parsed.downstreamEntityList)) {
+      addTable('downstreamEntityList', parsed.downstreamEntityList, 'downstream');
+    }
+    if (tables.length === 0 && Array.isArray(parsed.data)) {
+      addTable('data', parsed.data);
+    }
+  }
+
+  if (tables.length === 0) {
+    throw new Error('JSON must be an array of rows or contain sourceEntityList / downstreamEntityList');
+  }
+
+  return tables;
+};
+
+// Parse file text into tables, using the file name or content type to pick the format.
+// Each table gets a `source` ("<file>" or "<file>/<table>") that prefixes its generated unique keys.
+export const parseEntityText = (text, fileName = 'data', contentType = '') => {
+  const isJson = /\.json$/i.test(fileName) || /json/i.test(contentType);
+  const isCsv = /\.(csv|tsv|txt)$/i.test(fileName) || /csv|tab-separated/i.test(contentType);
+
+  const parseAsJson = () => ({
+    fileName,
+    format: 'json',
+    tables: parseJson(text).map(table => ({ ...table, source: `${fileName}/${table.name}` })),
+  });
+
+  const parseAsCsv = () => {
+    const { headers, rows } = parseCsv(text);
+    return { fileName, format: 'csv', tables: [{ name: fileName, source: fileName, headers, rows, kind: detectEntityKind(headers) }] };
+  };
+
+  if (isJson) {
+    return parseAsJson();
+  }
+
+  if (isCsv) {
+    return parseAsCsv();
+  }
+
+  // Unknown extension: try JSON first, then fall back to CSV
+  try {
+    return parseAsJson();
+  } catch (error) {
+    return parseAsCsv();
+  }
+};
+
+// Read a File (from a picker or drop) and return the tables it contains
+export const parseEntityFile = async (file) => {
+  if (!file) {
+    throw new Error('No file selected');
+  }
+
+  const text = await file.text();
+  return parseEntityText(text, file.name || 'data', file.type);
+};
+
+// Map each expected field to the header that most likely holds it ('' when none)
+export const guessColumnMapping = (headers, kind) => {
+  const fields = ENTITY_FIELDS[kind] || [];
+  const normalizedHeaders = headers.map(header => ({ header, normalized: normalizeHeader(header) }));
+  const used = new Set();
+  const mapping = {};
+
+  // Exact matches first so that aliases never steal a column that matches another field exactly
+  fields.forEach(field => {
+    const match = normalizedHeaders.find(h => h.normalized === field.key && !used.has(h.header));
+    if (match) {
+      mapping[field.key] = match.header;
+      used.add(match.header);
+    }
+  });
+
+  fields.forEach(field => {
+    if (mapping[field.key]) return;
+    const match = normalizedHeaders.find(h => (field.aliases || []).includes(h.normalized) && !used.has(h.header));
+    mapping[field.key] = match ? match.header : '';
+    if (match) used.add(match.header);
+  });
+
+  return mapping;
+};
+
+// Fields that are required but have no column assigned
+export const getMissingRequiredFields = (mapping, kind) => (
+  (ENTITY_FIELDS[kind] || []).filter(field => field.required && !mapping[field.key])
+);
+
+// Convert a numeric-looking value ("1,024", " 12 ") to a number, keeping the raw value otherwise
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null || value === '') return value;
+  const parsed = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(parsed) ? parsed : value;
+};
+
+// Rename the columns of parsed rows into entity rows using the chosen mapping. Rows without a
+// unique key get "<source>-<row index>", so keys from different files and tables stay distinct.
+export const applyColumnMapping = (rows, mapping, kind, source = kind) => {
+  const fields = ENTITY_FIELDS[kind] || [];
+
+  return rows.map((row, index) => {
+    const entity = {};
+    fields.forEach(field => {
+      const header = mapping[field.key];
+      if (!header) return;
+      const value = row[header];
+      entity[field.key] = field.numeric ? toNumber(value) : value;
+    });
+
+    if (entity.unique_key === undefined || entity.unique_key === '') {
+      entity.unique_key = `${source}-${index}`;
+    }
+
+    return entity;
+  });
+};
+
+// Convert parsed tables into entity lists using the guessed column mapping for each table
+export const tablesToEntityLists = (tables) => {
+  const lists = { sourceEntityList: [], downstreamEntityList: [] };
+
+  tables.forEach(table => {
+    const mapping = guessColumnMapping(table.headers, table.kind);
+    const missing = getMissingRequiredFields(mapping, table.kind);
+    if (missing.length > 0) {
+      throw new Error(`${table.name}: missing required columns ${missing.map(field => field.key).join(', ')}`);
+    }
+
+    const listKey = table.kind === 'downstream' ? 'downstreamEntityList' : 'sourceEntityList';
+    lists[listKey] = [...lists[listKey], ...applyColumnMapping(table.rows, mapping, table.kind, table.source)];
+  });
+
+  return lists;
+};
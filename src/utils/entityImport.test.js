@@ -0,0 +1,113 @@
+import {
+  parseCsv,
+  parseEntityText,
+  parseEntityFile,
+  detectEntityKind,
+  guessColumnMapping,
+  applyColumnMapping,
+  tablesToEntityLists,
+} from './entityImport';
+import { validateEntityLists } from './entityValidation';
+
+const SOURCE_CSV = [
+  'source_application_name,data_platform,source_table_count',
+  'Billing,Data Lake,4',
+  'Payments,Data Warehouse,2',
+].join('\n');
+
+const DOWNSTREAM_CSV = [
+  'downstream_application_name,data_platform,share_to_downstream_table_count',
+  'Reporting,Data Lake,3',
+].join('\n');
+
+// Just enough of a File for parseEntityFile
+const textFile = (name, text, type = '') => ({ name, type, text: async () => text });
+
+// Rows of every table in a parsed file, as the import dialog maps them with the guessed columns
+const mapFile = (parsed) => parsed.tables.flatMap(table => (
+  applyColumnMapping(table.rows, guessColumnMapping(table.headers, table.kind), table.kind, table.source)
+));
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and a byte order mark', () => {
+    const { headers, rows } = parseCsv('\uFEFFname,note\n"Billing, EU","said ""hi"""\n');
+
+    expect(headers).toEqual(['name', 'note']);
+    expect(rows).toEqual([{ name: 'Billing, EU', note: 'said "hi"' }]);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('detects downstream tables and maps their columns', () => {
+    const headers = ['downstream_application_name', 'data_platform', 'share_to_downstream_table_count'];
+
+    expect(detectEntityKind(headers)).toBe('downstream');
+    expect(guessColumnMapping(headers, 'downstream')).toMatchObject({
+      downstream_application_name: 'downstream_application_name',
+      share_to_downstream_table_count: 'share_to_downstream_table_count',
+    });
+  });
+});
+
+describe('applyColumnMapping', () => {
+  it('converts numeric columns and fills in missing unique keys', async () => {
+    const [row] = mapFile(await parseEntityFile(textFile('sources.csv', SOURCE_CSV)));
+
+    expect(row).toMatchObject({ source_application_name: 'Billing', source_table_count: 4, unique_key: 'sources.csv-0' });
+  });
+
+  it('generates distinct keys for files appended to the same list', async () => {
+    const first = mapFile(await parseEntityFile(textFile('sources-2023.csv', SOURCE_CSV)));
+    const second = mapFile(await parseEntityFile(textFile('sources-2024.csv', SOURCE_CSV)));
+    const appended = [...first, ...second];
+
+    expect(new Set(appended.map(row => row.unique_key)).size).toBe(appended.length);
+    expect(validateEntityLists(appended, []).summary.errorCount).toBe(0);
+  });
+
+  it('generates distinct keys for the tables of one JSON file', async () => {
+    const text = JSON.stringify({
+      sourceEntityList: [{ source_application_name: 'Billing', data_platform: 'Data Lake', source_table_count: 1 }],
+      downstreamEntityList: [{ downstream_application_name: 'Billing', data_platform: 'Data Lake', share_to_downstream_table_count: 1 }],
+    });
+    const keys = mapFile(await parseEntityFile(textFile('inventory.json', text))).map(row => row.unique_key);
+
+    expect(keys).toEqual(['inventory.json/sourceEntityList-0', 'inventory.json/downstreamEntityList-0']);
+  });
+
+  it('keeps unique keys given in the file', async () => {
+    const text = 'unique_key,source_application_name,data_platform,source_table_count\nS-42,Billing,Data Lake,1';
+    const [row] = mapFile(await parseEntityFile(textFile('sources.csv', text)));
+
+    expect(row.unique_key).toBe('S-42');
+  });
+});
+
+describe('parseEntityText', () => {
+  it('uses the content type when the name has no known extension', () => {
+    expect(parseEntityText('[{"source_application_name":"Billing"}]', 'export', 'application/json').format).toBe('json');
+    expect(parseEntityText(SOURCE_CSV, 'export', 'text/csv').format).toBe('csv');
+    expect(parseEntityText(SOURCE_CSV, 'export').tables[0].kind).toBe('source');
+  });
+});
+
+describe('tablesToEntityLists', () => {
+  it('combines several files without duplicate keys', () => {
+    const tables = [
+      ...parseEntityText(SOURCE_CSV, 'a.csv').tables,
+      ...parseEntityText(SOURCE_CSV, 'b.csv').tables,
+      ...parseEntityText(DOWNSTREAM_CSV, 'c.csv').tables,
+    ];
+    const lists = tablesToEntityLists(tables);
+
+    expect(lists.sourceEntityList).toHaveLength(4);
+    expect(lists.downstreamEntityList).toHaveLength(1);
+    expect(validateEntityLists(lists.sourceEntityList, lists.downstreamEntityList).summary.errorCount).toBe(0);
+  });
+
+  it('names the table that misses required columns', () => {
+    const tables = parseEntityText('source_application_name\nBilling', 'apps.csv').tables;
+
+    expect(() => tablesToEntityLists(tables)).toThrow('apps.csv: missing required columns data_platform, source_table_count');
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Entity Key Utility
+ *
+ * Keys shared by the layouts, filters and analysis helpers so that rows and
+ * graph nodes refer to the same platform/application.
+ */
+
+// Platform key: trimmed and lowercased so " Data Lake" and "data lake" are the same node
+export const getPlatformKey = (row) => String(row?.['data_platform'] || 'Unknown').trim().toLowerCase();
+
+// Application key: the trimmed, lowercase name, which is also the application node id
+export const getApplicationKey = (name) => String(name || 'Unknown').trim().toLowerCase();
@@ -0,0 +1,13 @@
+import { getApplicationKey, getPlatformKey } from './entityKeys';
+
+describe('entity keys', () => {
+  it('treats names that differ in surrounding whitespace and case as one application', () => {
+    expect(getApplicationKey(' Billing ')).toBe(getApplicationKey('billing'));
+    expect(getApplicationKey('')).toBe('unknown');
+  });
+
+  it('trims and lowercases platform names', () => {
+    expect(getPlatformKey({ data_platform: ' Data Lake' })).toBe('data lake');
+    expect(getPlatformKey({})).toBe('unknown');
+  });
+});
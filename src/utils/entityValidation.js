@@ -0,0 +1,266 @@
+/**
+ * Entity Validation Utility
+ *
+ * Checks source/downstream entity rows before they reach the layout builders:
+ * - required fields (application name, data platform)
+ * - numeric, non-negative table counts
+ * - duplicate `unique_key` values within a list
+ * - casing collisions: names that only differ in case and would collapse into one lowercase node key
+ *
+ * Every issue carries the fix that `applyValidation` uses in 'fix' mode.
+ * In 'skip' mode rows with errors are dropped instead; warnings are still fixed, so rows
+ * that are merely untidy (e.g. counts read from CSV as text) are kept.
+ */
+
+export const VALIDATION_MODES = {
+  SKIP: 'skip',
+  FIX: 'fix',
+};
+
+// Field names for each entity list
+export const ENTITY_LIST_FIELDS = {
+  source: {
+    name: 'source_application_name',
+    tableCount: 'source_table_count',
+  },
+  downstream: {
+    name: 'downstream_application_name',
+    tableCount: 'share_to_downstream_table_count',
+  },
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Parse a table count, returning null when the value cannot be used
+const parseTableCount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (isBlank(value)) return null;
+  const parsed = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+// Pick the canonical spelling for each lowercase key: the most frequent one, first seen on ties
+const buildCanonicalSpellings = (values) => {
+  const spellingsByKey = new Map();
+  values.forEach(value => {
+    const key = value.toLowerCase();
+    if (!spellingsByKey.has(key)) spellingsByKey.set(key, new Map());
+    const spellings = spellingsByKey.get(key);
+    spellings.set(value, (spellings.get(value) || 0) + 1);
+  });
+
+  const canonical = new Map();
+  spellingsByKey.forEach((spellings, key) => {
+    if (spellings.size < 2) return;
+    let best = null;
+    let bestCount = 0;
+    spellings.forEach((count, spelling) => {
+      if (count > bestCount) {
+        best = spelling;
+        bestCount = count;
+      }
+    });
+    canonical.set(key, { spelling: best, variants: Array.from(spellings.keys()) });
+  });
+  return canonical;
+};
+
+// Validate both entity lists and return the issues found
+export const validateEntityLists = (sourceEntityList = [], downstreamEntityList = []) => {
+  const issues = [];
+  const lists = { source: sourceEntityList, downstream: downstreamEntityList };
+
+  const addIssue = (list, rowIndex, row, issue) => {
+    issues.push({
+      id: `${list}-${rowIndex}-${issue.code}-${issue.field}`,
+      list,
+      rowIndex,
+      uniqueKey: row && row.unique_key,
+      appName: row && row[ENTITY_LIST_FIELDS[list].name],
+      ...issue,
+    });
+  };
+
+  // Names used for casing checks are collected across both lists, since a source
+  // and a downstream row with the same lowercase name become one node
+  const appNames = [];
+  const platformNames = [];
+  Object.keys(lists).forEach(list => {
+    lists[list].forEach(row => {
+      const name = row && row[ENTITY_LIST_FIELDS[list].name];
+      if (!isBlank(name)) appNames.push(String(name).trim());
+      if (row && !isBlank(row.data_platform)) platformNames.push(String(row.data_platform).trim());
+    });
+  });
+  const canonicalAppNames = buildCanonicalSpellings(appNames);
+  const canonicalPlatforms = buildCanonicalSpellings(platformNames);
+
+  Object.keys(lists).forEach(list => {
+    const fields = ENTITY_LIST_FIELDS[list];
+    const seenKeys = new Map();
+
+    lists[list].forEach((row, rowIndex) => {
+      if (!row || typeof row !== 'object') {
+        addIssue(list, rowIndex, row, {
+          code: 'invalid_row',
+          field: 'row',
+          severity: 'error',
+          message: 'Row is not an object',
+          fix: null,
+        });
+        return;
+      }
+
+      // Required fields
+      if (isBlank(row[fields.name])) {
+        addIssue(list, rowIndex, row, {
+          code: 'missing_field',
+          field: fields.name,
+          severity: 'error',
+          message: 'Application name is missing',
+          fix: { field: fields.name, value: `Unnamed ${list} ${row.unique_key || rowIndex}` },
+        });
+      }
+
+      if (isBlank(row.data_platform)) {
+        addIssue(list, rowIndex, row, {
+          code: 'missing_field',
+          field: 'data_platform',
+          severity: 'error',
+          message: 'Data platform is missing',
+          fix: { field: 'data_platform', value: 'Unknown' },
+        });
+      }
+
+      // Numeric table counts
+      const rawCount = row[fields.tableCount];
+      const tableCount = parseTableCount(rawCount);
+      if (tableCount === null) {
+        addIssue(list, rowIndex, row, {
+          code: 'invalid_count',
+          field: fields.tableCount,
+          severity: 'error',
+          message: isBlank(rawCount)
+            ? 'Table count is missing'
+            : `Table count "${rawCount}" is not a non-negative number`,
+          fix: { field: fields.tableCount, value: 0 },
+        });
+      } else if (typeof rawCount !== 'number') {
+        addIssue(list, rowIndex, row, {
+          code: 'invalid_count',
+          field: fields.tableCount,
+          severity: 'warning',
+          message: `Table count "${rawCount}" is text, not a number`,
+          fix: { field: fields.tableCount, value: tableCount },
+        });
+      }
+
+      // Duplicate unique keys (the first occurrence is kept as-is)
+      if (isBlank(row.unique_key)) {
+        addIssue(list, rowIndex, row, {
+          code: 'missing_key',
+          field: 'unique_key',
+          severity: 'warning',
+          message: 'unique_key is missing',
+          fix: { field: 'unique_key', value: `${list}-row-${rowIndex}` },
+        });
+      } else {
+        const key = String(row.unique_key);
+        if (seenKeys.has(key)) {
+          addIssue(list, rowIndex, row, {
+            code: 'duplicate_key',
+            field: 'unique_key',
+            severity: 'error',
+            message: `unique_key "${key}" duplicates row ${seenKeys.get(key) + 1}`,
+            fix: { field: 'unique_key', value: `${key}-dup-${rowIndex}` },
+          });
+        } else {
+          seenKeys.set(key, rowIndex);
+        }
+      }
+
+      // Casing collisions
+      if (!isBlank(row[fields.name])) {
+        const name = String(row[fields.name]).trim();
+        const collision = canonicalAppNames.get(name.toLowerCase());
+        if (collision && collision.spelling !== name) {
+          addIssue(list, rowIndex, row, {
+            code: 'case_collision',
+            field: fields.name,
+            severity: 'warning',
+            message: `"${name}" collides with ${collision.variants.filter(v => v !== name).map(v => `"${v}"`).join(', ')}`,
+            fix: { field: fields.name, value: collision.spelling },
+          });
+        }
+      }
+
+      if (!isBlank(row.data_platform)) {
+        const platform = String(row.data_platform).trim();
+        const collision = canonicalPlatforms.get(platform.toLowerCase());
+        if (collision && collision.spelling !== platform) {
+          addIssue(list, rowIndex, row, {
+            code: 'case_collision',
+            field: 'data_platform',
+            severity: 'warning',
+            message: `Platform "${platform}" collides with ${collision.variants.filter(v => v !== platform).map(v => `"${v}"`).join(', ')}`,
+            fix: { field: 'data_platform', value: collision.spelling },
+          });
+        }
+      }
+    });
+  });
+
+  const summary = {
+    errorCount: issues.filter(issue => issue.severity === 'error').length,
+    warningCount: issues.filter(issue => issue.severity === 'warning').length,
+    affectedRows: {
+      source: new Set(issues.filter(issue => issue.list === 'source').map(issue => issue.rowIndex)).size,
+      downstream: new Set(issues.filter(issue => issue.list === 'downstream').map(issue => issue.rowIndex)).size,
+    },
+  };
+
+  return { issues, summary };
+};
+
+// Drop ('skip') or repair ('fix') the rows with errors in a validation report; warnings are fixed in both modes
+export const applyValidation = (sourceEntityList = [], downstreamEntityList = [], report, mode = VALIDATION_MODES.FIX) => {
+  if (!report || report.issues.length === 0) {
+    return { sourceEntityList, downstreamEntityList };
+  }
+
+  const issuesByRow = { source: new Map(), downstream: new Map() };
+  report.issues.forEach(issue => {
+    const rows = issuesByRow[issue.list];
+    if (!rows.has(issue.rowIndex)) rows.set(issue.rowIndex, []);
+    rows.get(issue.rowIndex).push(issue);
+  });
+
+  const processList = (list, entityList) => {
+    const result = [];
+    entityList.forEach((row, rowIndex) => {
+      const rowIssues = issuesByRow[list].get(rowIndex);
+      if (!rowIssues) {
+        result.push(row);
+        return;
+      }
+      if (mode === VALIDATION_MODES.SKIP) {
+        if (rowIssues.some(issue => issue.severity === 'error')) return;
+      } else if (rowIssues.some(issue => !issue.fix)) {
+        return;
+      }
+      const fixedRow = { ...row };
+      rowIssues.forEach(issue => {
+        if (issue.fix) fixedRow[issue.fix.field] = issue.fix.value;
+      });
+      result.push(fixedRow);
+    });
+    return result;
+  };
+
+  return {
+    sourceEntityList: processList('source', sourceEntityList),
+    downstreamEntityList: processList('downstream', downstreamEntityList),
+  };
+};
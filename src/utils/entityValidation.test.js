@@ -0,0 +1,66 @@
+import { validateEntityLists, applyValidation, VALIDATION_MODES } from './entityValidation';
+
+const sourceRow = (overrides = {}) => ({
+  unique_key: 's-1',
+  source_application_name: 'Billing',
+  data_platform: 'Data Lake',
+  source_table_count: 4,
+  ...overrides,
+});
+
+const validate = (sources, downstreams = []) => {
+  const report = validateEntityLists(sources, downstreams);
+  return {
+    report,
+    skipped: applyValidation(sources, downstreams, report, VALIDATION_MODES.SKIP),
+    fixed: applyValidation(sources, downstreams, report, VALIDATION_MODES.FIX),
+  };
+};
+
+describe('applyValidation', () => {
+  it('keeps warning-only rows in skip mode and applies their fixes', () => {
+    const sources = [
+      sourceRow({ source_table_count: '4' }),
+      sourceRow({ unique_key: '', source_application_name: 'Payments' }),
+    ];
+    const { report, skipped } = validate(sources);
+
+    expect(report.summary.errorCount).toBe(0);
+    expect(report.summary.warningCount).toBe(2);
+    expect(skipped.sourceEntityList).toHaveLength(2);
+    expect(skipped.sourceEntityList[0].source_table_count).toBe(4);
+    expect(skipped.sourceEntityList[1].unique_key).toBe('source-row-1');
+  });
+
+  it('keeps casing collisions in skip mode under the canonical spelling', () => {
+    const sources = [
+      sourceRow({ unique_key: 's-1' }),
+      sourceRow({ unique_key: 's-2' }),
+      sourceRow({ unique_key: 's-3', source_application_name: 'BILLING' }),
+    ];
+    const { skipped } = validate(sources);
+
+    expect(skipped.sourceEntityList.map(row => row.source_application_name)).toEqual(['Billing', 'Billing', 'Billing']);
+  });
+
+  it('drops rows with errors in skip mode and repairs them in fix mode', () => {
+    const sources = [
+      sourceRow({ unique_key: 's-1' }),
+      sourceRow({ unique_key: 's-2', data_platform: '', source_table_count: '3' }),
+      sourceRow({ unique_key: 's-1', source_application_name: 'Payments' }),
+    ];
+    const { report, skipped, fixed } = validate(sources);
+
+    expect(report.summary.errorCount).toBe(2);
+    expect(skipped.sourceEntityList.map(row => row.unique_key)).toEqual(['s-1']);
+    expect(fixed.sourceEntityList.map(row => row.unique_key)).toEqual(['s-1', 's-2', 's-1-dup-2']);
+    expect(fixed.sourceEntityList[1]).toMatchObject({ data_platform: 'Unknown', source_table_count: 3 });
+  });
+
+  it('returns the lists unchanged when there are no issues', () => {
+    const sources = [sourceRow()];
+    const { skipped } = validate(sources);
+
+    expect(skipped.sourceEntityList).toBe(sources);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Export Utility
+ *
+ * Exports the current view: a high-resolution PNG, a vector SVG rendered with the
+ * ECharts SVG renderer, and the visible nodes/links (after filters and focus) as CSV or JSON.
+ */
+
+import * as echarts from 'echarts';
+import { getApplicationKey } from './entityKeys';
+import { getLinkEndpointId } from './graphIndex';
+
+// Entity attributes carried onto application nodes in data exports
+export const NODE_ATTRIBUTE_FIELDS = [
+  { key: 'eimId', label: 'EIM ID', sourceField: 'source_eim_id' },
+  { key: 'eidId', label: 'EID ID', downstreamField: 'downstream_eid_id' },
+  { key: 'abbreviation', label: 'Abbreviation', downstreamField: 'downstream_application_abbr' },
+  { key: 'busOrg', label: 'Business Org', sourceField: 'source_app_bus_org', downstreamField: 'downstream_app_bus_org' },
+  { key: 'itDir', label: 'IT Directory', sourceField: 'source_app_it_dir', downstreamField: 'downstream_app_it_dir' },
+  { key: 'gbgf', label: 'GBGF', sourceField: 'source_data_gbgf', downstreamField: 'downstream_application_gbgf' },
+];
+
+// Node type in lowercase (source, downstream, mixed, dataplatform) across all layouts
+export const getNodeKind = (node) => {
+  if (node.isMixed) return 'mixed';
+  return String(node.type || '').toLowerCase();
+};
+
+// Application/platform key a node stands for; only differs from the node id in the Sankey layout
+export const getNodeEntityId = (node) => node.entityId || node.id;
+
+// Nodes and links in focus: the focused node, its neighbours and the links touching it.
+// Without a focus node everything is in focus.
+export const getFocusSubset = (data, graphIndex, focusNodeId = null) => {
+  if (!data || !focusNodeId || !graphIndex || !graphIndex.nodeIndexById.has(focusNodeId)) {
+    return null;
+  }
+  const nodeIds = new Set([focusNodeId, ...(graphIndex.neighbors.get(focusNodeId) || [])]);
+  const linkIndices = new Set(graphIndex.linksByNode.get(focusNodeId) || []);
+  return { nodeIds, linkIndices };
+};
+
+// Nodes and links kept visible by a chart overlay (see getChartOptions): the overlay's nodes
+// and the links between them
+export const getOverlaySubset = (data, overlay) => {
+  if (!data || !overlay) return null;
+  // Overlays are keyed by entity id; focus sets use node ids
+  const nodeIds = new Set(data.nodes.filter(node => overlay.nodes.has(getNodeEntityId(node))).map(node => node.id));
+  const linkIndices = new Set();
+  data.links.forEach((link, index) => {
+    if (nodeIds.has(getLinkEndpointId(link.source)) && nodeIds.has(getLinkEndpointId(link.target))) {
+      linkIndices.add(index);
+    }
+  });
+  return { nodeIds, linkIndices };
+};
+
+// The { nodes, links } currently shown; `focus` comes from getFocusSubset or getOverlaySubset
+export const getVisibleGraph = (data, focus = null) => {
+  if (!data) return { nodes: [], links: [] };
+  if (!focus) return data;
+  return {
+    nodes: data.nodes.filter(node => focus.nodeIds.has(node.id)),
+    links: data.links.filter((link, index) => focus.linkIndices.has(index)),
+  };
+};
+
+// Application key -> { sourceTables, downstreamTables, platforms, ...attributes } from the entity rows
+export const buildNodeAttributeIndex = (sourceEntityList = [], downstreamEntityList = []) => {
+  const index = new Map();
+
+  const addRow = (row, role) => {
+    const name = role === 'source' ? row.source_application_name : row.downstream_application_name;
+    const key = getApplicationKey(name);
+    if (!index.has(key)) {
+      index.set(key, { sourceTables: 0, downstreamTables: 0, platforms: new Set(), values: {} });
+    }
+    const entry = index.get(key);
+
+    if (role === 'source') {
+      entry.sourceTables += Number(row.source_table_count) || 0;
+    } else {
+      entry.downstreamTables += Number(row.share_to_downstream_table_count) || 0;
+    }
+    if (row.data_platform) entry.platforms.add(String(row.data_platform).trim());
+
+    NODE_ATTRIBUTE_FIELDS.forEach(field => {
+      const value = row[role === 'source' ? field.sourceField : field.downstreamField];
+      if (value === undefined || value === null || value === '') return;
+      if (!entry.values[field.key]) entry.values[field.key] = new Set();
+      entry.values[field.key].add(String(value));
+    });
+  };
+
+  sourceEntityList.forEach(row => addRow(row, 'source'));
+  downstreamEntityList.forEach(row => addRow(row, 'downstream'));
+  return index;
+};
+
+// Flat records for export: one per node and one per link.
+// Multi-valued attributes (an application on several platforms) are joined with "; ".
+export const buildExportRecords = (graph, attributeIndex = new Map()) => {
+  const nodes = graph.nodes.map(node => {
+    const kind = getNodeKind(node);
+    const record = {
+      id: node.id,
+      name: node.name,
+      type: kind,
+      dataPlatform: node.dataPlatform || (kind === 'dataplatform' ? node.name : ''),
+      tables: node.tables || 0,
+      x: node.x,
+      y: node.y,
+    };
+
+    const attributes = kind === 'dataplatform' ? null : attributeIndex.get(getNodeEntityId(node));
+    record.sourceTables = attributes ? attributes.sourceTables : '';
+    record.downstreamTables = attributes ? attributes.downstreamTables : '';
+    record.platforms = attributes ? Array.from(attributes.platforms).sort().join('; ') : '';
+    NODE_ATTRIBUTE_FIELDS.forEach(field => {
+      const values = attributes && attributes.values[field.key];
+      record[field.key] = values ? Array.from(values).sort().join('; ') : '';
+    });
+    return record;
+  });
+
+  const links = graph.links.map(link => ({
+    source: getLinkEndpointId(link.source),
+    target: getLinkEndpointId(link.target),
+    value: link.value || 0,
+    sharedApps: link.sharedApps ? link.sharedApps.join('; ') : '',
+  }));
+
+  return { nodes, links };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const recordsToCsv = (records) => {
+  if (!records.length) return '';
+  const headers = Object.keys(records[0]);
+  const lines = [headers.map(escapeCsvValue).join(',')];
+  records.forEach(record => {
+    lines.push(headers.map(header => escapeCsvValue(record[header])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+const downloadUrl = (url, fileName) => {
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (text, fileName, mimeType) => {
+  // Prefix CSV with a BOM so Excel opens UTF-8 (e.g. Chinese names) correctly
+  const content = mimeType === 'text/csv' ? `\uFEFF${text}` : text;
+  downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), fileName);
+};
+
+// File name like "relationship-graph-venn-20240101-120000.png"
+export const getExportFileName = (layoutType, extension, suffix = '') => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `relationship-graph-${layoutType}${suffix ? `-${suffix}` : ''}-${stamp}.${extension}`;
+};
+
+export const exportChartAsPng = (chartInstance, fileName, { pixelRatio = 3, backgroundColor = '#fff' } = {}) => {
+  downloadUrl(chartInstance.getDataURL({ type: 'png', pixelRatio, backgroundColor }), fileName);
+};
+
+// Bake the focus into the option, since highlight/blur states are not part of getOption()
+const applyFocusToOption = (option, focus) => {
+  if (!focus) return option;
+  return {
+    ...option,
+    series: option.series.map((series, seriesIndex) => {
+      if (seriesIndex !== 0 || (series.type !== 'graph' && series.type !== 'sankey')) return series;
+      return {
+        ...series,
+        data: (series.data || []).map(node => (
+          focus.nodeIds.has(node.id) ? node : { ...node, itemStyle: { ...node.itemStyle, opacity: 0.3 } }
+        )),
+        links: (series.links || []).map((link, index) => (
+          focus.linkIndices.has(index) ? link : { ...link, lineStyle: { ...link.lineStyle, opacity: 0.1 } }
+        )),
+      };
+    }),
+  };
+};
+
+// Re-render the current option (including zoom/pan) with the SVG renderer and download it
+export const exportChartAsSvg = (chartInstance, fileName, { focus = null, backgroundColor = '#fff' } = {}) => {
+  const svgChart = echarts.init(null, null, {
+    renderer: 'svg',
+    ssr: true,
+    width: chartInstance.getWidth(),
+    height: chartInstance.getHeight(),
+  });
+  try {
+    svgChart.setOption({
+      ...applyFocusToOption(chartInstance.getOption(), focus),
+      backgroundColor,
+      animation: false,
+    });
+    downloadText(svgChart.renderToSVGString(), fileName, 'image/svg+xml');
+  } finally {
+    svgChart.dispose();
+  }
+};
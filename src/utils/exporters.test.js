@@ -0,0 +1,92 @@
+import {
+  getNodeKind,
+  getFocusSubset,
+  getVisibleGraph,
+  buildNodeAttributeIndex,
+  buildExportRecords,
+  recordsToCsv,
+  getExportFileName,
+} from './exporters';
+import { buildGraphIndex } from './graphIndex';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const graph = {
+  nodes: [
+    { id: 'billing', name: 'Billing', type: 'Source', dataPlatform: 'data lake', tables: 6, x: 1, y: 2 },
+    { id: 'data lake', name: 'Data Lake', type: 'DataPlatform', tables: 9 },
+    { id: 'reporting', name: 'Reporting', type: 'Downstream', isMixed: true, tables: 3 },
+    { id: 'warehouse', name: 'Warehouse', type: 'DataPlatform', tables: 2 },
+  ],
+  links: [
+    { source: 'billing', target: 'data lake', value: 6 },
+    { source: 'data lake', target: 'reporting', value: 3 },
+    { source: 'data lake', target: 'warehouse', value: 1, sharedApps: ['Billing', 'Reporting'] },
+  ],
+};
+
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake', 4, { source_eim_id: 'EIM-2' }),
+  sourceRow('Billing', ' Warehouse', 2, { source_eim_id: 'EIM-1' }),
+];
+const downstreamEntityList = [downstreamRow('Reporting', 'Data Lake', 3, { downstream_application_abbr: 'RPT' })];
+
+describe('getFocusSubset and getVisibleGraph', () => {
+  const index = buildGraphIndex(graph);
+
+  it('keeps the focused node, its neighbours and its links', () => {
+    const visible = getVisibleGraph(graph, getFocusSubset(graph, index, 'reporting'));
+
+    expect(visible.nodes.map(node => node.id)).toEqual(['data lake', 'reporting']);
+    expect(visible.links).toEqual([graph.links[1]]);
+  });
+
+  it('shows everything without a known focus node', () => {
+    expect(getFocusSubset(graph, index, null)).toBeNull();
+    expect(getFocusSubset(graph, index, 'missing')).toBeNull();
+    expect(getVisibleGraph(graph, null)).toBe(graph);
+    expect(getVisibleGraph(null)).toEqual({ nodes: [], links: [] });
+  });
+});
+
+describe('buildExportRecords', () => {
+  const records = buildExportRecords(graph, buildNodeAttributeIndex(sourceEntityList, downstreamEntityList));
+
+  it('joins the entity attributes of each application', () => {
+    expect(records.nodes[0]).toMatchObject({
+      id: 'billing',
+      type: 'source',
+      dataPlatform: 'data lake',
+      sourceTables: 6,
+      downstreamTables: 0,
+      platforms: 'Data Lake; Warehouse',
+      eimId: 'EIM-1; EIM-2',
+      abbreviation: '',
+    });
+    expect(records.nodes[2]).toMatchObject({ type: 'mixed', abbreviation: 'RPT', downstreamTables: 3 });
+  });
+
+  it('leaves application attributes empty on platforms', () => {
+    expect(records.nodes[1]).toMatchObject({ type: 'dataplatform', dataPlatform: 'Data Lake', sourceTables: '', eimId: '' });
+    expect(getNodeKind(graph.nodes[1])).toBe('dataplatform');
+  });
+
+  it('flattens links', () => {
+    expect(records.links[2]).toEqual({ source: 'data lake', target: 'warehouse', value: 1, sharedApps: 'Billing; Reporting' });
+  });
+});
+
+describe('recordsToCsv', () => {
+  it('quotes values with commas, quotes or line breaks', () => {
+    const csv = recordsToCsv([{ name: 'Billing, EU', note: 'say "hi"', empty: null }, { name: 'a\nb', note: 1, empty: '' }]);
+
+    expect(csv).toBe('name,note,empty\r\n"Billing, EU","say ""hi""",\r\n"a\nb",1,');
+    expect(recordsToCsv([])).toBe('');
+  });
+});
+
+describe('getExportFileName', () => {
+  it('names files after the layout, an optional suffix and a timestamp', () => {
+    expect(getExportFileName('venn', 'png')).toMatch(/^relationship-graph-venn-\d{8}-\d{6}\.png$/);
+    expect(getExportFileName('venn', 'csv', 'nodes')).toMatch(/^relationship-graph-venn-nodes-\d{8}-\d{6}\.csv$/);
+  });
+});
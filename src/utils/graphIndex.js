@@ -0,0 +1,69 @@
+/**
+ * Graph Index Utility
+ *
+ * Precomputes lookups over a layout's { nodes, links } once per layout, so
+ * hover, selection and search never have to scan every link.
+ */
+
+const EMPTY_SET = new Set();
+
+// Links may reference nodes by id or by node object
+export const getLinkEndpointId = (endpoint) => (
+  endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint
+);
+
+export const buildGraphIndex = (data) => {
+  // node id -> position in data.nodes (the ECharts dataIndex)
+  const nodeIndexById = new Map();
+  // entity id -> first node standing for it, for layouts whose node ids differ from the
+  // application/platform key (the Sankey draws an application in both outer columns)
+  const nodeIndexByEntityId = new Map();
+  // node id -> Set of adjacent node ids
+  const neighbors = new Map();
+  // node id -> positions in data.links touching the node
+  const linksByNode = new Map();
+
+  if (!data || !data.nodes || !data.links) {
+    return { nodeIndexById, nodeIndexByEntityId, neighbors, linksByNode };
+  }
+
+  data.nodes.forEach((node, index) => {
+    nodeIndexById.set(node.id, index);
+    if (node.entityId !== undefined && !nodeIndexByEntityId.has(node.entityId)) {
+      nodeIndexByEntityId.set(node.entityId, index);
+    }
+  });
+
+  const addNeighbor = (from, to, linkIndex) => {
+    if (!neighbors.has(from)) {
+      neighbors.set(from, new Set());
+      linksByNode.set(from, []);
+    }
+    neighbors.get(from).add(to);
+    linksByNode.get(from).push(linkIndex);
+  };
+
+  data.links.forEach((link, linkIndex) => {
+    const sourceId = getLinkEndpointId(link.source);
+    const targetId = getLinkEndpointId(link.target);
+    if (sourceId === undefined || targetId === undefined) return;
+
+    addNeighbor(sourceId, targetId, linkIndex);
+    if (sourceId !== targetId) {
+      addNeighbor(targetId, sourceId, linkIndex);
+    }
+  });
+
+  return { nodeIndexById, nodeIndexByEntityId, neighbors, linksByNode };
+};
+
+// Accepts a node id or an entity id
+export const getNodeDataIndex = (graphIndex, nodeId) => {
+  if (!graphIndex) return undefined;
+  const dataIndex = graphIndex.nodeIndexById.get(nodeId);
+  return dataIndex !== undefined ? dataIndex : graphIndex.nodeIndexByEntityId.get(nodeId);
+};
+
+export const getNeighborIds = (graphIndex, nodeId) => (
+  (graphIndex && graphIndex.neighbors.get(nodeId)) || EMPTY_SET
+);
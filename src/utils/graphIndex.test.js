@@ -0,0 +1,37 @@
+import { buildGraphIndex, getLinkEndpointId, getNodeDataIndex, getNeighborIds } from './graphIndex';
+
+const graph = {
+  nodes: [{ id: 'billing' }, { id: 'data lake' }, { id: 'reporting' }, { id: 'orphan' }],
+  links: [
+    { source: 'billing', target: 'data lake' },
+    { source: { id: 'data lake' }, target: { id: 'reporting' } },
+    { source: 'reporting', target: 'reporting' },
+  ],
+};
+
+describe('buildGraphIndex', () => {
+  const index = buildGraphIndex(graph);
+
+  it('maps node ids to their data index', () => {
+    expect(getNodeDataIndex(index, 'reporting')).toBe(2);
+    expect(getNodeDataIndex(index, 'missing')).toBeUndefined();
+    expect(getNodeDataIndex(null, 'reporting')).toBeUndefined();
+  });
+
+  it('indexes neighbours in both directions, whether links hold ids or node objects', () => {
+    expect(Array.from(getNeighborIds(index, 'data lake'))).toEqual(['billing', 'reporting']);
+    expect(Array.from(getNeighborIds(index, 'billing'))).toEqual(['data lake']);
+    expect(getNeighborIds(index, 'orphan').size).toBe(0);
+  });
+
+  it('lists the links touching a node once, including self-links', () => {
+    expect(index.linksByNode.get('data lake')).toEqual([0, 1]);
+    expect(index.linksByNode.get('reporting')).toEqual([1, 2]);
+  });
+
+  it('returns empty lookups for missing data', () => {
+    expect(buildGraphIndex(null).nodeIndexById.size).toBe(0);
+    expect(getLinkEndpointId({ id: 'billing' })).toBe('billing');
+    expect(getLinkEndpointId('billing')).toBe('billing');
+  });
+});
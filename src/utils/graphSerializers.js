@@ -0,0 +1,224 @@
+/**
+ * Graph Serializers
+ *
+ * Writes a layout's { nodes, links } to GraphML (yEd, Gephi), GEXF (Gephi) and Graphviz DOT.
+ * Nodes keep their type (source, downstream, mixed, dataplatform), platform, table counts,
+ * entity attributes and x/y position; edges keep their weight (`value`).
+ *
+ * Every serializer takes the graph plus either `attributeIndex` (from buildNodeAttributeIndex)
+ * or the `sourceEntityList` / `downstreamEntityList` the graph was built from.
+ */
+
+import { buildNodeAttributeIndex, buildExportRecords, NODE_ATTRIBUTE_FIELDS } from './exporters';
+
+// Node attributes written by every format, in order
+export const GRAPH_NODE_ATTRIBUTES = [
+  { key: 'type', label: 'Type', type: 'string' },
+  { key: 'dataPlatform', label: 'Data Platform', type: 'string' },
+  { key: 'tables', label: 'Tables', type: 'double' },
+  { key: 'sourceTables', label: 'Source Tables', type: 'double' },
+  { key: 'downstreamTables', label: 'Downstream Tables', type: 'double' },
+  { key: 'platforms', label: 'Platforms', type: 'string' },
+  ...NODE_ATTRIBUTE_FIELDS.map(field => ({ key: field.key, label: field.label, type: 'string' })),
+];
+
+export const GRAPH_EDGE_ATTRIBUTES = [
+  { key: 'value', label: 'Weight', type: 'double' },
+  { key: 'sharedApps', label: 'Shared Applications', type: 'string' },
+];
+
+export const GRAPH_FORMATS = {
+  graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+  gexf: { label: 'GEXF', extension: 'gexf', mimeType: 'application/gexf+xml' },
+  dot: { label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+};
+
+const getRecords = (data, options = {}) => {
+  const attributeIndex = options.attributeIndex
+    || buildNodeAttributeIndex(options.sourceEntityList, options.downstreamEntityList);
+  return buildExportRecords(data || { nodes: [], links: [] }, attributeIndex);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeDot = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// '#RRGGBB' / '#RGB' -> { r, g, b }; other colour formats are skipped
+const parseHexColor = (color) => {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+  };
+};
+
+const getNodeColor = (node) => (node.itemStyle ? node.itemStyle.color : null);
+
+const getNodeSize = (node) => (Array.isArray(node.symbolSize) ? node.symbolSize[0] : node.symbolSize);
+
+// GraphML: attributes as <key>/<data>; x/y are kept in screen coordinates (y down), as yEd uses them
+export const toGraphML = (data, options = {}) => {
+  const { nodes, links } = getRecords(data, options);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+  ];
+  GRAPH_NODE_ATTRIBUTES.forEach(attribute => {
+    lines.push(`  <key id="${attribute.key}" for="node" attr.name="${attribute.key}" attr.type="${attribute.type}"/>`);
+  });
+  lines.push('  <key id="x" for="node" attr.name="x" attr.type="double"/>');
+  lines.push('  <key id="y" for="node" attr.name="y" attr.type="double"/>');
+  GRAPH_EDGE_ATTRIBUTES.forEach(attribute => {
+    lines.push(`  <key id="${attribute.key}" for="edge" attr.name="${attribute.key}" attr.type="${attribute.type}"/>`);
+  });
+  lines.push('  <graph id="G" edgedefault="directed">');
+
+  nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(node.name)}</data>`);
+    GRAPH_NODE_ATTRIBUTES.forEach(attribute => {
+      if (isEmpty(node[attribute.key])) return;
+      lines.push(`      <data key="${attribute.key}">${escapeXml(node[attribute.key])}</data>`);
+    });
+    if (!isEmpty(node.x)) lines.push(`      <data key="x">${toNumber(node.x)}</data>`);
+    if (!isEmpty(node.y)) lines.push(`      <data key="y">${toNumber(node.y)}</data>`);
+    lines.push('    </node>');
+  });
+
+  links.forEach((link, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(link.source)}" target="${escapeXml(link.target)}">`);
+    lines.push(`      <data key="value">${toNumber(link.value)}</data>`);
+    if (link.sharedApps) lines.push(`      <data key="sharedApps">${escapeXml(link.sharedApps)}</data>`);
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>');
+  lines.push('</graphml>');
+  return lines.join('\n');
+};
+
+// GEXF 1.3 with viz positions, colours and sizes; y is flipped because Gephi's y axis points up
+export const toGexf = (data, options = {}) => {
+  const { nodes, links } = getRecords(data, options);
+  const sourceNodes = (data && data.nodes) || [];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>Data Relationship Visualization</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+  ];
+  GRAPH_NODE_ATTRIBUTES.forEach((attribute, index) => {
+    lines.push(`      <attribute id="${index}" title="${attribute.key}" type="${attribute.type}"/>`);
+  });
+  lines.push('    </attributes>');
+  lines.push('    <attributes class="edge">');
+  lines.push('      <attribute id="0" title="sharedApps" type="string"/>');
+  lines.push('    </attributes>');
+
+  lines.push('    <nodes>');
+  nodes.forEach((node, nodeIndex) => {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name)}">`);
+    lines.push('        <attvalues>');
+    GRAPH_NODE_ATTRIBUTES.forEach((attribute, index) => {
+      if (isEmpty(node[attribute.key])) return;
+      lines.push(`          <attvalue for="${index}" value="${escapeXml(node[attribute.key])}"/>`);
+    });
+    lines.push('        </attvalues>');
+    if (!isEmpty(node.x) && !isEmpty(node.y)) {
+      lines.push(`        <viz:position x="${toNumber(node.x)}" y="${-toNumber(node.y)}" z="0"/>`);
+    }
+    const color = parseHexColor(getNodeColor(sourceNodes[nodeIndex] || {}));
+    if (color) lines.push(`        <viz:color r="${color.r}" g="${color.g}" b="${color.b}"/>`);
+    const size = getNodeSize(sourceNodes[nodeIndex] || {});
+    if (!isEmpty(size)) lines.push(`        <viz:size value="${toNumber(size)}"/>`);
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>');
+
+  lines.push('    <edges>');
+  links.forEach((link, index) => {
+    const attributes = `id="${index}" source="${escapeXml(link.source)}" target="${escapeXml(link.target)}" weight="${toNumber(link.value)}"`;
+    if (link.sharedApps) {
+      lines.push(`      <edge ${attributes}>`);
+      lines.push(`        <attvalues><attvalue for="0" value="${escapeXml(link.sharedApps)}"/></attvalues>`);
+      lines.push('      </edge>');
+    } else {
+      lines.push(`      <edge ${attributes}/>`);
+    }
+  });
+  lines.push('    </edges>');
+  lines.push('  </graph>');
+  lines.push('</gexf>');
+  return lines.join('\n');
+};
+
+// Graphviz DOT with pinned positions (`pos="x,y!"`, render with `neato -n`); y is flipped for Graphviz
+export const toDot = (data, options = {}) => {
+  const { nodes, links } = getRecords(data, options);
+  const sourceNodes = (data && data.nodes) || [];
+  const lines = [
+    'digraph RelationshipGraph {',
+    '  graph [overlap=true, splines=true];',
+    '  node [shape=ellipse, style=filled, fontname="Helvetica"];',
+  ];
+
+  nodes.forEach((node, nodeIndex) => {
+    const attributes = [`label="${escapeDot(node.name)}"`];
+    GRAPH_NODE_ATTRIBUTES.forEach(attribute => {
+      if (isEmpty(node[attribute.key])) return;
+      attributes.push(`${attribute.key}="${escapeDot(node[attribute.key])}"`);
+    });
+    if (!isEmpty(node.x) && !isEmpty(node.y)) {
+      attributes.push(`pos="${toNumber(node.x)},${-toNumber(node.y)}!"`);
+    }
+    const color = getNodeColor(sourceNodes[nodeIndex] || {});
+    if (parseHexColor(color)) attributes.push(`fillcolor="${color}"`);
+    if (node.type === 'dataplatform') attributes.push('shape=box');
+    lines.push(`  "${escapeDot(node.id)}" [${attributes.join(', ')}];`);
+  });
+
+  links.forEach(link => {
+    const attributes = [`weight=${toNumber(link.value)}`, `value=${toNumber(link.value)}`];
+    if (link.sharedApps) attributes.push(`sharedApps="${escapeDot(link.sharedApps)}"`);
+    lines.push(`  "${escapeDot(link.source)}" -> "${escapeDot(link.target)}" [${attributes.join(', ')}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+};
+
+const serializers = {
+  graphml: toGraphML,
+  gexf: toGexf,
+  dot: toDot,
+};
+
+// Serialize by format key ('graphml', 'gexf' or 'dot')
+export const serializeGraph = (format, data, options = {}) => {
+  const serializer = serializers[format];
+  if (!serializer) {
+    throw new Error(`Unsupported graph format: ${format}`);
+  }
+  return serializer(data, options);
+};
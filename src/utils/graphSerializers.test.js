@@ -0,0 +1,70 @@
+import { toGraphML, toGexf, toDot, serializeGraph } from './graphSerializers';
+
+const graph = {
+  nodes: [
+    { id: 'billing & co', name: 'Billing & Co', type: 'Source', tables: 4, x: 10, y: 20, itemStyle: { color: '#34A853' }, symbolSize: 12 },
+    { id: 'data lake', name: 'Data Lake', type: 'DataPlatform', tables: 4, x: 50, y: 60, itemStyle: { color: '#4285F4' } },
+    { id: 'reporting', name: 'Reporting "Hub"', type: 'Downstream', tables: 1, x: 90, y: 20, itemStyle: { color: 'rgb(0, 0, 0)' } },
+  ],
+  links: [
+    { source: 'billing & co', target: 'data lake', value: 4 },
+    { source: { id: 'data lake' }, target: 'reporting', value: 1 },
+  ],
+};
+
+const options = {
+  sourceEntityList: [{ source_application_name: 'Billing & Co', data_platform: 'Data Lake', source_table_count: 4, source_eim_id: 'EIM-1' }],
+  downstreamEntityList: [{ downstream_application_name: 'Reporting "Hub"', data_platform: 'Data Lake', share_to_downstream_table_count: 1 }],
+};
+
+describe('toGraphML', () => {
+  it('escapes ids and labels and keeps attributes, positions and weights', () => {
+    const xml = toGraphML(graph, options);
+
+    expect(xml).toContain('<node id="billing &amp; co">');
+    expect(xml).toContain('<data key="label">Reporting &quot;Hub&quot;</data>');
+    expect(xml).toContain('<data key="eimId">EIM-1</data>');
+    expect(xml).toContain('<data key="x">10</data>');
+    expect(xml).toContain('<edge id="e1" source="data lake" target="reporting">');
+    expect(xml).toContain('<data key="value">4</data>');
+  });
+});
+
+describe('toGexf', () => {
+  it('flips y and writes hex colours and sizes', () => {
+    const xml = toGexf(graph, options);
+
+    expect(xml).toContain('<viz:position x="10" y="-20" z="0"/>');
+    expect(xml).toContain('<viz:color r="52" g="168" b="83"/>');
+    expect(xml).toContain('<viz:size value="12"/>');
+    // Colours that are not hex are left out
+    expect(xml.match(/<viz:color/g)).toHaveLength(2);
+    expect(xml).toContain('<edge id="0" source="billing &amp; co" target="data lake" weight="4"/>');
+  });
+});
+
+describe('toDot', () => {
+  it('quotes ids, pins positions and draws platforms as boxes', () => {
+    const dot = toDot(graph, options);
+
+    expect(dot).toContain('"reporting" [label="Reporting \\"Hub\\""');
+    expect(dot).toContain('pos="50,-60!"');
+    expect(dot).toMatch(/"data lake" \[.*shape=box\];/);
+    expect(dot).toContain('"billing & co" -> "data lake" [weight=4, value=4];');
+  });
+});
+
+describe('serializeGraph', () => {
+  it('rejects unknown formats', () => {
+    expect(() => serializeGraph('svg', graph)).toThrow('Unsupported graph format: svg');
+  });
+
+  it('writes an empty graph', () => {
+    expect(serializeGraph('dot', { nodes: [], links: [] })).toBe([
+      'digraph RelationshipGraph {',
+      '  graph [overlap=true, splines=true];',
+      '  node [shape=ellipse, style=filled, fontname="Helvetica"];',
+      '}',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Impact Analysis Utility
+ *
+ * Simulates the outage of a data platform: every downstream application fed by the
+ * platform loses the tables it receives from it. Applications with no other feeding
+ * platform are cut off; the ones still fed through another platform are partially affected.
+ *
+ * The outage propagates: a platform whose source applications are all cut off has nothing
+ * left to share, so its downstream applications lose their tables from it as well.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
+export const IMPACT_STATUS = {
+  CUT_OFF: 'cut-off',
+  PARTIAL: 'partial',
+  UNAFFECTED: 'unaffected',
+};
+
+export const IMPACT_STATUS_LABELS = {
+  [IMPACT_STATUS.CUT_OFF]: 'Cut off',
+  [IMPACT_STATUS.PARTIAL]: 'Partially affected',
+  [IMPACT_STATUS.UNAFFECTED]: 'Unaffected',
+};
+
+export const IMPACT_COLORS = {
+  [IMPACT_STATUS.CUT_OFF]: '#D32F2F',
+  [IMPACT_STATUS.PARTIAL]: '#FFA000',
+  [IMPACT_STATUS.UNAFFECTED]: '#43A047',
+  outage: '#9E9E9E',
+};
+
+// Severity order used when sorting by status
+const STATUS_RANK = {
+  [IMPACT_STATUS.CUT_OFF]: 0,
+  [IMPACT_STATUS.PARTIAL]: 1,
+  [IMPACT_STATUS.UNAFFECTED]: 2,
+};
+
+// Classify every downstream application for an outage of `platformId` (a platform key).
+// Returns { platformId, starvedPlatforms, apps: [{ id, name, status, indirect, tablesLost, tablesRemaining,
+// remainingPlatforms }], summary }. `starvedPlatforms` lists the platforms that lose all their sources
+// through the outage; `indirect` marks applications only affected through such a platform.
+export const analyzePlatformOutage = ({ sourceEntityList = [], downstreamEntityList = [] }, platformId) => {
+  // application id -> { id, name, feeds: platform id -> tables }
+  const apps = new Map();
+  downstreamEntityList.forEach(row => {
+    const name = String(row?.downstream_application_name || 'Unknown');
+    const id = getApplicationKey(name);
+    if (!apps.has(id)) {
+      apps.set(id, { id, name, feeds: new Map() });
+    }
+    const { feeds } = apps.get(id);
+    const platform = getPlatformKey(row);
+    feeds.set(platform, (feeds.get(platform) || 0) + (Number(row?.share_to_downstream_table_count) || 0));
+  });
+
+  // platform id -> ids of the applications putting data into it
+  const platformSources = new Map();
+  sourceEntityList.forEach(row => {
+    const platform = getPlatformKey(row);
+    if (!platformSources.has(platform)) platformSources.set(platform, new Set());
+    platformSources.get(platform).add(getApplicationKey(row?.source_application_name));
+  });
+
+  // Spread the outage until no more applications are cut off
+  const failedPlatforms = new Set([platformId]);
+  const cutOffApps = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const app of apps.values()) {
+      if (!cutOffApps.has(app.id) && Array.from(app.feeds.keys()).every(platform => failedPlatforms.has(platform))) {
+        cutOffApps.add(app.id);
+        changed = true;
+      }
+    }
+    for (const [platform, sources] of platformSources) {
+      if (!failedPlatforms.has(platform) && Array.from(sources).every(appId => cutOffApps.has(appId))) {
+        failedPlatforms.add(platform);
+        changed = true;
+      }
+    }
+  }
+
+  const summary = {
+    [IMPACT_STATUS.CUT_OFF]: 0,
+    [IMPACT_STATUS.PARTIAL]: 0,
+    [IMPACT_STATUS.UNAFFECTED]: 0,
+    tablesLost: 0,
+  };
+
+  const rows = Array.from(apps.values()).map(({ id, name, feeds }) => {
+    let tablesLost = 0;
+    let tablesRemaining = 0;
+    const remainingPlatforms = [];
+    feeds.forEach((tables, platform) => {
+      if (failedPlatforms.has(platform)) {
+        tablesLost += tables;
+      } else {
+        tablesRemaining += tables;
+        remainingPlatforms.push(platform);
+      }
+    });
+
+    let status = IMPACT_STATUS.UNAFFECTED;
+    if (cutOffApps.has(id)) {
+      status = IMPACT_STATUS.CUT_OFF;
+    } else if (remainingPlatforms.length < feeds.size) {
+      status = IMPACT_STATUS.PARTIAL;
+    }
+    summary[status] += 1;
+    summary.tablesLost += tablesLost;
+    return {
+      id,
+      name,
+      status,
+      indirect: status !== IMPACT_STATUS.UNAFFECTED && !feeds.has(platformId),
+      tablesLost,
+      tablesRemaining,
+      remainingPlatforms: remainingPlatforms.sort(),
+    };
+  });
+
+  const starvedPlatforms = Array.from(failedPlatforms).filter(platform => platform !== platformId).sort();
+  return { platformId, starvedPlatforms, apps: sortImpactRows(rows, 'status', 'asc'), summary };
+};
+
+// Sort rows by 'name', 'status', 'tablesLost' or 'tablesRemaining'; ties fall back to most tables lost
+export const sortImpactRows = (rows, orderBy = 'status', order = 'asc') => {
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = (a, b) => {
+    switch (orderBy) {
+      case 'name':
+        return a.name.localeCompare(b.name);
+      case 'status':
+        return STATUS_RANK[a.status] - STATUS_RANK[b.status];
+      default:
+        return a[orderBy] - b[orderBy];
+    }
+  };
+  return [...rows].sort((a, b) => (
+    direction * compare(a, b) || b.tablesLost - a.tablesLost || a.name.localeCompare(b.name)
+  ));
+};
+
+// Graph overlay for getChartOptions: the failed platform and the platforms it starves are greyed
+// out, downstream apps are coloured by status, other platforms stay as they are and sources are dimmed
+export const getImpactOverlay = (result, platformIds = []) => {
+  if (!result) return null;
+  const nodes = new Map();
+
+  platformIds.forEach(id => nodes.set(id, {}));
+  nodes.set(result.platformId, { color: IMPACT_COLORS.outage, borderColor: IMPACT_COLORS[IMPACT_STATUS.CUT_OFF], label: 'Outage' });
+  result.starvedPlatforms.forEach(id => {
+    nodes.set(id, { color: IMPACT_COLORS.outage, borderColor: IMPACT_COLORS[IMPACT_STATUS.PARTIAL], label: 'No sources' });
+  });
+  result.apps.forEach(app => {
+    nodes.set(app.id, { color: IMPACT_COLORS[app.status], label: app.tablesLost ? `-${app.tablesLost}` : undefined });
+  });
+
+  return { nodes, dimOpacity: 0.2 };
+};
@@ -0,0 +1,100 @@
+import { analyzePlatformOutage, getImpactOverlay, sortImpactRows, IMPACT_STATUS } from './impactAnalysis';
+import { sourceRow, downstreamRow } from './testUtils';
+
+// Ingest only feeds from Data Lake and is the only source of Mart; Finance reads Mart and Warehouse
+const lists = {
+  sourceEntityList: [sourceRow('Ingest', 'Mart', 3), sourceRow('Billing', 'Warehouse', 2)],
+  downstreamEntityList: [
+    downstreamRow('Ingest', 'Data Lake', 2),
+    downstreamRow('Reporting', 'Mart', 5),
+    downstreamRow('Finance', 'Mart', 1),
+    downstreamRow('Finance', 'Warehouse', 1),
+    downstreamRow('Audit', 'Warehouse', 4),
+  ],
+};
+
+describe('analyzePlatformOutage', () => {
+  const result = analyzePlatformOutage(lists, 'data lake');
+  const app = (id) => result.apps.find(row => row.id === id);
+
+  it('cuts off applications fed only by the failed platform', () => {
+    expect(app('ingest')).toMatchObject({ status: IMPACT_STATUS.CUT_OFF, indirect: false, tablesLost: 2, tablesRemaining: 0 });
+  });
+
+  it('propagates through platforms that lose all their sources', () => {
+    expect(result.starvedPlatforms).toEqual(['mart']);
+    expect(app('reporting')).toMatchObject({ status: IMPACT_STATUS.CUT_OFF, indirect: true, tablesLost: 5 });
+    expect(app('finance')).toMatchObject({ status: IMPACT_STATUS.PARTIAL, indirect: true, tablesLost: 1, remainingPlatforms: ['warehouse'] });
+    expect(app('audit').status).toBe(IMPACT_STATUS.UNAFFECTED);
+    expect(result.summary).toEqual({ 'cut-off': 2, partial: 1, unaffected: 1, tablesLost: 8 });
+  });
+
+  it('does not propagate while a platform keeps another source', () => {
+    const withSecondSource = {
+      ...lists,
+      sourceEntityList: [...lists.sourceEntityList, sourceRow('Crm', 'Mart')],
+    };
+    const partial = analyzePlatformOutage(withSecondSource, 'data lake');
+
+    expect(partial.starvedPlatforms).toEqual([]);
+    expect(partial.apps.find(row => row.id === 'reporting').status).toBe(IMPACT_STATUS.UNAFFECTED);
+  });
+
+  it('propagates over several hops through platforms shared by starved sources', () => {
+    // Data Lake -> Ingest -> Mart -> (Etl, Loader) -> Cube -> Dashboard; Cube only starves once both Etl and Loader are cut off
+    const chain = analyzePlatformOutage({
+      sourceEntityList: [
+        sourceRow('Ingest', 'Mart'),
+        sourceRow('Etl', 'Cube'),
+        sourceRow('Loader', 'Cube'),
+      ],
+      downstreamEntityList: [
+        downstreamRow('Ingest', 'Data Lake'),
+        downstreamRow('Etl', 'Mart'),
+        downstreamRow('Loader', 'Mart'),
+        downstreamRow('Dashboard', 'Cube', 7),
+      ],
+    }, 'data lake');
+
+    expect(chain.starvedPlatforms).toEqual(['cube', 'mart']);
+    expect(chain.apps.find(row => row.id === 'dashboard')).toMatchObject({ status: IMPACT_STATUS.CUT_OFF, indirect: true, tablesLost: 7 });
+    expect(chain.summary[IMPACT_STATUS.CUT_OFF]).toBe(4);
+  });
+
+  it('stops at cycles between platforms', () => {
+    // Sync reads Data Lake and writes Mart; Backfill reads Mart and writes Data Lake back
+    const cycle = analyzePlatformOutage({
+      sourceEntityList: [sourceRow('Sync', 'Mart'), sourceRow('Backfill', 'Data Lake')],
+      downstreamEntityList: [downstreamRow('Sync', 'Data Lake'), downstreamRow('Backfill', 'Mart'), downstreamRow('Reporting', 'Mart')],
+    }, 'mart');
+
+    expect(cycle.starvedPlatforms).toEqual(['data lake']);
+    expect(cycle.apps.map(row => [row.id, row.status])).toEqual([
+      ['backfill', IMPACT_STATUS.CUT_OFF],
+      ['reporting', IMPACT_STATUS.CUT_OFF],
+      ['sync', IMPACT_STATUS.CUT_OFF],
+    ]);
+  });
+
+  it('greys out the failed and starved platforms in the overlay', () => {
+    const overlay = getImpactOverlay(result, ['data lake', 'mart', 'warehouse']);
+
+    expect(overlay.nodes.get('data lake').label).toBe('Outage');
+    expect(overlay.nodes.get('mart').label).toBe('No sources');
+    expect(overlay.nodes.get('warehouse')).toEqual({});
+  });
+});
+
+describe('sortImpactRows', () => {
+  it('sorts by a column and breaks ties by the tables lost', () => {
+    const rows = [
+      { name: 'b', status: IMPACT_STATUS.PARTIAL, tablesLost: 1, tablesRemaining: 4 },
+      { name: 'a', status: IMPACT_STATUS.CUT_OFF, tablesLost: 2, tablesRemaining: 0 },
+      { name: 'c', status: IMPACT_STATUS.PARTIAL, tablesLost: 3, tablesRemaining: 1 },
+    ];
+
+    expect(sortImpactRows(rows).map(row => row.name)).toEqual(['a', 'c', 'b']);
+    expect(sortImpactRows(rows, 'tablesRemaining', 'desc').map(row => row.name)).toEqual(['b', 'c', 'a']);
+    expect(sortImpactRows(rows, 'name').map(row => row.name)).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Layout Cache Utility
+ *
+ * Caches computed layouts per dataset, layout type and seed so that re-renders
+ * (hover, selection, panel toggles) and switching back to a previous layout do
+ * not run the layout builders again.
+ */
+
+// Entity lists are immutable once loaded, so array identity identifies a dataset
+const datasetIds = new WeakMap();
+let nextDatasetId = 1;
+
+export const getDatasetId = (...lists) => lists.map(list => {
+  if (!list || typeof list !== 'object') return '0';
+  if (!datasetIds.has(list)) {
+    datasetIds.set(list, nextDatasetId++);
+  }
+  return datasetIds.get(list);
+}).join(':');
+
+export const getLayoutCacheKey = (sourceEntityList, downstreamEntityList, layoutType, seed) => (
+  `${getDatasetId(sourceEntityList, downstreamEntityList)}|${layoutType}|${seed}`
+);
+
+// Small LRU cache: the least recently used layout is evicted once `maxEntries` is exceeded
+export const createLayoutCache = (maxEntries = 12) => {
+  const entries = new Map();
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, value);
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+
+  return {
+    has: (key) => entries.has(key),
+    get: (key, compute) => {
+      if (entries.has(key)) {
+        return set(key, entries.get(key));
+      }
+      return compute ? set(key, compute()) : undefined;
+    },
+    set,
+    clear: () => entries.clear(),
+  };
+};
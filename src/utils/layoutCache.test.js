@@ -0,0 +1,42 @@
+import { getDatasetId, getLayoutCacheKey, createLayoutCache } from './layoutCache';
+
+describe('getLayoutCacheKey', () => {
+  it('identifies datasets by list identity', () => {
+    const sources = [{ source_application_name: 'Billing' }];
+    const downstreams = [];
+
+    expect(getDatasetId(sources, downstreams)).toBe(getDatasetId(sources, downstreams));
+    expect(getDatasetId([...sources], downstreams)).not.toBe(getDatasetId(sources, downstreams));
+    expect(getDatasetId(null)).toBe('0');
+    expect(getLayoutCacheKey(sources, downstreams, 'venn', 2)).toBe(`${getDatasetId(sources, downstreams)}|venn|2`);
+  });
+});
+
+describe('createLayoutCache', () => {
+  it('computes each key once', () => {
+    const cache = createLayoutCache();
+    const compute = jest.fn(() => ({ nodes: [] }));
+
+    const first = cache.get('a', compute);
+    expect(cache.get('a', compute)).toBe(first);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    cache.clear();
+    cache.get('a', compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('evicts the least recently used entry', () => {
+    const cache = createLayoutCache(2);
+    const compute = jest.fn(key => key);
+
+    cache.get('a', () => compute('a'));
+    cache.get('b', () => compute('b'));
+    cache.get('a', () => compute('a'));
+    cache.get('c', () => compute('c'));
+    cache.get('a', () => compute('a'));
+    cache.get('b', () => compute('b'));
+
+    expect(compute.mock.calls.map(([key]) => key)).toEqual(['a', 'b', 'c', 'b']);
+  });
+});
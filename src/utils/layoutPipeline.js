@@ -0,0 +1,117 @@
+/**
+ * Layout Pipeline
+ *
+ * Turns entity lists into graph data ({ nodes, links }) in four stages:
+ * parse -> merge -> layout -> cross-platform links.
+ * Runs inside the layout Web Worker, and on the main thread where workers are unavailable.
+ */
+
+import { getMainGraphData, getVennNetworkLayout, getPlatformConnectionLinks, defaultColorMap } from './chartOptions';
+import { getSankeyGraphData } from './sankeyLayout';
+import { getChordGraphData } from './chordLayout';
+import { getMatrixGraphData } from './matrixLayout';
+import { getOverlapGraphData } from './platformOverlap';
+import { getTraditionalGraphData } from './dataGenerator';
+import { buildApplicationPlatformIndex, computePlatformConnections } from './platformConnections';
+import { createRandom, DEFAULT_LAYOUT_SEED } from './random';
+
+export const LAYOUT_STAGES = [
+  { key: 'parse', label: 'Parsing rows' },
+  { key: 'merge', label: 'Merging applications' },
+  { key: 'layout', label: 'Computing layout' },
+  { key: 'links', label: 'Linking platforms' },
+];
+
+export const getLayoutStageLabel = (stageKey) => {
+  const stage = LAYOUT_STAGES.find(s => s.key === stageKey);
+  return stage ? stage.label : stageKey;
+};
+
+// Thrown between stages once a run has been cancelled
+export const createCancelledError = () => {
+  const error = new Error('Layout cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Let pending messages (such as a cancel request) and UI work run between stages
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const toCount = (value) => {
+  const count = Number(value);
+  return Number.isFinite(count) ? count : 0;
+};
+
+// Normalize rows so every layout sees string names/platforms and numeric table counts
+export const normalizeEntityLists = (sourceEntityList = [], downstreamEntityList = []) => ({
+  sourceEntityList: sourceEntityList.filter(Boolean).map(row => ({
+    ...row,
+    source_application_name: String(row.source_application_name || 'Unknown'),
+    data_platform: row.data_platform == null ? row.data_platform : String(row.data_platform),
+    source_table_count: toCount(row.source_table_count),
+  })),
+  downstreamEntityList: downstreamEntityList.filter(Boolean).map(row => ({
+    ...row,
+    downstream_application_name: String(row.downstream_application_name || 'Unknown'),
+    data_platform: row.data_platform == null ? row.data_platform : String(row.data_platform),
+    share_to_downstream_table_count: toCount(row.share_to_downstream_table_count),
+  })),
+});
+
+const buildLayout = (layoutType, sourceEntityList, downstreamEntityList, colorMap, options) => {
+  switch (layoutType) {
+    case 'circular':
+      return getMainGraphData(sourceEntityList, downstreamEntityList, colorMap, options);
+    case 'venn':
+      return getVennNetworkLayout(sourceEntityList, downstreamEntityList, colorMap, options);
+    case 'sankey':
+      return getSankeyGraphData(sourceEntityList, downstreamEntityList, colorMap, options);
+    case 'chord':
+      return getChordGraphData(sourceEntityList, downstreamEntityList, colorMap, options);
+    case 'matrix':
+      return getMatrixGraphData(sourceEntityList, downstreamEntityList, colorMap);
+    case 'overlap':
+      return getOverlapGraphData(sourceEntityList, downstreamEntityList, colorMap, options);
+    case 'force':
+      // The force simulation runs in the chart, starting from the traditional positions
+      return { ...getTraditionalGraphData(sourceEntityList, downstreamEntityList, colorMap, options), chartType: 'force' };
+    case 'traditional':
+    default:
+      return getTraditionalGraphData(sourceEntityList, downstreamEntityList, colorMap, options);
+  }
+};
+
+// Run the whole pipeline.
+// `onProgress({ stage, progress })` is called as each stage starts (progress in [0, 1]);
+// `isCancelled()` is checked between stages and aborts the run with an AbortError.
+export const runLayoutPipeline = async (
+  { sourceEntityList, downstreamEntityList, layoutType = 'traditional', seed = DEFAULT_LAYOUT_SEED, colorMap = defaultColorMap },
+  { onProgress = () => {}, isCancelled = () => false } = {}
+) => {
+  const enterStage = async (stage) => {
+    await yieldToEventLoop();
+    if (isCancelled()) throw createCancelledError();
+    onProgress({ stage, progress: LAYOUT_STAGES.findIndex(s => s.key === stage) / LAYOUT_STAGES.length });
+  };
+
+  await enterStage('parse');
+  const lists = normalizeEntityLists(sourceEntityList, downstreamEntityList);
+
+  await enterStage('merge');
+  const applicationIndex = buildApplicationPlatformIndex(lists.sourceEntityList, lists.downstreamEntityList);
+
+  await enterStage('layout');
+  const random = createRandom(seed);
+  const data = buildLayout(layoutType, lists.sourceEntityList, lists.downstreamEntityList, colorMap, {
+    random,
+    platformLinks: false,
+    applicationIndex,
+  });
+
+  await enterStage('links');
+  const connections = computePlatformConnections(lists.sourceEntityList, lists.downstreamEntityList, applicationIndex);
+  data.links.push(...getPlatformConnectionLinks(layoutType, connections, random));
+
+  onProgress({ stage: 'links', progress: 1 });
+  return data;
+};
@@ -0,0 +1,45 @@
+import { runLayoutPipeline, normalizeEntityLists, getLayoutStageLabel, LAYOUT_STAGES } from './layoutPipeline';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const payload = {
+  sourceEntityList: [sourceRow('Billing', 'Data Lake', '4'), sourceRow('Billing', 'Warehouse', 2), null],
+  downstreamEntityList: [downstreamRow('Reporting', 'Data Lake', 3), downstreamRow('Billing', 'Stream', 1)],
+};
+
+describe('normalizeEntityLists', () => {
+  it('drops empty rows and converts names and table counts', () => {
+    const lists = normalizeEntityLists([sourceRow(undefined, 7, 'many'), null], []);
+
+    expect(lists.sourceEntityList).toEqual([sourceRow('Unknown', '7', 0)]);
+  });
+});
+
+describe('runLayoutPipeline', () => {
+  it('reports each stage in order and returns the layout with platform links', async () => {
+    const stages = [];
+    const data = await runLayoutPipeline({ ...payload, layoutType: 'circular' }, { onProgress: ({ stage }) => stages.push(stage) });
+
+    expect(stages).toEqual([...LAYOUT_STAGES.map(stage => stage.key), 'links']);
+    expect(data.nodes.map(node => node.id).sort()).toEqual(['billing', 'data lake', 'reporting', 'stream', 'warehouse']);
+    expect(data.links.filter(link => link.sharedApps).map(link => link.sharedApps)).toEqual([['Billing'], ['Billing']]);
+    expect(getLayoutStageLabel('merge')).toBe('Merging applications');
+  });
+
+  it('builds every entity layout', async () => {
+    const ids = async (layoutType) => (await runLayoutPipeline({ ...payload, layoutType })).nodes.map(node => node.id).sort();
+
+    expect(await ids('traditional')).toEqual(await ids('circular'));
+    expect(await ids('venn')).toEqual(expect.arrayContaining(['billing', 'data lake']));
+  });
+
+  it('stops with an AbortError at the next stage once cancelled', async () => {
+    const stages = [];
+    const run = runLayoutPipeline(payload, {
+      onProgress: ({ stage }) => stages.push(stage),
+      isCancelled: () => stages.includes('merge'),
+    });
+
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(stages).toEqual(['parse', 'merge']);
+  });
+});
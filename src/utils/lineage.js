@@ -0,0 +1,131 @@
+/**
+ * Lineage Utility
+ *
+ * Directed lineage over the entity rows: a source application feeds its platforms
+ * (app -> platform) and a platform feeds its downstream applications (platform -> app).
+ * A mixed application continues the chain into the platforms it is a source of.
+ * Node ids match the graph layouts: lowercase app name, platform key.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
+const addEdge = (edges, from, to) => {
+  if (!edges.has(from)) edges.set(from, new Set());
+  edges.get(from).add(to);
+};
+
+// { nodes: Map id -> { id, name, kind, tables }, downstream: Map id -> Set, upstream: Map id -> Set }
+// `kind` is 'application' or 'dataplatform'; `tables` sums the application's rows in both roles
+export const buildLineageGraph = (sourceEntityList = [], downstreamEntityList = []) => {
+  const nodes = new Map();
+  const downstream = new Map();
+  const upstream = new Map();
+
+  const getNode = (id, name, kind) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, name, kind, tables: 0 });
+    }
+    return nodes.get(id);
+  };
+
+  sourceEntityList.forEach(row => {
+    const name = String(row?.source_application_name || 'Unknown');
+    const appId = getApplicationKey(name);
+    const platformId = getPlatformKey(row);
+    getNode(appId, name, 'application').tables += Number(row?.source_table_count) || 0;
+    getNode(platformId, platformId, 'dataplatform');
+    addEdge(downstream, appId, platformId);
+    addEdge(upstream, platformId, appId);
+  });
+
+  downstreamEntityList.forEach(row => {
+    const name = String(row?.downstream_application_name || 'Unknown');
+    const appId = getApplicationKey(name);
+    const platformId = getPlatformKey(row);
+    getNode(appId, name, 'application').tables += Number(row?.share_to_downstream_table_count) || 0;
+    getNode(platformId, platformId, 'dataplatform');
+    addEdge(downstream, platformId, appId);
+    addEdge(upstream, appId, platformId);
+  });
+
+  return { nodes, downstream, upstream };
+};
+
+// Breadth-first walk; returns Map id -> hop count (the start node itself is not included)
+const walk = (edges, startId) => {
+  const hops = new Map();
+  const queue = [startId];
+  const visited = new Set([startId]);
+
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    const hop = (hops.get(id) || 0) + 1;
+    (edges.get(id) || []).forEach(neighborId => {
+      if (visited.has(neighborId)) return;
+      visited.add(neighborId);
+      hops.set(neighborId, hop);
+      queue.push(neighborId);
+    });
+  }
+  return hops;
+};
+
+// Trace everything reachable from `rootId` in both directions.
+// Returns { rootId, upstream, downstream } with Maps of id -> hop, or null for an unknown node.
+export const traceLineage = (lineageGraph, rootId) => {
+  if (!lineageGraph || !rootId || !lineageGraph.nodes.has(rootId)) return null;
+  return {
+    rootId,
+    upstream: walk(lineageGraph.upstream, rootId),
+    downstream: walk(lineageGraph.downstream, rootId),
+  };
+};
+
+// Applications reached in one direction, nearest first: [{ id, name, hop, tables }]
+export const getLineageApplications = (lineageGraph, hops) => Array.from(hops.entries())
+  .map(([id, hop]) => ({ ...lineageGraph.nodes.get(id), hop }))
+  .filter(node => node.kind === 'application')
+  .sort((a, b) => a.hop - b.hop || b.tables - a.tables || a.name.localeCompare(b.name));
+
+// Applications one platform away from an application: who feeds the platforms it reads from
+// (upstream) and who reads from the platforms it feeds (downstream), most tables first
+export const getNeighbourApplications = (lineageGraph, appId) => {
+  const collect = (edges) => {
+    const apps = new Map();
+    (edges.get(appId) || []).forEach(platformId => {
+      (edges.get(platformId) || []).forEach(id => {
+        if (id !== appId) apps.set(id, lineageGraph.nodes.get(id));
+      });
+    });
+    return Array.from(apps.values()).sort((a, b) => b.tables - a.tables || a.name.localeCompare(b.name));
+  };
+  return { upstream: collect(lineageGraph.upstream), downstream: collect(lineageGraph.downstream) };
+};
+
+export const LINEAGE_COLORS = {
+  root: '#FFD700',
+  upstream: '#1E88E5',
+  downstream: '#FB8C00',
+};
+
+// Graph overlay for getChartOptions: reached nodes are outlined and labelled with their hop
+// ("↑2" upstream, "↓3" downstream); everything else is dimmed
+export const getLineageOverlay = (trace) => {
+  if (!trace) return null;
+  const nodes = new Map();
+
+  const addNodes = (hops, direction, arrow) => {
+    hops.forEach((hop, id) => {
+      // A node reached both ways (a cycle through mixed apps) keeps its nearest hop
+      const existing = nodes.get(id);
+      if (existing && existing.hop <= hop) return;
+      nodes.set(id, { borderColor: LINEAGE_COLORS[direction], label: `${arrow}${hop}`, hop });
+    });
+  };
+
+  addNodes(trace.upstream, 'upstream', '↑');
+  addNodes(trace.downstream, 'downstream', '↓');
+  nodes.set(trace.rootId, { borderColor: LINEAGE_COLORS.root, label: '0', hop: 0 });
+
+  return { nodes };
+};
@@ -0,0 +1,57 @@
+import { buildLineageGraph, traceLineage, getLineageApplications, getLineageOverlay, LINEAGE_COLORS } from './lineage';
+import { sourceRow, downstreamRow } from './testUtils';
+
+// Billing -> Data Lake -> Etl -> Mart -> Reporting; Etl is mixed (downstream of Data Lake, source of Mart)
+const lineageGraph = buildLineageGraph(
+  [sourceRow('Billing', 'Data Lake', 4), sourceRow('Etl', 'Mart', 2), sourceRow('Crm', 'Warehouse', 1)],
+  [downstreamRow('Etl', 'Data Lake', 3), downstreamRow('Reporting', 'Mart', 5)]
+);
+
+describe('buildLineageGraph', () => {
+  it('keys nodes like the graph layouts and sums application tables over both roles', () => {
+    expect(lineageGraph.nodes.get('etl')).toEqual({ id: 'etl', name: 'Etl', kind: 'application', tables: 5 });
+    expect(lineageGraph.nodes.get('data lake').kind).toBe('dataplatform');
+    expect(Array.from(lineageGraph.downstream.get('data lake'))).toEqual(['etl']);
+    expect(Array.from(lineageGraph.upstream.get('data lake'))).toEqual(['billing']);
+  });
+});
+
+describe('traceLineage', () => {
+  it('walks both directions through mixed applications, counting hops', () => {
+    const trace = traceLineage(lineageGraph, 'etl');
+
+    expect(Array.from(trace.upstream)).toEqual([['data lake', 1], ['billing', 2]]);
+    expect(Array.from(trace.downstream)).toEqual([['mart', 1], ['reporting', 2]]);
+    expect(traceLineage(lineageGraph, 'missing')).toBeNull();
+  });
+
+  it('lists the reached applications nearest first', () => {
+    const trace = traceLineage(lineageGraph, 'billing');
+
+    expect(getLineageApplications(lineageGraph, trace.downstream).map(app => [app.id, app.hop])).toEqual([
+      ['etl', 2],
+      ['reporting', 4],
+    ]);
+    expect(getLineageApplications(lineageGraph, trace.upstream)).toEqual([]);
+  });
+});
+
+describe('getLineageOverlay', () => {
+  it('labels reached nodes with their direction and hop', () => {
+    const overlay = getLineageOverlay(traceLineage(lineageGraph, 'etl'));
+
+    expect(overlay.nodes.get('etl')).toMatchObject({ label: '0', borderColor: LINEAGE_COLORS.root });
+    expect(overlay.nodes.get('billing')).toMatchObject({ label: '↑2', borderColor: LINEAGE_COLORS.upstream });
+    expect(overlay.nodes.get('reporting')).toMatchObject({ label: '↓2', borderColor: LINEAGE_COLORS.downstream });
+    expect(overlay.nodes.has('crm')).toBe(false);
+    expect(getLineageOverlay(null)).toBeNull();
+  });
+
+  it('keeps the nearest hop for nodes reached both ways', () => {
+    const cyclic = buildLineageGraph([sourceRow('Etl', 'Data Lake')], [downstreamRow('Etl', 'Data Lake')]);
+    const overlay = getLineageOverlay(traceLineage(cyclic, 'etl'));
+
+    expect(overlay.nodes.get('data lake')).toMatchObject({ label: '↑1', hop: 1 });
+    expect(overlay.nodes.get('etl').label).toBe('0');
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Matrix Layout Utility
+ *
+ * Audit view with applications as rows and data platforms as columns. Each cell is coloured by
+ * the application's table count on that platform and marks whether the application is a source
+ * (▲) and/or a downstream (▼) there. Cells are the links of the graph data (application ->
+ * platform), so selection, search, details and exports work on the matrix like on other layouts.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { comparePlatformTypes, defaultColorMap } from './chartOptions';
+
+export const MATRIX_SERIES = 'matrix-cells';
+
+export const MATRIX_SORTS = [
+  { key: 'tables', label: 'Total tables' },
+  { key: 'role', label: 'Role' },
+  { key: 'busOrg', label: 'Business org' },
+];
+
+const ROLE_ORDER = { source: 0, mixed: 1, downstream: 2 };
+const VISIBLE_ROWS = 40;
+
+// { nodes, links, chartType: 'matrix' }: platform nodes in column order, application nodes with
+// role and table totals, and one link per (application, platform) cell
+export const getMatrixGraphData = (sourceEntityList = [], downstreamEntityList = [], colorMap = {}) => {
+  const platforms = new Map();
+  const apps = new Map();
+  const cells = new Map();
+
+  const addRow = (row, isSource) => {
+    const name = String((isSource ? row?.source_application_name : row?.downstream_application_name) || 'Unknown');
+    const appId = getApplicationKey(name);
+    const platformId = getPlatformKey(row);
+    const tables = Number(isSource ? row?.source_table_count : row?.share_to_downstream_table_count) || 0;
+    const busOrg = isSource ? row?.source_app_bus_org : row?.downstream_app_bus_org;
+
+    if (!platforms.has(platformId)) {
+      platforms.set(platformId, {
+        id: platformId,
+        name: platformId,
+        type: 'dataplatform',
+        tables: 0,
+        itemStyle: { color: colorMap[platformId] || colorMap.dataplatform },
+      });
+    }
+    platforms.get(platformId).tables += tables;
+
+    if (!apps.has(appId)) {
+      apps.set(appId, { id: appId, name, sourceTables: 0, downstreamTables: 0, busOrgs: new Set() });
+    }
+    const app = apps.get(appId);
+    if (busOrg) app.busOrgs.add(String(busOrg));
+
+    const key = `${appId}|${platformId}`;
+    if (!cells.has(key)) {
+      cells.set(key, { source: appId, target: platformId, sourceTables: 0, downstreamTables: 0, isSource: false, isDownstream: false });
+    }
+    const cell = cells.get(key);
+    if (isSource) {
+      app.sourceTables += tables;
+      cell.sourceTables += tables;
+      cell.isSource = true;
+    } else {
+      app.downstreamTables += tables;
+      cell.downstreamTables += tables;
+      cell.isDownstream = true;
+    }
+  };
+
+  sourceEntityList.forEach(row => addRow(row, true));
+  downstreamEntityList.forEach(row => addRow(row, false));
+
+  // Columns follow the platform-type order of the Venn Network layout
+  const platformNodes = Array.from(platforms.values())
+    .sort((a, b) => comparePlatformTypes(a.id, b.id) || a.name.localeCompare(b.name));
+
+  // Roles come from the cells so applications whose rows count zero tables still get the right one
+  const roles = new Map();
+  cells.forEach(cell => {
+    const role = roles.get(cell.source) || { isSource: false, isDownstream: false };
+    role.isSource = role.isSource || cell.isSource;
+    role.isDownstream = role.isDownstream || cell.isDownstream;
+    roles.set(cell.source, role);
+  });
+
+  const appNodes = Array.from(apps.values()).map(({ busOrgs, ...app }) => {
+    const { isSource, isDownstream } = roles.get(app.id);
+    let type = isSource ? 'source' : 'downstream';
+    if (isSource && isDownstream) type = 'mixed';
+    return {
+      ...app,
+      type,
+      tables: app.sourceTables + app.downstreamTables,
+      busOrg: Array.from(busOrgs).sort()[0] || '',
+    };
+  });
+
+  const links = Array.from(cells.values()).map(cell => ({
+    ...cell,
+    value: cell.sourceTables + cell.downstreamTables,
+  }));
+
+  return { nodes: [...platformNodes, ...appNodes], links, chartType: 'matrix' };
+};
+
+const rowComparators = {
+  tables: (a, b) => b.tables - a.tables,
+  role: (a, b) => ROLE_ORDER[a.type] - ROLE_ORDER[b.type] || b.tables - a.tables,
+  // Applications without a business org go last
+  busOrg: (a, b) => (!a.busOrg) - (!b.busOrg) || a.busOrg.localeCompare(b.busOrg) || b.tables - a.tables,
+};
+
+// Cell indices (= link indices) of a node's row or column, for selection highlights
+export const getMatrixCellIndices = (graphIndex, nodeId) => (
+  graphIndex && graphIndex.linksByNode.get(nodeId)
+);
+
+const trianglePoints = (cx, cy, size, pointsUp) => {
+  const half = size / 2;
+  return pointsUp
+    ? [[cx - half, cy + half], [cx + half, cy + half], [cx, cy - half]]
+    : [[cx - half, cy - half], [cx + half, cy - half], [cx, cy + half]];
+};
+
+// ECharts option for matrix graph data. `sortBy` is a MATRIX_SORTS key; `overlay` works as in
+// getChartOptions: rows of applications outside the overlay are dimmed, overlay colours fill their cells.
+export const getMatrixOptions = (data, { sortBy = 'tables' } = {}, overlay = null) => {
+  if (!data || !data.nodes || !data.links) {
+    return {};
+  }
+
+  try {
+    const dimOpacity = overlay && overlay.dimOpacity !== undefined ? overlay.dimOpacity : 0.15;
+    const columns = data.nodes.filter(node => node.type === 'dataplatform');
+    const compareRows = rowComparators[sortBy] || rowComparators.tables;
+    const rows = data.nodes
+      .filter(node => node.type !== 'dataplatform')
+      .sort((a, b) => compareRows(a, b) || a.name.localeCompare(b.name));
+
+    const columnIndex = new Map(columns.map((node, index) => [node.id, index]));
+    const rowIndex = new Map(rows.map((node, index) => [node.id, index]));
+    const names = new Map(data.nodes.map(node => [node.id, node.name]));
+    const maxValue = data.links.reduce((max, link) => Math.max(max, link.value), 1);
+
+    const cells = data.links.map(link => {
+      const overlayStyle = overlay ? overlay.nodes.get(link.source) : null;
+      // A cell holds both directions between the application and the platform
+      const overlayLinkStyle = overlay && overlay.links
+        ? overlay.links.get(`${link.source}->${link.target}`) || overlay.links.get(`${link.target}->${link.source}`)
+        : null;
+      return {
+        ...link,
+        value: [columnIndex.get(link.target), rowIndex.get(link.source), link.value],
+        fill: (overlayLinkStyle && overlayLinkStyle.color) || (overlayStyle && overlayStyle.color),
+        opacity: overlay && !overlayStyle ? dimOpacity : 1,
+      };
+    });
+
+    return {
+      title: {
+        text: 'Applications × Platforms',
+        subtext: '▲ source   ▼ downstream   colour = tables',
+        left: 10,
+        top: 56,
+        textStyle: { fontSize: 14 },
+      },
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        appendToBody: true,
+        formatter: (params) => {
+          try {
+            if (!params || !params.data || params.seriesName !== MATRIX_SERIES) return '';
+            const cell = params.data;
+            return `
+              <div>
+                <strong>${names.get(cell.source) || cell.source}</strong> on ${names.get(cell.target) || cell.target}<br/>
+                As source: ${cell.isSource ? `${cell.sourceTables} tables` : '—'}<br/>
+                As downstream: ${cell.isDownstream ? `${cell.downstreamTables} tables` : '—'}
+              </div>
+            `;
+          } catch (error) {
+            console.error('Error in tooltip formatter:', error);
+            return '';
+          }
+        }
+      },
+      animation: false,
+      grid: {
+        left: 190,
+        right: 80,
+        top: 130,
+        bottom: 70,
+      },
+      xAxis: {
+        type: 'category',
+        position: 'top',
+        data: columns.map(node => node.name),
+        axisLabel: { interval: 0, rotate: 30 },
+        splitArea: { show: true },
+      },
+      yAxis: {
+        type: 'category',
+        inverse: true,
+        data: rows.map(node => node.name),
+        axisLabel: { interval: 0, fontSize: 10, width: 170, overflow: 'truncate' },
+        splitArea: { show: true },
+      },
+      // Hundreds of applications: show a window of rows and scroll with the slider or the wheel
+      dataZoom: [
+        {
+          type: 'slider',
+          yAxisIndex: 0,
+          right: 30,
+          width: 16,
+          startValue: 0,
+          endValue: VISIBLE_ROWS - 1,
+          showDetail: false,
+        },
+        {
+          type: 'inside',
+          yAxisIndex: 0,
+          zoomOnMouseWheel: false,
+          moveOnMouseWheel: true,
+        },
+      ],
+      visualMap: {
+        min: 0,
+        max: maxValue,
+        dimension: 2,
+        seriesIndex: 0,
+        calculable: true,
+        orient: 'horizontal',
+        left: 'center',
+        bottom: 10,
+        itemHeight: 200,
+        text: ['More tables', 'Fewer'],
+        inRange: { color: ['#E3F2FD', '#1565C0'] },
+      },
+      series: [{
+        type: 'custom',
+        name: MATRIX_SERIES,
+        data: cells,
+        encode: { x: 0, y: 1 },
+        clip: true,
+        renderItem: (params, api) => {
+          const cell = cells[params.dataIndex];
+          const [x, y] = api.coord([api.value(0), api.value(1)]);
+          const [width, height] = api.size([1, 1]);
+          const children = [{
+            type: 'rect',
+            shape: { x: x - width / 2 + 1, y: y - height / 2 + 1, width: width - 2, height: height - 2 },
+            style: { fill: cell.fill || api.visual('color'), opacity: cell.opacity },
+            emphasis: { style: { stroke: '#FFD700', lineWidth: 2 } },
+          }];
+
+          // Glyphs only where the cells are tall enough to read them
+          const glyphSize = Math.min(height * 0.6, 10);
+          if (glyphSize >= 4) {
+            if (cell.isSource) {
+              children.push({
+                type: 'polygon',
+                silent: true,
+                shape: { points: trianglePoints(x - width / 4, y, glyphSize, true) },
+                style: { fill: defaultColorMap.source, opacity: cell.opacity },
+              });
+            }
+            if (cell.isDownstream) {
+              children.push({
+                type: 'polygon',
+                silent: true,
+                shape: { points: trianglePoints(x + width / 4, y, glyphSize, false) },
+                style: { fill: defaultColorMap.downstream, opacity: cell.opacity },
+              });
+            }
+          }
+          return { type: 'group', children };
+        },
+      }],
+    };
+  } catch (error) {
+    console.error('Error generating matrix options:', error);
+    return {};
+  }
+};
@@ -0,0 +1,77 @@
+import { getMatrixGraphData, getMatrixOptions, getMatrixCellIndices, MATRIX_SERIES } from './matrixLayout';
+import { buildGraphIndex } from './graphIndex';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake', 3, { source_app_bus_org: 'Finance' }),
+  sourceRow('billing', 'Data Lake', 2),
+  sourceRow('Crm', 'Warehouse', 0, { source_app_bus_org: 'Sales' }),
+];
+const downstreamEntityList = [
+  downstreamRow('Billing', 'Stream', 4),
+  downstreamRow('Reporting', 'Data Lake', 6),
+];
+
+const data = getMatrixGraphData(sourceEntityList, downstreamEntityList, { dataplatform: '#999' });
+
+describe('getMatrixGraphData', () => {
+  it('orders platform columns by platform type, then lists the applications', () => {
+    expect(data.chartType).toBe('matrix');
+    expect(data.nodes.map(node => node.id)).toEqual(['warehouse', 'data lake', 'stream', 'billing', 'crm', 'reporting']);
+  });
+
+  it('merges the rows of each application and platform into one cell', () => {
+    const cell = data.links.find(link => link.source === 'billing' && link.target === 'data lake');
+
+    expect(data.links).toHaveLength(4);
+    expect(cell).toMatchObject({ sourceTables: 5, downstreamTables: 0, isSource: true, isDownstream: false, value: 5 });
+  });
+
+  it('derives roles from the cells, including rows without tables', () => {
+    const apps = new Map(data.nodes.map(node => [node.id, node]));
+
+    expect(apps.get('billing')).toMatchObject({ name: 'Billing', type: 'mixed', tables: 9, busOrg: 'Finance' });
+    expect(apps.get('crm')).toMatchObject({ type: 'source', tables: 0, busOrg: 'Sales' });
+    expect(apps.get('reporting')).toMatchObject({ type: 'downstream', busOrg: '' });
+  });
+});
+
+describe('getMatrixCellIndices', () => {
+  it('returns the cells of a row or a column', () => {
+    const graphIndex = buildGraphIndex(data);
+    const cellsOf = (nodeId) => getMatrixCellIndices(graphIndex, nodeId).map(index => data.links[index]);
+
+    expect(cellsOf('billing').map(link => link.target).sort()).toEqual(['data lake', 'stream']);
+    expect(cellsOf('data lake').map(link => link.source).sort()).toEqual(['billing', 'reporting']);
+    expect(getMatrixCellIndices(null, 'billing')).toBeNull();
+  });
+});
+
+describe('getMatrixOptions', () => {
+  const rowNames = (sortBy) => getMatrixOptions(data, { sortBy }).yAxis.data;
+
+  it('returns an empty option without graph data', () => {
+    expect(getMatrixOptions(undefined)).toEqual({});
+  });
+
+  it('sorts the rows by tables, role or business org', () => {
+    expect(rowNames('tables')).toEqual(['Billing', 'Reporting', 'Crm']);
+    expect(rowNames('role')).toEqual(['Crm', 'Billing', 'Reporting']);
+    expect(rowNames('busOrg')).toEqual(['Billing', 'Crm', 'Reporting']);
+    expect(rowNames('unknown')).toEqual(rowNames('tables'));
+  });
+
+  it('places every cell at its column and row and dims rows outside the overlay', () => {
+    const overlay = { nodes: new Map([['billing', { color: '#f00' }]]), dimOpacity: 0.3 };
+    const option = getMatrixOptions(data, { sortBy: 'tables' }, overlay);
+    const [series] = option.series;
+    const billingLake = series.data.find(cell => cell.source === 'billing' && cell.target === 'data lake');
+    const reportingLake = series.data.find(cell => cell.source === 'reporting');
+
+    expect(series.name).toBe(MATRIX_SERIES);
+    expect(option.xAxis.data).toEqual(['warehouse', 'data lake', 'stream']);
+    expect(billingLake).toMatchObject({ value: [1, 0, 5], fill: '#f00', opacity: 1 });
+    expect(reportingLake).toMatchObject({ value: [1, 1, 6], opacity: 0.3 });
+    expect(option.visualMap.max).toBe(6);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Node Details Utility
+ *
+ * Collects everything behind a graph node from the entity rows: for an application its
+ * rows, attributes and per-platform table counts in both roles; for a data platform its
+ * source/downstream applications and the platforms it shares applications with.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { NODE_ATTRIBUTE_FIELDS } from './exporters';
+import { computePlatformConnections } from './platformConnections';
+
+// Display name of a platform as written in the data; the key is trimmed and lowercased
+const getPlatformName = (row) => String(row.data_platform || 'Unknown').trim();
+
+const byTotalTables = (a, b) => (
+  (b.sourceTables + b.downstreamTables) - (a.sourceTables + a.downstreamTables) || a.name.localeCompare(b.name)
+);
+
+export const getApplicationDetails = (appId, sourceEntityList = [], downstreamEntityList = []) => {
+  const sourceRows = sourceEntityList.filter(row => getApplicationKey(row.source_application_name) === appId);
+  const downstreamRows = downstreamEntityList.filter(row => getApplicationKey(row.downstream_application_name) === appId);
+  if (sourceRows.length === 0 && downstreamRows.length === 0) return null;
+
+  // Table counts per platform, for both roles
+  const platforms = new Map();
+  const getPlatform = (row) => {
+    const id = getPlatformKey(row);
+    if (!platforms.has(id)) {
+      platforms.set(id, { id, name: getPlatformName(row), sourceTables: 0, downstreamTables: 0 });
+    }
+    return platforms.get(id);
+  };
+  sourceRows.forEach(row => {
+    getPlatform(row).sourceTables += Number(row.source_table_count) || 0;
+  });
+  downstreamRows.forEach(row => {
+    getPlatform(row).downstreamTables += Number(row.share_to_downstream_table_count) || 0;
+  });
+
+  // Distinct values of each attribute across the rows
+  const attributes = NODE_ATTRIBUTE_FIELDS.map(field => {
+    const values = new Set();
+    sourceRows.forEach(row => {
+      if (field.sourceField && row[field.sourceField]) values.add(String(row[field.sourceField]));
+    });
+    downstreamRows.forEach(row => {
+      if (field.downstreamField && row[field.downstreamField]) values.add(String(row[field.downstreamField]));
+    });
+    return { key: field.key, label: field.label, values: Array.from(values).sort() };
+  });
+
+  const platformList = Array.from(platforms.values()).sort(byTotalTables);
+  let role = 'downstream';
+  if (sourceRows.length > 0) role = downstreamRows.length > 0 ? 'mixed' : 'source';
+
+  return {
+    kind: 'application',
+    id: appId,
+    name: String((sourceRows[0] && sourceRows[0].source_application_name)
+      || (downstreamRows[0] && downstreamRows[0].downstream_application_name) || 'Unknown'),
+    role,
+    totalTables: platformList.reduce((sum, platform) => sum + platform.sourceTables + platform.downstreamTables, 0),
+    attributes,
+    platforms: platformList,
+    sourceRows,
+    downstreamRows,
+  };
+};
+
+export const getPlatformDetails = (platformId, sourceEntityList = [], downstreamEntityList = []) => {
+  const apps = new Map();
+  const getApp = (name) => {
+    const id = getApplicationKey(name);
+    if (!apps.has(id)) {
+      apps.set(id, { id, name: String(name || 'Unknown'), sourceTables: 0, downstreamTables: 0, isSource: false, isDownstream: false });
+    }
+    return apps.get(id);
+  };
+
+  let name = platformId;
+  let sourceRowCount = 0;
+  let downstreamRowCount = 0;
+  sourceEntityList.forEach(row => {
+    if (getPlatformKey(row) !== platformId) return;
+    sourceRowCount += 1;
+    name = getPlatformName(row);
+    const app = getApp(row.source_application_name);
+    app.isSource = true;
+    app.sourceTables += Number(row.source_table_count) || 0;
+  });
+  downstreamEntityList.forEach(row => {
+    if (getPlatformKey(row) !== platformId) return;
+    downstreamRowCount += 1;
+    name = getPlatformName(row);
+    const app = getApp(row.downstream_application_name);
+    app.isDownstream = true;
+    app.downstreamTables += Number(row.share_to_downstream_table_count) || 0;
+  });
+  if (sourceRowCount === 0 && downstreamRowCount === 0) return null;
+
+  const appList = Array.from(apps.values()).sort(byTotalTables);
+  const connectedPlatforms = computePlatformConnections(sourceEntityList, downstreamEntityList)
+    .filter(connection => connection.source === platformId || connection.target === platformId)
+    .map(connection => ({
+      id: connection.source === platformId ? connection.target : connection.source,
+      sharedApps: connection.sharedApps,
+    }));
+
+  return {
+    kind: 'dataplatform',
+    id: platformId,
+    name,
+    totalTables: appList.reduce((sum, app) => sum + app.sourceTables, 0),
+    sourceRowCount,
+    downstreamRowCount,
+    sourceApps: appList.filter(app => app.isSource),
+    downstreamApps: appList.filter(app => app.isDownstream),
+    connectedPlatforms,
+  };
+};
+
+// Details for a graph node; `kind` is the node type from getNodeKind
+export const getNodeDetails = (nodeId, kind, sourceEntityList, downstreamEntityList) => (
+  kind === 'dataplatform'
+    ? getPlatformDetails(nodeId, sourceEntityList, downstreamEntityList)
+    : getApplicationDetails(nodeId, sourceEntityList, downstreamEntityList)
+);
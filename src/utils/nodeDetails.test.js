@@ -0,0 +1,63 @@
+import { getNodeDetails } from './nodeDetails';
+import { buildLineageGraph, getNeighbourApplications } from './lineage';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake', 4, { source_eim_id: 'EIM-1' }),
+  sourceRow('billing ', 'Warehouse', 2, { source_eim_id: 'EIM-1' }),
+  sourceRow('Crm', ' Data Lake', 1),
+];
+const downstreamEntityList = [
+  downstreamRow('Billing', 'Stream', 3, { downstream_application_abbr: 'BIL' }),
+  downstreamRow('Reporting', 'data lake', 5),
+];
+
+describe('getNodeDetails for applications', () => {
+  const details = getNodeDetails('billing', 'mixed', sourceEntityList, downstreamEntityList);
+
+  it('breaks the tables down per platform for both roles, largest first', () => {
+    expect(details).toMatchObject({ kind: 'application', name: 'Billing', role: 'mixed', totalTables: 9 });
+    expect(details.platforms).toEqual([
+      { id: 'data lake', name: 'Data Lake', sourceTables: 4, downstreamTables: 0 },
+      { id: 'stream', name: 'Stream', sourceTables: 0, downstreamTables: 3 },
+      { id: 'warehouse', name: 'Warehouse', sourceTables: 2, downstreamTables: 0 },
+    ]);
+    expect(details.sourceRows).toHaveLength(2);
+  });
+
+  it('lists the distinct attribute values', () => {
+    const attribute = (key) => details.attributes.find(item => item.key === key).values;
+
+    expect(attribute('eimId')).toEqual(['EIM-1']);
+    expect(attribute('abbreviation')).toEqual(['BIL']);
+    expect(attribute('busOrg')).toEqual([]);
+  });
+
+  it('returns null for applications without rows', () => {
+    expect(getNodeDetails('missing', 'source', sourceEntityList, downstreamEntityList)).toBeNull();
+  });
+});
+
+describe('getNodeDetails for platforms', () => {
+  it('lists the source and downstream applications and the platforms sharing applications', () => {
+    const details = getNodeDetails('data lake', 'dataplatform', sourceEntityList, downstreamEntityList);
+
+    expect(details).toMatchObject({ kind: 'dataplatform', totalTables: 5, sourceRowCount: 2, downstreamRowCount: 1 });
+    expect(details.sourceApps.map(app => [app.id, app.sourceTables])).toEqual([['billing', 4], ['crm', 1]]);
+    expect(details.downstreamApps.map(app => app.id)).toEqual(['reporting']);
+    expect(details.connectedPlatforms).toEqual([{ id: 'stream', sharedApps: ['Billing'] }]);
+  });
+
+  it('returns null for platforms without rows', () => {
+    expect(getNodeDetails('missing', 'dataplatform', sourceEntityList, downstreamEntityList)).toBeNull();
+  });
+});
+
+describe('getNeighbourApplications', () => {
+  it('finds the applications one platform away in each direction', () => {
+    const neighbours = getNeighbourApplications(buildLineageGraph(sourceEntityList, downstreamEntityList), 'billing');
+
+    expect(neighbours.upstream).toEqual([]);
+    expect(neighbours.downstream.map(app => app.id)).toEqual(['reporting']);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Pinned Positions Utility
+ *
+ * Nodes the user dragged into place in the force-directed layout stay fixed there. Their
+ * positions ({ nodeId: [x, y] } in graph coordinates) are saved in localStorage per dataset,
+ * so the next visit to the same data restores the curated arrangement.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { hashString } from './random';
+
+const STORAGE_PREFIX = 'relationship-graph:pinned-positions:';
+
+// Identifies a dataset across visits by the applications and platforms it contains, so
+// reloading or re-importing the same data finds its pins again
+export const getDatasetFingerprint = (sourceEntityList = [], downstreamEntityList = []) => {
+  const keys = new Set();
+  sourceEntityList.forEach(row => {
+    keys.add(`a:${getApplicationKey(row?.source_application_name)}`);
+    keys.add(`p:${getPlatformKey(row)}`);
+  });
+  downstreamEntityList.forEach(row => {
+    keys.add(`a:${getApplicationKey(row?.downstream_application_name)}`);
+    keys.add(`p:${getPlatformKey(row)}`);
+  });
+  if (keys.size === 0) return null;
+  return `${keys.size}-${hashString(Array.from(keys).sort().join('\n')).toString(16)}`;
+};
+
+const isPosition = (value) => (
+  Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)
+);
+
+// localStorage may be unavailable (private mode, quota) or hold stale data; pins are a convenience, so fail soft
+export const loadPinnedPositions = (fingerprint) => {
+  if (!fingerprint) return {};
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + fingerprint) || '{}');
+    return Object.fromEntries(Object.entries(stored).filter(([, position]) => isPosition(position)));
+  } catch (error) {
+    console.error('Error loading pinned positions:', error);
+    return {};
+  }
+};
+
+export const savePinnedPositions = (fingerprint, positions) => {
+  if (!fingerprint) return;
+  try {
+    if (Object.keys(positions).length === 0) {
+      window.localStorage.removeItem(STORAGE_PREFIX + fingerprint);
+    } else {
+      window.localStorage.setItem(STORAGE_PREFIX + fingerprint, JSON.stringify(positions));
+    }
+  } catch (error) {
+    console.error('Error saving pinned positions:', error);
+  }
+};
@@ -0,0 +1,53 @@
+import { getDatasetFingerprint, loadPinnedPositions, savePinnedPositions } from './pinnedPositions';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const sourceEntityList = [sourceRow('Billing', 'Data Lake'), sourceRow('Crm', 'Warehouse')];
+const downstreamEntityList = [downstreamRow('Reporting', 'Data Lake')];
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('getDatasetFingerprint', () => {
+  it('depends on the applications and platforms, not on row order, casing or counts', () => {
+    const fingerprint = getDatasetFingerprint(sourceEntityList, downstreamEntityList);
+    const reordered = getDatasetFingerprint(
+      [sourceRow('crm ', 'WAREHOUSE', 7), sourceRow('Billing', 'Data Lake')],
+      downstreamEntityList
+    );
+
+    expect(fingerprint).toBe(reordered);
+    expect(getDatasetFingerprint(sourceEntityList, [])).not.toBe(fingerprint);
+    expect(getDatasetFingerprint([], [])).toBeNull();
+  });
+});
+
+describe('pinned positions storage', () => {
+  const fingerprint = getDatasetFingerprint(sourceEntityList, downstreamEntityList);
+
+  it('round-trips positions per dataset', () => {
+    savePinnedPositions(fingerprint, { billing: [10, -20.5] });
+
+    expect(loadPinnedPositions(fingerprint)).toEqual({ billing: [10, -20.5] });
+    expect(loadPinnedPositions(getDatasetFingerprint(sourceEntityList, []))).toEqual({});
+    expect(loadPinnedPositions(null)).toEqual({});
+  });
+
+  it('removes the entry when no pins are left', () => {
+    savePinnedPositions(fingerprint, { billing: [1, 2] });
+    savePinnedPositions(fingerprint, {});
+
+    expect(window.localStorage.length).toBe(0);
+  });
+
+  it('drops invalid positions and survives corrupt data', () => {
+    savePinnedPositions(fingerprint, { billing: [1, 2], crm: [1, null], reporting: 'here' });
+    expect(loadPinnedPositions(fingerprint)).toEqual({ billing: [1, 2] });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem(window.localStorage.key(0), '{not json');
+    expect(loadPinnedPositions(fingerprint)).toEqual({});
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Platform Connections Utility
+ *
+ * Two data platforms are connected when an application is a source of one and a
+ * downstream of the other. Connections are derived from an application-name index,
+ * so the cost grows with the number of rows instead of sources × downstreams.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
+const addPlatformRow = (platformCounts, platform) => {
+  platformCounts.set(platform, (platformCounts.get(platform) || 0) + 1);
+};
+
+// Application key -> { name, sourcePlatforms, downstreamPlatforms }, where the platform maps
+// hold the number of rows the application has on each platform in that role
+export const buildApplicationPlatformIndex = (sourceEntityList = [], downstreamEntityList = []) => {
+  const index = new Map();
+
+  const getEntry = (name) => {
+    const key = getApplicationKey(name);
+    if (!index.has(key)) {
+      index.set(key, {
+        name: String(name || 'Unknown'),
+        sourcePlatforms: new Map(),
+        downstreamPlatforms: new Map(),
+      });
+    }
+    return index.get(key);
+  };
+
+  sourceEntityList.forEach(row => {
+    addPlatformRow(getEntry(row?.source_application_name).sourcePlatforms, getPlatformKey(row));
+  });
+  downstreamEntityList.forEach(row => {
+    addPlatformRow(getEntry(row?.downstream_application_name).downstreamPlatforms, getPlatformKey(row));
+  });
+
+  return index;
+};
+
+// Platform pairs bridged by shared applications, strongest first:
+// [{ key, source, target, value, sharedApps }]
+// `value` counts matching source/downstream row pairs (the weight used for link widths);
+// `sharedApps` lists the names of the applications that bridge the pair.
+export const computePlatformConnections = (sourceEntityList = [], downstreamEntityList = [], index = null) => {
+  const applicationIndex = index || buildApplicationPlatformIndex(sourceEntityList, downstreamEntityList);
+  const connections = new Map();
+
+  applicationIndex.forEach(app => {
+    if (app.sourcePlatforms.size === 0 || app.downstreamPlatforms.size === 0) return;
+
+    app.sourcePlatforms.forEach((sourceRows, sourcePlatform) => {
+      app.downstreamPlatforms.forEach((downstreamRows, downstreamPlatform) => {
+        if (sourcePlatform === downstreamPlatform) return;
+
+        // Pairs are undirected; the first application seen decides the link direction
+        const key = [sourcePlatform, downstreamPlatform].sort().join('|');
+        if (!connections.has(key)) {
+          connections.set(key, {
+            key,
+            source: sourcePlatform,
+            target: downstreamPlatform,
+            value: 0,
+            sharedApps: new Set(),
+          });
+        }
+        const connection = connections.get(key);
+        connection.value += sourceRows * downstreamRows;
+        connection.sharedApps.add(app.name);
+      });
+    });
+  });
+
+  return Array.from(connections.values())
+    .map(connection => ({
+      ...connection,
+      sharedApps: Array.from(connection.sharedApps).sort((a, b) => a.localeCompare(b)),
+    }))
+    .sort((a, b) => b.value - a.value || a.key.localeCompare(b.key));
+};
+
+// Short HTML list of the bridging applications for tooltips
+export const formatSharedApps = (sharedApps = [], limit = 10) => {
+  const listed = sharedApps.slice(0, limit).join('<br/>');
+  const remaining = sharedApps.length - limit;
+  return remaining > 0 ? `${listed}<br/>… and ${remaining} more` : listed;
+};
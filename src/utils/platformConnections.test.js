@@ -0,0 +1,56 @@
+import { buildApplicationPlatformIndex, computePlatformConnections, formatSharedApps } from './platformConnections';
+import { sourceRow, downstreamRow } from './testUtils';
+
+describe('buildApplicationPlatformIndex', () => {
+  it('counts the rows of each application per platform and role, keyed like the graph nodes', () => {
+    const index = buildApplicationPlatformIndex(
+      [sourceRow('Billing', 'Data Lake'), sourceRow(' billing', 'data lake '), sourceRow('Billing', 'Warehouse')],
+      [downstreamRow('BILLING', 'Stream')]
+    );
+
+    expect(Array.from(index.keys())).toEqual(['billing']);
+    const entry = index.get('billing');
+    expect(Array.from(entry.sourcePlatforms)).toEqual([['data lake', 2], ['warehouse', 1]]);
+    expect(Array.from(entry.downstreamPlatforms)).toEqual([['stream', 1]]);
+  });
+});
+
+describe('computePlatformConnections', () => {
+  it('connects the platforms an application bridges, strongest first', () => {
+    const connections = computePlatformConnections(
+      [sourceRow('Billing', 'Data Lake'), sourceRow('Billing', 'Data Lake'), sourceRow('Payments', 'Warehouse')],
+      [downstreamRow('Billing', 'Stream'), downstreamRow('Payments', 'Stream'), downstreamRow('Reporting', 'Data Lake')]
+    );
+
+    expect(connections.map(({ key, value, sharedApps }) => ({ key, value, sharedApps }))).toEqual([
+      { key: 'data lake|stream', value: 2, sharedApps: ['Billing'] },
+      { key: 'stream|warehouse', value: 1, sharedApps: ['Payments'] },
+    ]);
+  });
+
+  it('treats a pair as undirected and merges the applications bridging it either way', () => {
+    const connections = computePlatformConnections(
+      [sourceRow('Billing', 'Data Lake'), sourceRow('Payments', 'Stream')],
+      [downstreamRow('Billing', 'Stream'), downstreamRow('Payments', 'Data Lake')]
+    );
+
+    expect(connections).toHaveLength(1);
+    expect(connections[0]).toMatchObject({ source: 'data lake', target: 'stream', value: 2, sharedApps: ['Billing', 'Payments'] });
+  });
+
+  it('ignores applications that only use one platform or only one role', () => {
+    const connections = computePlatformConnections(
+      [sourceRow('Billing', 'Data Lake'), sourceRow('Payments', 'Data Lake')],
+      [downstreamRow('Billing', 'Data Lake'), downstreamRow('Reporting', 'Stream')]
+    );
+
+    expect(connections).toEqual([]);
+  });
+});
+
+describe('formatSharedApps', () => {
+  it('shortens long lists', () => {
+    expect(formatSharedApps(['A', 'B', 'C'], 2)).toBe('A<br/>B<br/>… and 1 more');
+    expect(formatSharedApps(['A'])).toBe('A');
+  });
+});
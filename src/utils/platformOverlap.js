@@ -0,0 +1,577 @@
+/**
+ * Platform Overlap Utility
+ *
+ * Set view of application membership: an application belongs to every platform it appears on
+ * (as source or downstream). Up to MAX_EULER_SETS platforms are drawn as an approximately
+ * area-proportional Euler diagram (one circle per platform, pairwise overlaps sized by the shared
+ * applications, one dot per application inside its exact region); with more platforms the
+ * circles cannot show every intersection, so an UpSet chart lists the intersections instead.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { comparePlatformTypes } from './chartOptions';
+import { createRandom, DEFAULT_LAYOUT_SEED } from './random';
+
+export const MAX_EULER_SETS = 4;
+export const MAX_UPSET_INTERSECTIONS = 30;
+
+// Series names, used by event handlers
+export const OVERLAP_SERIES = {
+  euler: 'overlap-euler',
+  intersections: 'overlap-intersections',
+  intersectionsRest: 'overlap-intersections-rest',
+  membership: 'overlap-membership',
+  sets: 'overlap-sets',
+};
+
+const SELECTED_COLOR = '#FFD700';
+
+// Region / intersection key: sorted platform keys
+export const getRegionKey = (platformIds) => [...platformIds].sort().join('|');
+
+// { platforms: [{ id, size }], apps: Map id -> { id, name, platforms: Set, isSource, isDownstream },
+//   intersections: [{ key, platforms, apps }] } — intersections are exclusive (exact platform set)
+export const computePlatformOverlaps = (sourceEntityList = [], downstreamEntityList = []) => {
+  const apps = new Map();
+  const addRow = (name, row, role) => {
+    const id = getApplicationKey(name);
+    if (!apps.has(id)) {
+      apps.set(id, { id, name: String(name || 'Unknown'), platforms: new Set(), isSource: false, isDownstream: false });
+    }
+    const app = apps.get(id);
+    app.platforms.add(getPlatformKey(row));
+    app[role] = true;
+  };
+  sourceEntityList.forEach(row => addRow(row?.source_application_name, row, 'isSource'));
+  downstreamEntityList.forEach(row => addRow(row?.downstream_application_name, row, 'isDownstream'));
+
+  const sizes = new Map();
+  const intersections = new Map();
+  apps.forEach(app => {
+    app.platforms.forEach(id => sizes.set(id, (sizes.get(id) || 0) + 1));
+    const key = getRegionKey(app.platforms);
+    if (!intersections.has(key)) {
+      intersections.set(key, { key, platforms: Array.from(app.platforms).sort(), apps: [] });
+    }
+    intersections.get(key).apps.push(app.id);
+  });
+
+  const platforms = Array.from(sizes.entries())
+    .map(([id, size]) => ({ id, size }))
+    .sort((a, b) => comparePlatformTypes(a.id, b.id) || a.id.localeCompare(b.id));
+
+  return {
+    platforms,
+    apps,
+    intersections: Array.from(intersections.values())
+      .sort((a, b) => b.apps.length - a.apps.length || a.key.localeCompare(b.key)),
+  };
+};
+
+// Area of the lens shared by two circles at distance d
+const circleOverlapArea = (r1, r2, d) => {
+  if (d >= r1 + r2) return 0;
+  if (d <= Math.abs(r1 - r2)) return Math.PI * Math.min(r1, r2) ** 2;
+  const a = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+  const b = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+  const c = 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+  return a + b - c;
+};
+
+// Centre distance at which two circles overlap by `area` (bisection; the area shrinks with distance)
+const distanceForOverlap = (r1, r2, area) => {
+  let low = Math.abs(r1 - r2);
+  let high = r1 + r2;
+  if (area <= 0) return high;
+  if (area >= Math.PI * Math.min(r1, r2) ** 2) return low;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (circleOverlapArea(r1, r2, mid) > area) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Place the circles so their pairwise distances match the targets as closely as possible.
+// Disjoint pairs only push apart and nested pairs only pull together.
+const placeCircles = (circles, targets) => {
+  const n = circles.length;
+  const spread = circles.reduce((sum, circle) => sum + circle.r, 0) / Math.max(1, n);
+  const positions = circles.map((circle, i) => (
+    n === 1 ? [0, 0] : [spread * Math.cos((2 * Math.PI * i) / n), spread * Math.sin((2 * Math.PI * i) / n)]
+  ));
+
+  for (let iteration = 0; iteration < 500; iteration++) {
+    const step = 0.1 * (1 - iteration / 500) + 0.01;
+    const forces = positions.map(() => [0, 0]);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const { distance: target, disjoint, nested } = targets[i][j];
+        const dx = positions[j][0] - positions[i][0];
+        const dy = positions[j][1] - positions[i][1];
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+        const error = distance - target;
+        if ((disjoint && error > 0) || (nested && error < 0)) continue;
+        const fx = (error * dx) / distance / 2;
+        const fy = (error * dy) / distance / 2;
+        forces[i][0] += fx;
+        forces[i][1] += fy;
+        forces[j][0] -= fx;
+        forces[j][1] -= fy;
+      }
+    }
+    positions.forEach((position, i) => {
+      position[0] += step * forces[i][0];
+      position[1] += step * forces[i][1];
+    });
+  }
+  return positions;
+};
+
+const containsPoint = (circle, x, y, margin = 0) => (
+  (x - circle.cx) ** 2 + (y - circle.cy) ** 2 <= (circle.r - margin) ** 2
+);
+
+// A point inside every circle of `members` and outside the others; falls back to ignoring the
+// exclusions, then to the members' centroid, when the approximate layout has no such region
+const samplePointInRegion = (members, others, random) => {
+  const smallest = members.reduce((min, circle) => (circle.r < min.r ? circle : min), members[0]);
+  const margin = Math.min(0.5, smallest.r / 4);
+  const sample = () => {
+    const angle = random() * 2 * Math.PI;
+    const radius = Math.sqrt(random()) * smallest.r;
+    return [smallest.cx + radius * Math.cos(angle), smallest.cy + radius * Math.sin(angle)];
+  };
+
+  for (let attempt = 0; attempt < 400; attempt++) {
+    const [x, y] = sample();
+    if (members.every(c => containsPoint(c, x, y, margin)) && others.every(c => !containsPoint(c, x, y, -margin))) {
+      return [x, y];
+    }
+  }
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const [x, y] = sample();
+    if (members.every(c => containsPoint(c, x, y))) return [x, y];
+  }
+  const cx = members.reduce((sum, c) => sum + c.cx, 0) / members.length;
+  const cy = members.reduce((sum, c) => sum + c.cy, 0) / members.length;
+  return [cx + (random() - 0.5), cy + (random() - 0.5)];
+};
+
+// Euler geometry in layout units (one application = one unit of area):
+// platform circles { id, cx, cy, r } and application dots { id, x, y }
+const buildEulerGeometry = (platforms, apps, random) => {
+  const circles = platforms.map(platform => ({ id: platform.id, r: Math.sqrt(platform.size / Math.PI) }));
+  const pairShared = (a, b) => {
+    let shared = 0;
+    apps.forEach(app => {
+      if (app.platforms.has(a) && app.platforms.has(b)) shared += 1;
+    });
+    return shared;
+  };
+
+  const targets = circles.map(() => []);
+  circles.forEach((a, i) => {
+    circles.forEach((b, j) => {
+      if (j <= i) return;
+      const shared = pairShared(a.id, b.id);
+      const minSize = Math.min(platforms[i].size, platforms[j].size);
+      const target = {
+        distance: distanceForOverlap(a.r, b.r, shared),
+        disjoint: shared === 0,
+        nested: shared >= minSize,
+      };
+      // Keep disjoint circles visibly apart
+      if (target.disjoint) target.distance += Math.min(a.r, b.r) * 0.2;
+      targets[i][j] = target;
+    });
+  });
+
+  placeCircles(circles, targets).forEach(([x, y], i) => {
+    circles[i].cx = x;
+    circles[i].cy = y;
+  });
+
+  const dots = new Map();
+  apps.forEach(app => {
+    const members = circles.filter(circle => app.platforms.has(circle.id));
+    const others = circles.filter(circle => !app.platforms.has(circle.id));
+    const [x, y] = samplePointInRegion(members, others, random);
+    dots.set(app.id, { x, y });
+  });
+
+  return { circles, dots };
+};
+
+// { nodes, links, intersections, chartType: 'euler' | 'upset' }. Nodes are the platforms
+// (with circle geometry in Euler mode) followed by the applications (with dot positions);
+// links are memberships (application -> platform).
+export const getOverlapGraphData = (sourceEntityList = [], downstreamEntityList = [], colorMap = {}, options = {}) => {
+  const random = options.random || createRandom(DEFAULT_LAYOUT_SEED);
+  const { platforms, apps, intersections } = computePlatformOverlaps(sourceEntityList, downstreamEntityList);
+  const chartType = platforms.length > MAX_EULER_SETS ? 'upset' : 'euler';
+  const geometry = chartType === 'euler' ? buildEulerGeometry(platforms, apps, random) : null;
+
+  const platformNodes = platforms.map((platform, index) => ({
+    id: platform.id,
+    name: platform.id,
+    type: 'dataplatform',
+    size: platform.size,
+    itemStyle: { color: colorMap[platform.id] || colorMap.dataplatform },
+    ...(geometry ? { cx: geometry.circles[index].cx, cy: geometry.circles[index].cy, r: geometry.circles[index].r } : {}),
+  }));
+
+  const appNodes = Array.from(apps.values()).map(app => {
+    let type = app.isSource ? 'source' : 'downstream';
+    if (app.isSource && app.isDownstream) type = 'mixed';
+    return {
+      id: app.id,
+      name: app.name,
+      type,
+      region: getRegionKey(app.platforms),
+      itemStyle: { color: colorMap[type] },
+      ...(geometry ? geometry.dots.get(app.id) : {}),
+    };
+  });
+
+  const links = [];
+  apps.forEach(app => {
+    app.platforms.forEach(platformId => links.push({ source: app.id, target: platformId }));
+  });
+
+  return { nodes: [...platformNodes, ...appNodes], links, intersections, chartType };
+};
+
+// Fit the layout-unit geometry into a chart of the given pixel size
+export const getEulerTransform = (data, width, height) => {
+  const circles = data.nodes.filter(node => node.type === 'dataplatform');
+  if (circles.length === 0) return { scale: 1, offsetX: width / 2, offsetY: height / 2 };
+  const minX = Math.min(...circles.map(c => c.cx - c.r));
+  const maxX = Math.max(...circles.map(c => c.cx + c.r));
+  const minY = Math.min(...circles.map(c => c.cy - c.r));
+  const maxY = Math.max(...circles.map(c => c.cy + c.r));
+  // Room for the toolbar above and the labels around the circles
+  const top = 90;
+  const padding = 60;
+  const scale = Math.min((width - 2 * padding) / (maxX - minX || 1), (height - top - padding) / (maxY - minY || 1));
+  return {
+    scale,
+    offsetX: width / 2 - ((minX + maxX) / 2) * scale,
+    offsetY: top + (height - top - padding) / 2 - ((minY + maxY) / 2) * scale,
+  };
+};
+
+// Region key of the exclusive Euler region under a pixel position, or null outside every circle
+export const getEulerRegionAt = (data, width, height, x, y) => {
+  const { scale, offsetX, offsetY } = getEulerTransform(data, width, height);
+  const layoutX = (x - offsetX) / scale;
+  const layoutY = (y - offsetY) / scale;
+  const members = data.nodes
+    .filter(node => node.type === 'dataplatform' && containsPoint(node, layoutX, layoutY))
+    .map(node => node.id);
+  return members.length ? getRegionKey(members) : null;
+};
+
+// Human-readable name of a region: "A ∩ B only"
+export const getRegionLabel = (regionKey) => {
+  const platforms = regionKey.split('|');
+  return platforms.length === 1 ? `${platforms[0]} only` : `${platforms.join(' ∩ ')} only`;
+};
+
+// Applications of a region / intersection: [{ id, name, type }]
+export const getRegionApps = (data, regionKey) => {
+  const intersection = data && data.intersections && data.intersections.find(item => item.key === regionKey);
+  if (!intersection) return [];
+  const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+  return intersection.apps
+    .map(id => nodesById.get(id))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Graph overlay for a selected region: its applications and platforms stay, the rest is dimmed
+export const getRegionOverlay = (data, regionKey) => {
+  if (!regionKey) return null;
+  const nodes = new Map();
+  regionKey.split('|').forEach(id => nodes.set(id, { borderColor: SELECTED_COLOR }));
+  getRegionApps(data, regionKey).forEach(app => nodes.set(app.id, {}));
+  return { nodes, dimOpacity: 0.15 };
+};
+
+// ECharts option for Euler graph data; `overlay` works as in getChartOptions
+export const getEulerOptions = (data, overlay = null) => {
+  if (!data || !data.nodes) {
+    return {};
+  }
+
+  try {
+    const dimOpacity = overlay && overlay.dimOpacity !== undefined ? overlay.dimOpacity : 0.15;
+    const items = data.nodes.map(node => {
+      const overlayStyle = overlay ? overlay.nodes.get(node.id) : null;
+      return {
+        ...node,
+        color: (overlayStyle && overlayStyle.color) || node.itemStyle.color,
+        borderColor: overlayStyle && overlayStyle.borderColor,
+        opacity: overlay && !overlayStyle ? dimOpacity : 1,
+      };
+    });
+    const regionSizes = new Map((data.intersections || []).map(item => [item.key, item.apps.length]));
+
+    return {
+      title: {
+        text: 'Platform overlap',
+        subtext: 'Circle area = applications on the platform · click a region to list its applications',
+        left: 10,
+        top: 56,
+        textStyle: { fontSize: 14 },
+      },
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        appendToBody: true,
+        formatter: (params) => {
+          try {
+            if (!params || !params.data || params.seriesName !== OVERLAP_SERIES.euler) return '';
+            const item = params.data;
+            if (item.type === 'dataplatform') {
+              return `
+                <div>
+                  <strong>${item.name}</strong><br/>
+                  Applications: ${item.size}<br/>
+                  Only on this platform: ${regionSizes.get(item.id) || 0}
+                </div>
+              `;
+            }
+            return `
+              <div>
+                <strong>${item.name}</strong><br/>
+                Platforms: ${item.region.split('|').join(', ')}
+              </div>
+            `;
+          } catch (error) {
+            console.error('Error in tooltip formatter:', error);
+            return '';
+          }
+        }
+      },
+      animation: false,
+      series: [{
+        // Series 0 holds one item per node so selection highlights address them by dataIndex
+        type: 'custom',
+        name: OVERLAP_SERIES.euler,
+        coordinateSystem: 'none',
+        data: items,
+        renderItem: (params, api) => {
+          const item = items[params.dataIndex];
+          const { scale, offsetX, offsetY } = getEulerTransform(data, api.getWidth(), api.getHeight());
+
+          if (item.type === 'dataplatform') {
+            const cx = offsetX + item.cx * scale;
+            const cy = offsetY + item.cy * scale;
+            const r = item.r * scale;
+            return {
+              type: 'group',
+              children: [
+                {
+                  type: 'circle',
+                  z2: 0,
+                  shape: { cx, cy, r },
+                  style: {
+                    fill: item.color,
+                    opacity: item.opacity * 0.25,
+                    stroke: item.borderColor || item.color,
+                    lineWidth: item.borderColor ? 3 : 2,
+                  },
+                  emphasis: { style: { opacity: 0.35 } },
+                },
+                {
+                  type: 'text',
+                  silent: true,
+                  x: cx,
+                  y: cy - r - 6,
+                  style: {
+                    text: `${item.name} (${item.size})`,
+                    fill: '#333',
+                    opacity: item.opacity,
+                    fontSize: 13,
+                    fontWeight: 'bold',
+                    align: 'center',
+                    verticalAlign: 'bottom',
+                  },
+                },
+              ],
+            };
+          }
+
+          return {
+            type: 'circle',
+            z2: 10,
+            shape: { cx: offsetX + item.x * scale, cy: offsetY + item.y * scale, r: 3 },
+            style: { fill: item.color, opacity: item.opacity },
+            emphasis: { style: { stroke: SELECTED_COLOR, lineWidth: 3 } },
+          };
+        },
+      }],
+    };
+  } catch (error) {
+    console.error('Error generating euler options:', error);
+    return {};
+  }
+};
+
+// ECharts option for UpSet graph data: intersection sizes (bars), membership matrix (dots) and
+// set sizes. With an overlay the part of each intersection inside it is drawn in its own colour.
+export const getUpSetOptions = (data, overlay = null) => {
+  if (!data || !data.intersections) {
+    return {};
+  }
+
+  try {
+    const platforms = data.nodes.filter(node => node.type === 'dataplatform');
+    const platformIndex = new Map(platforms.map((node, index) => [node.id, index]));
+    const intersections = data.intersections.slice(0, MAX_UPSET_INTERSECTIONS);
+    const categories = intersections.map(item => item.key);
+    const highlighted = (item) => (overlay ? item.apps.filter(id => overlay.nodes.has(id)).length : item.apps.length);
+
+    const barTop = 110;
+    const barHeight = 200;
+    const matrixTop = barTop + barHeight + 20;
+    const rowHeight = 24;
+    const matrixHeight = rowHeight * platforms.length;
+    const matrixLeft = 260;
+
+    const membership = [];
+    intersections.forEach((item, column) => {
+      platforms.forEach((platform, row) => {
+        membership.push({
+          key: item.key,
+          value: [column, row],
+          itemStyle: { color: item.platforms.includes(platform.id) ? '#333' : '#DDD' },
+        });
+      });
+    });
+
+    return {
+      title: {
+        text: 'Platform overlap (UpSet)',
+        subtext: `${platforms.length} platforms — too many for an Euler diagram · click a bar or column to list its applications`,
+        left: 10,
+        top: 56,
+        textStyle: { fontSize: 14 },
+      },
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        appendToBody: true,
+        formatter: (params) => {
+          try {
+            if (!params || !params.data) return '';
+            if (params.seriesName === OVERLAP_SERIES.sets) return '';
+            const item = data.intersections.find(entry => entry.key === params.data.key);
+            if (!item) return `<strong>${params.name}</strong>: ${params.value}`;
+            return `
+              <div>
+                <strong>${getRegionLabel(item.key)}</strong><br/>
+                Applications: ${item.apps.length}
+                ${overlay ? `<br/>Highlighted: ${highlighted(item)}` : ''}
+              </div>
+            `;
+          } catch (error) {
+            console.error('Error in tooltip formatter:', error);
+            return '';
+          }
+        }
+      },
+      animation: false,
+      grid: [
+        { left: matrixLeft, right: 40, top: barTop, height: barHeight },
+        { left: matrixLeft, right: 40, top: matrixTop, height: matrixHeight },
+        { left: 30, width: 100, top: matrixTop, height: matrixHeight },
+      ],
+      xAxis: [
+        { type: 'category', gridIndex: 0, data: categories, show: false },
+        { type: 'category', gridIndex: 1, data: categories, show: false },
+        { type: 'value', gridIndex: 2, inverse: true, show: false },
+      ],
+      yAxis: [
+        { type: 'value', gridIndex: 0, name: 'Applications', splitLine: { lineStyle: { type: 'dashed' } } },
+        {
+          type: 'category',
+          gridIndex: 1,
+          inverse: true,
+          data: platforms.map(node => node.name),
+          axisLine: { show: false },
+          axisTick: { show: false },
+          splitArea: { show: true },
+        },
+        { type: 'category', gridIndex: 2, inverse: true, data: platforms.map(node => node.name), show: false },
+      ],
+      series: [
+        {
+          type: 'bar',
+          name: OVERLAP_SERIES.intersections,
+          xAxisIndex: 0,
+          yAxisIndex: 0,
+          stack: 'intersections',
+          barMaxWidth: 28,
+          data: intersections.map(item => ({
+            key: item.key,
+            value: highlighted(item),
+            itemStyle: { color: overlay ? SELECTED_COLOR : '#5470c6' },
+          })),
+          label: { show: !overlay, position: 'top', fontSize: 10 },
+        },
+        {
+          type: 'bar',
+          name: OVERLAP_SERIES.intersectionsRest,
+          xAxisIndex: 0,
+          yAxisIndex: 0,
+          stack: 'intersections',
+          barMaxWidth: 28,
+          data: intersections.map(item => ({
+            key: item.key,
+            value: item.apps.length - highlighted(item),
+            itemStyle: { color: '#CFD8DC' },
+          })),
+        },
+        {
+          // Connects the member platforms of each intersection
+          type: 'custom',
+          xAxisIndex: 1,
+          yAxisIndex: 1,
+          silent: true,
+          data: intersections.map((item, column) => {
+            const rows = item.platforms.map(id => platformIndex.get(id));
+            return [column, Math.min(...rows), Math.max(...rows)];
+          }),
+          renderItem: (params, api) => {
+            const [x1, y1] = api.coord([api.value(0), api.value(1)]);
+            const [x2, y2] = api.coord([api.value(0), api.value(2)]);
+            return { type: 'line', shape: { x1, y1, x2, y2 }, style: { stroke: '#333', lineWidth: 2 } };
+          },
+        },
+        {
+          type: 'scatter',
+          name: OVERLAP_SERIES.membership,
+          xAxisIndex: 1,
+          yAxisIndex: 1,
+          symbolSize: 12,
+          z: 3,
+          data: membership,
+        },
+        {
+          type: 'bar',
+          name: OVERLAP_SERIES.sets,
+          xAxisIndex: 2,
+          yAxisIndex: 2,
+          barMaxWidth: 14,
+          data: platforms.map(node => ({ value: node.size, itemStyle: { color: node.itemStyle.color } })),
+          label: { show: true, position: 'left', fontSize: 10 },
+        },
+      ],
+    };
+  } catch (error) {
+    console.error('Error generating upset options:', error);
+    return {};
+  }
+};
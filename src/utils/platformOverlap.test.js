@@ -0,0 +1,99 @@
+import {
+  computePlatformOverlaps,
+  getOverlapGraphData,
+  getEulerTransform,
+  getEulerRegionAt,
+  getRegionKey,
+  getRegionLabel,
+  getRegionApps,
+  getRegionOverlay,
+  MAX_EULER_SETS,
+} from './platformOverlap';
+import { sourceRow, downstreamRow } from './testUtils';
+
+// Billing spans both platforms; Crm and Payments only use the warehouse, Reporting only the lake
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake'),
+  sourceRow('Crm', 'Warehouse'),
+  sourceRow('Payments', 'Warehouse'),
+];
+const downstreamEntityList = [
+  downstreamRow('billing', 'Warehouse'),
+  downstreamRow('Reporting', 'Data Lake'),
+];
+
+describe('computePlatformOverlaps', () => {
+  it('groups applications into exclusive intersections, largest first', () => {
+    const { platforms, apps, intersections } = computePlatformOverlaps(sourceEntityList, downstreamEntityList);
+
+    expect(platforms).toEqual([{ id: 'warehouse', size: 3 }, { id: 'data lake', size: 2 }]);
+    expect(apps.get('billing')).toMatchObject({ name: 'Billing', isSource: true, isDownstream: true });
+    expect(intersections.map(({ key, apps: members }) => [key, members])).toEqual([
+      ['warehouse', ['crm', 'payments']],
+      ['data lake', ['reporting']],
+      ['data lake|warehouse', ['billing']],
+    ]);
+  });
+});
+
+describe('getOverlapGraphData', () => {
+  const data = getOverlapGraphData(sourceEntityList, downstreamEntityList, { dataplatform: '#999', mixed: '#0f0' });
+  const width = 800;
+  const height = 600;
+
+  it('builds platform circles, application dots and membership links', () => {
+    expect(data.chartType).toBe('euler');
+    expect(data.nodes.slice(0, 2).map(node => node.id)).toEqual(['warehouse', 'data lake']);
+    expect(data.nodes.find(node => node.id === 'billing')).toMatchObject({ type: 'mixed', region: 'data lake|warehouse', itemStyle: { color: '#0f0' } });
+    expect(data.links).toHaveLength(5);
+  });
+
+  it('sizes circles by application count and is deterministic', () => {
+    const [warehouse, lake] = data.nodes;
+
+    expect(Math.PI * warehouse.r ** 2).toBeCloseTo(3);
+    expect(Math.PI * lake.r ** 2).toBeCloseTo(2);
+    expect(getOverlapGraphData(sourceEntityList, downstreamEntityList, {}).nodes).toEqual(
+      getOverlapGraphData(sourceEntityList, downstreamEntityList, {}).nodes
+    );
+  });
+
+  it('places every application dot inside its own region', () => {
+    const { scale, offsetX, offsetY } = getEulerTransform(data, width, height);
+
+    data.nodes.filter(node => node.type !== 'dataplatform').forEach(node => {
+      expect(getEulerRegionAt(data, width, height, offsetX + node.x * scale, offsetY + node.y * scale)).toBe(node.region);
+    });
+    expect(getEulerRegionAt(data, width, height, 0, 0)).toBeNull();
+  });
+
+  it('falls back to an UpSet chart for many platforms', () => {
+    const rows = Array.from({ length: MAX_EULER_SETS + 1 }, (_, index) => sourceRow('Billing', `Platform ${index}`));
+    const upset = getOverlapGraphData(rows, []);
+
+    expect(upset.chartType).toBe('upset');
+    expect(upset.nodes[0].cx).toBeUndefined();
+    expect(upset.intersections).toHaveLength(1);
+  });
+});
+
+describe('regions', () => {
+  const data = getOverlapGraphData(sourceEntityList, downstreamEntityList);
+  const regionKey = getRegionKey(['warehouse', 'data lake']);
+
+  it('names regions and lists their applications by name', () => {
+    expect(regionKey).toBe('data lake|warehouse');
+    expect(getRegionLabel(regionKey)).toBe('data lake ∩ warehouse only');
+    expect(getRegionLabel('warehouse')).toBe('warehouse only');
+    expect(getRegionApps(data, 'warehouse').map(app => app.name)).toEqual(['Crm', 'Payments']);
+    expect(getRegionApps(data, 'stream')).toEqual([]);
+  });
+
+  it('keeps the region platforms and applications in its overlay', () => {
+    const overlay = getRegionOverlay(data, regionKey);
+
+    expect(Array.from(overlay.nodes.keys())).toEqual(['data lake', 'warehouse', 'billing']);
+    expect(overlay.nodes.get('warehouse').borderColor).toBeDefined();
+    expect(getRegionOverlay(data, null)).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Seeded Random Utility
+ *
+ * Deterministic pseudo-random numbers so the same dataset and seed always
+ * produce the same layout (and the same mock data).
+ */
+
+// Seed used until the user reshuffles the layout
+export const DEFAULT_LAYOUT_SEED = 1;
+
+// Seed used for the generated mock data
+export const DEFAULT_MOCK_DATA_SEED = 42;
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1) like Math.random
+export const createRandom = (seed = DEFAULT_LAYOUT_SEED) => {
+  let state = (Number(seed) >>> 0) || 1;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a hash of a string, for deriving seeds from names
+export const hashString = (value) => {
+  let hash = 0x811C9DC5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// A fresh seed for an intentional reshuffle
+export const createRandomSeed = () => Math.floor(Math.random() * 0x7FFFFFFF) + 1;
@@ -0,0 +1,45 @@
+import { createRandom, hashString, createRandomSeed } from './random';
+import { generateMockEntityLists, getTraditionalGraphData } from './dataGenerator';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    expect(take(createRandom(7), 5)).toEqual(take(createRandom(7), 5));
+    expect(take(createRandom(7), 5)).not.toEqual(take(createRandom(8), 5));
+  });
+
+  it('returns floats in [0, 1) and treats invalid seeds as the default', () => {
+    const values = take(createRandom(123), 1000);
+
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(take(createRandom('not a number'), 3)).toEqual(take(createRandom(1), 3));
+  });
+});
+
+describe('hashString and createRandomSeed', () => {
+  it('hashes strings to stable unsigned integers', () => {
+    expect(hashString('data lake')).toBe(hashString('data lake'));
+    expect(hashString('data lake')).not.toBe(hashString('data lakes'));
+    expect(hashString('')).toBe(0x811C9DC5);
+  });
+
+  it('creates positive seeds', () => {
+    expect(createRandomSeed()).toBeGreaterThan(0);
+  });
+});
+
+describe('seeded layouts and mock data', () => {
+  const lists = generateMockEntityLists();
+  const positions = (seed) => getTraditionalGraphData(lists.sourceEntityList, lists.downstreamEntityList, {}, { random: createRandom(seed) })
+    .nodes.map(node => [node.id, node.x, node.y]);
+
+  it('generates the same mock data every time', () => {
+    expect(generateMockEntityLists()).toEqual(lists);
+  });
+
+  it('places nodes the same way for the same seed', () => {
+    expect(positions(3)).toEqual(positions(3));
+    expect(positions(3)).not.toEqual(positions(4));
+  });
+});
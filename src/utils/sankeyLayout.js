@@ -0,0 +1,249 @@
+/**
+ * Sankey Layout Utility
+ *
+ * Flow view of the entity lists: source applications (left) feed data platforms (middle),
+ * which feed downstream applications (right). Flows are sized by table count. Per platform
+ * only the largest flows keep their own application node; the rest are merged into an
+ * "Other" bucket for that platform so the diagram stays readable.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { getLinkEndpointId } from './graphIndex';
+import { formatSharedApps } from './platformConnections';
+
+export const SANKEY_MAX_APPS_PER_PLATFORM = 8;
+
+// An application can sit in both outer columns, so application node ids carry their side.
+// `entityId` on the node is the plain application key used everywhere else.
+export const getSankeyNodeId = (side, appId) => `${side}:${appId}`;
+
+const SIDES = {
+  source: { nameField: 'source_application_name', countField: 'source_table_count', depth: 0 },
+  downstream: { nameField: 'downstream_application_name', countField: 'share_to_downstream_table_count', depth: 2 },
+};
+
+// platform key -> Map app key -> { name, tables }
+const aggregateFlows = (rows, { nameField, countField }) => {
+  const flows = new Map();
+  rows.forEach(row => {
+    const tables = Number(row?.[countField]) || 0;
+    if (tables <= 0) return;
+    const platformId = getPlatformKey(row);
+    const name = String(row?.[nameField] || 'Unknown');
+    const appId = getApplicationKey(name);
+
+    if (!flows.has(platformId)) flows.set(platformId, new Map());
+    const platformFlows = flows.get(platformId);
+    if (!platformFlows.has(appId)) platformFlows.set(appId, { name, tables: 0 });
+    platformFlows.get(appId).tables += tables;
+  });
+  return flows;
+};
+
+// { nodes, links, chartType: 'sankey' }; nodes have `depth` (column) and links a `value` (tables)
+export const getSankeyGraphData = (sourceEntityList = [], downstreamEntityList = [], colorMap = {}, options = {}) => {
+  const { maxAppsPerPlatform = SANKEY_MAX_APPS_PER_PLATFORM } = options;
+  const nodes = new Map();
+  const links = [];
+
+  const getNode = (id, create) => {
+    if (!nodes.has(id)) nodes.set(id, { id, tables: 0, ...create() });
+    return nodes.get(id);
+  };
+
+  const getPlatformNode = (platformId) => getNode(platformId, () => ({
+    name: platformId,
+    type: 'dataplatform',
+    depth: 1,
+    itemStyle: { color: colorMap[platformId] || colorMap.dataplatform },
+  }));
+
+  const addSide = (side, rows) => {
+    const { depth } = SIDES[side];
+    const color = colorMap[side];
+
+    aggregateFlows(rows, SIDES[side]).forEach((platformFlows, platformId) => {
+      const platformNode = getPlatformNode(platformId);
+      const ranked = Array.from(platformFlows.entries())
+        .sort(([, a], [, b]) => b.tables - a.tables || a.name.localeCompare(b.name));
+
+      const addFlow = (node, tables) => {
+        node.tables += tables;
+        if (side === 'source') {
+          platformNode.tables += tables;
+          links.push({ source: node.id, target: platformId, value: tables });
+        } else {
+          links.push({ source: platformId, target: node.id, value: tables });
+        }
+      };
+
+      ranked.slice(0, maxAppsPerPlatform).forEach(([appId, flow]) => {
+        const node = getNode(getSankeyNodeId(side, appId), () => ({
+          name: flow.name,
+          entityId: appId,
+          type: side,
+          depth,
+          itemStyle: { color },
+        }));
+        addFlow(node, flow.tables);
+      });
+
+      // The long tail of this platform shares one node
+      const rest = ranked.slice(maxAppsPerPlatform);
+      if (rest.length === 0) return;
+      const otherNode = getNode(getSankeyNodeId(side, `other:${platformId}`), () => ({
+        name: `Other (${rest.length} apps)`,
+        type: side,
+        isOther: true,
+        apps: rest.map(([, flow]) => flow.name),
+        depth,
+        itemStyle: { color, opacity: 0.6 },
+      }));
+      addFlow(otherNode, rest.reduce((sum, [, flow]) => sum + flow.tables, 0));
+    });
+  };
+
+  addSide('source', sourceEntityList);
+  addSide('downstream', downstreamEntityList);
+
+  return { nodes: Array.from(nodes.values()), links, chartType: 'sankey' };
+};
+
+const sideLabels = {
+  source: 'Source',
+  downstream: 'Downstream',
+  dataplatform: 'Data Platform',
+};
+
+// ECharts option for Sankey graph data; `overlay` works as in getChartOptions and is keyed by entity id
+export const getSankeyOptions = (data, overlay = null) => {
+  if (!data || !data.nodes || !data.links) {
+    return {};
+  }
+
+  try {
+    const dimOpacity = overlay && overlay.dimOpacity !== undefined ? overlay.dimOpacity : 0.15;
+    const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+    const getEntityId = (nodeId) => {
+      const node = nodesById.get(nodeId);
+      return node ? node.entityId || node.id : nodeId;
+    };
+    const inOverlay = (nodeId) => !overlay || overlay.nodes.has(getEntityId(nodeId));
+
+    const processedNodes = data.nodes.map(node => {
+      const overlayStyle = overlay ? overlay.nodes.get(getEntityId(node.id)) : null;
+      const processedNode = { ...node, itemStyle: { ...node.itemStyle } };
+
+      if (overlay && !overlayStyle) {
+        processedNode.itemStyle.opacity = dimOpacity;
+      }
+      if (overlayStyle && overlayStyle.borderColor) {
+        processedNode.itemStyle.borderWidth = 3;
+        processedNode.itemStyle.borderColor = overlayStyle.borderColor;
+      }
+      if (overlayStyle && overlayStyle.color) {
+        processedNode.itemStyle.color = overlayStyle.color;
+      }
+      if (overlayStyle && overlayStyle.label) {
+        processedNode.label = { formatter: `${node.name} ${overlayStyle.label}` };
+      }
+      return processedNode;
+    });
+
+    const processedLinks = data.links.map(link => {
+      const source = getLinkEndpointId(link.source);
+      const target = getLinkEndpointId(link.target);
+      if (!inOverlay(source) || !inOverlay(target)) {
+        return { ...link, lineStyle: { opacity: dimOpacity / 3 } };
+      }
+      const overlayLinkStyle = overlay && overlay.links
+        ? overlay.links.get(`${getEntityId(source)}->${getEntityId(target)}`)
+        : null;
+      // Sankey links cannot be dashed; the colour carries the overlay
+      return overlayLinkStyle ? { ...link, lineStyle: { ...link.lineStyle, color: overlayLinkStyle.color, opacity: 0.7 } } : link;
+    });
+
+    return {
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        appendToBody: true,
+        formatter: (params) => {
+          try {
+            if (!params || !params.data || params.seriesType !== 'sankey') return '';
+            const item = params.data;
+
+            if (params.dataType === 'edge') {
+              const source = nodesById.get(item.source);
+              const target = nodesById.get(item.target);
+              return `
+                <div>
+                  <strong>${source ? source.name : item.source} → ${target ? target.name : item.target}</strong><br/>
+                  Tables: ${item.value || 0}
+                </div>
+              `;
+            }
+
+            return `
+              <div>
+                <strong>${item.name || 'Unknown'}</strong><br/>
+                Type: ${sideLabels[item.type] || item.type}<br/>
+                Tables: ${item.tables || 0}
+                ${item.isOther ? `<br/>${formatSharedApps(item.apps)}` : ''}
+              </div>
+            `;
+          } catch (error) {
+            console.error('Error in tooltip formatter:', error);
+            return '';
+          }
+        }
+      },
+      animation: true,
+      animationDuration: 1000,
+      series: [{
+        type: 'sankey',
+        data: processedNodes,
+        links: processedLinks,
+        left: 40,
+        right: 160,
+        top: 70,
+        bottom: 40,
+        nodeWidth: 14,
+        nodeGap: 6,
+        nodeAlign: 'justify',
+        layoutIterations: 32,
+        draggable: true,
+        label: {
+          fontSize: 11,
+        },
+        lineStyle: {
+          color: 'gradient',
+          curveness: 0.5,
+          opacity: 0.35
+        },
+        // Hovering or selecting a node follows its flows through the platforms
+        emphasis: {
+          focus: 'trajectory',
+          itemStyle: {
+            borderWidth: 3,
+            borderColor: '#FFD700'
+          },
+          lineStyle: {
+            opacity: 0.7
+          }
+        },
+        blur: {
+          itemStyle: {
+            opacity: 0.3
+          },
+          lineStyle: {
+            opacity: 0.05
+          }
+        }
+      }]
+    };
+  } catch (error) {
+    console.error('Error generating sankey options:', error);
+    return {};
+  }
+};
@@ -0,0 +1,67 @@
+import { getSankeyGraphData, getSankeyOptions, getSankeyNodeId } from './sankeyLayout';
+import { buildSearchIndex, searchIndex } from './search';
+import { buildGraphIndex, getNodeDataIndex } from './graphIndex';
+import { buildExportRecords, buildNodeAttributeIndex } from './exporters';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const sourceEntityList = [
+  sourceRow('Billing', 'Data Lake', 6, { source_eim_id: 'EIM-1001' }),
+  sourceRow('Payments', 'Data Lake', 3),
+  sourceRow('Crm', 'Data Lake', 1),
+  sourceRow('Ledger', 'Data Lake', 0),
+];
+const downstreamEntityList = [downstreamRow('Billing', 'Data Lake', 2), downstreamRow('Reporting', 'Data Lake', 5)];
+
+const data = getSankeyGraphData(sourceEntityList, downstreamEntityList, {}, { maxAppsPerPlatform: 2 });
+const node = (id) => data.nodes.find(item => item.id === id);
+
+describe('getSankeyGraphData', () => {
+  it('puts an application in each column it appears in, keyed by side and entity id', () => {
+    expect(node(getSankeyNodeId('source', 'billing'))).toMatchObject({ entityId: 'billing', depth: 0, tables: 6 });
+    expect(node(getSankeyNodeId('downstream', 'billing'))).toMatchObject({ entityId: 'billing', depth: 2, tables: 2 });
+    expect(node('data lake')).toMatchObject({ type: 'dataplatform', depth: 1, tables: 10 });
+  });
+
+  it('merges the smaller flows of a platform into an other bucket and skips empty flows', () => {
+    const other = node(getSankeyNodeId('source', 'other:data lake'));
+
+    expect(other).toMatchObject({ isOther: true, apps: ['Crm'], tables: 1 });
+    expect(data.nodes.some(item => item.entityId === 'ledger')).toBe(false);
+    expect(data.links).toContainEqual({ source: 'data lake', target: 'downstream:reporting', value: 5 });
+  });
+});
+
+describe('Sankey nodes in the shared helpers', () => {
+  it('finds applications by their entity attributes', () => {
+    const index = buildSearchIndex(data.nodes, sourceEntityList, downstreamEntityList);
+
+    expect(searchIndex(index, 'EIM-1001').map(match => match.id).sort()).toEqual(['downstream:billing', 'source:billing']);
+  });
+
+  it('resolves entity ids to the first node standing for them', () => {
+    const graphIndex = buildGraphIndex(data);
+
+    expect(getNodeDataIndex(graphIndex, 'billing')).toBe(data.nodes.indexOf(node('source:billing')));
+    expect(getNodeDataIndex(graphIndex, 'downstream:billing')).toBe(data.nodes.indexOf(node('downstream:billing')));
+  });
+
+  it('exports the attributes of the application behind a node', () => {
+    const records = buildExportRecords(data, buildNodeAttributeIndex(sourceEntityList, downstreamEntityList));
+
+    expect(records.nodes.find(record => record.id === 'downstream:billing')).toMatchObject({ eimId: 'EIM-1001', sourceTables: 6 });
+  });
+});
+
+describe('getSankeyOptions', () => {
+  it('dims the nodes and links an overlay leaves out, matching nodes by entity id', () => {
+    const overlay = { nodes: new Map([['billing', { label: '↓1' }], ['data lake', {}]]), dimOpacity: 0.2 };
+    const series = getSankeyOptions(data, overlay).series[0];
+    const styled = (id) => series.data.find(item => item.id === id);
+
+    expect(styled('downstream:billing').itemStyle.opacity).toBeUndefined();
+    expect(styled('downstream:billing').label.formatter).toBe('Billing ↓1');
+    expect(styled('downstream:reporting').itemStyle.opacity).toBe(0.2);
+    expect(series.links.find(link => link.target === 'downstream:reporting').lineStyle.opacity).toBeCloseTo(0.2 / 3);
+    expect(getSankeyOptions(null)).toEqual({});
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Saved Views Utility
+ *
+ * Named bookmarks of the view: layout, filters, selection and viewport (as a deep-link query
+ * string, see viewState.js) together with the pinned node positions of the force-directed
+ * layout. Views are kept in localStorage and can be exported to / imported from a JSON file,
+ * so a team can share a standard set.
+ */
+
+import { parseViewState, serializeViewState } from './viewState';
+
+const STORAGE_KEY = 'relationship-graph:saved-views';
+const FILE_VERSION = 1;
+
+const isPosition = (value) => (
+  Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)
+);
+
+const createViewId = () => `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Keep well-formed views only; the query string goes through parseViewState again on restore
+const normalizeView = (view) => {
+  if (!view || typeof view !== 'object' || typeof view.name !== 'string' || !view.name.trim()) return null;
+  const pinnedPositions = view.pinnedPositions && typeof view.pinnedPositions === 'object'
+    ? Object.fromEntries(Object.entries(view.pinnedPositions).filter(([, position]) => isPosition(position)))
+    : {};
+  return {
+    id: typeof view.id === 'string' && view.id ? view.id : createViewId(),
+    name: view.name.trim(),
+    savedAt: typeof view.savedAt === 'string' ? view.savedAt : new Date().toISOString(),
+    // Re-serialize so unknown or malformed parameters are dropped
+    query: serializeViewState(parseViewState(typeof view.query === 'string' ? view.query : '')),
+    pinnedPositions,
+  };
+};
+
+// `query` as returned by serializeViewState, `pinnedPositions` as { nodeId: [x, y] }
+export const createSavedView = (name, query, pinnedPositions = {}) => normalizeView({
+  name,
+  query,
+  pinnedPositions,
+  savedAt: new Date().toISOString(),
+});
+
+// localStorage may be unavailable (private mode, quota) or hold stale data, so fail soft
+export const loadSavedViews = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(normalizeView).filter(Boolean) : [];
+  } catch (error) {
+    console.error('Error loading saved views:', error);
+    return [];
+  }
+};
+
+export const storeSavedViews = (views) => {
+  try {
+    if (views.length === 0) {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+    }
+  } catch (error) {
+    console.error('Error saving views:', error);
+  }
+};
+
+export const serializeSavedViews = (views) => JSON.stringify({ version: FILE_VERSION, views }, null, 2);
+
+// Parse an exported views file; accepts the { version, views } wrapper or a bare array
+export const parseSavedViewsFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.views;
+  if (!Array.isArray(list)) {
+    throw new Error('The file does not contain saved views');
+  }
+  const views = list.map(normalizeView).filter(Boolean);
+  if (views.length === 0) {
+    throw new Error('The file does not contain any valid views');
+  }
+  return views;
+};
+
+// Imported views replace saved views with the same id or name, the rest are appended
+export const mergeSavedViews = (current, imported) => {
+  const result = [...current];
+  imported.forEach(view => {
+    const existingIndex = result.findIndex(existing => existing.id === view.id || existing.name === view.name);
+    if (existingIndex >= 0) {
+      result[existingIndex] = { ...view, id: result[existingIndex].id };
+    } else {
+      result.push(view);
+    }
+  });
+  return result;
+};
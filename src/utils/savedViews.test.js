@@ -0,0 +1,86 @@
+import {
+  createSavedView,
+  loadSavedViews,
+  storeSavedViews,
+  serializeSavedViews,
+  parseSavedViewsFile,
+  mergeSavedViews,
+} from './savedViews';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('createSavedView', () => {
+  it('trims the name, cleans the query and drops invalid pins', () => {
+    const view = createSavedView('  Finance lake ', 'layout=venn&bogus=1&platform=data+lake', {
+      billing: [1, 2],
+      crm: [1, 'x'],
+    });
+
+    expect(view).toMatchObject({
+      name: 'Finance lake',
+      query: 'layout=venn&platform=data+lake',
+      pinnedPositions: { billing: [1, 2] },
+    });
+    expect(view.id).toMatch(/^view-/);
+    expect(createSavedView('   ', '')).toBeNull();
+  });
+});
+
+describe('saved views storage', () => {
+  it('round-trips views and removes the entry when none are left', () => {
+    const views = [createSavedView('One', 'layout=chord'), createSavedView('Two', '')];
+    storeSavedViews(views);
+    expect(loadSavedViews()).toEqual(views);
+
+    storeSavedViews([]);
+    expect(window.localStorage.length).toBe(0);
+    expect(loadSavedViews()).toEqual([]);
+  });
+
+  it('survives corrupt data', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('relationship-graph:saved-views', '{not json');
+
+    expect(loadSavedViews()).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('views files', () => {
+  it('reads exported files and bare arrays, skipping invalid views', () => {
+    const views = [createSavedView('One', 'layout=chord')];
+
+    expect(parseSavedViewsFile(serializeSavedViews(views))).toEqual(views);
+    expect(parseSavedViewsFile(JSON.stringify([{ name: 'Bare' }, { query: 'layout=venn' }])).map(view => view.name))
+      .toEqual(['Bare']);
+  });
+
+  it('explains why a file cannot be imported', () => {
+    expect(() => parseSavedViewsFile('nope')).toThrow('The file is not valid JSON');
+    expect(() => parseSavedViewsFile('{"version":1}')).toThrow('The file does not contain saved views');
+    expect(() => parseSavedViewsFile('[{"name":""}]')).toThrow('The file does not contain any valid views');
+  });
+});
+
+describe('mergeSavedViews', () => {
+  it('replaces views with the same id or name and appends the rest', () => {
+    const current = [
+      { id: 'a', name: 'One', query: '' },
+      { id: 'b', name: 'Two', query: '' },
+    ];
+    const imported = [
+      { id: 'x', name: 'Two', query: 'layout=venn' },
+      { id: 'a', name: 'Renamed', query: 'layout=chord' },
+      { id: 'c', name: 'Three', query: '' },
+    ];
+
+    expect(mergeSavedViews(current, imported)).toEqual([
+      { id: 'a', name: 'Renamed', query: 'layout=chord' },
+      { id: 'b', name: 'Two', query: 'layout=venn' },
+      { id: 'c', name: 'Three', query: '' },
+    ]);
+  });
+});
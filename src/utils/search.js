@@ -0,0 +1,105 @@
+/**
+ * Search Utility
+ *
+ * Fuzzy matching of graph nodes by application name, EIM/EID IDs and
+ * downstream application abbreviations.
+ */
+
+import { getApplicationKey } from './entityKeys';
+
+// Score how well `query` matches `text`. Higher is better; null means no match.
+// Substring matches always beat scattered subsequence matches.
+export const fuzzyScore = (query, text) => {
+  const q = String(query || '').trim().toLowerCase();
+  const t = String(text || '').toLowerCase();
+  if (!q || !t) return null;
+
+  const position = t.indexOf(q);
+  if (position !== -1) {
+    const prefixBonus = position === 0 ? 200 : 0;
+    const wordBonus = position > 0 && /[\s\-_]/.test(t[position - 1]) ? 100 : 0;
+    return 1000 + prefixBonus + wordBonus - position - (t.length - q.length);
+  }
+
+  // Subsequence match: every query character must appear in order
+  let score = 0;
+  let textIndex = 0;
+  let previousMatch = -1;
+  for (let i = 0; i < q.length; i++) {
+    const char = q[i];
+    if (char === ' ') continue;
+    const found = t.indexOf(char, textIndex);
+    if (found === -1) return null;
+    // Consecutive characters score higher than scattered ones
+    score += found === previousMatch + 1 ? 10 : 1;
+    score -= Math.min(5, found - textIndex);
+    previousMatch = found;
+    textIndex = found + 1;
+  }
+  return score;
+};
+
+const addTerm = (termsByKey, key, field, value) => {
+  if (value === undefined || value === null || value === '') return;
+  if (!termsByKey.has(key)) termsByKey.set(key, []);
+  const terms = termsByKey.get(key);
+  const text = String(value);
+  if (!terms.some(term => term.field === field && term.value === text)) {
+    terms.push({ field, value: text });
+  }
+};
+
+// Build a search index for the nodes of the current graph. Entity attributes are
+// attached to nodes through the lowercase application name: the node's `entityId`
+// when its id is layout-specific, otherwise the node id itself.
+export const buildSearchIndex = (nodes = [], sourceEntityList = [], downstreamEntityList = []) => {
+  const termsByKey = new Map();
+
+  sourceEntityList.forEach(row => {
+    if (!row || !row.source_application_name) return;
+    const key = getApplicationKey(row.source_application_name);
+    addTerm(termsByKey, key, 'EIM ID', row.source_eim_id);
+  });
+
+  downstreamEntityList.forEach(row => {
+    if (!row || !row.downstream_application_name) return;
+    const key = getApplicationKey(row.downstream_application_name);
+    addTerm(termsByKey, key, 'EID ID', row.downstream_eid_id);
+    addTerm(termsByKey, key, 'Abbreviation', row.downstream_application_abbr);
+  });
+
+  return nodes
+    .filter(node => node && node.id !== undefined)
+    .map(node => {
+      const name = node.name || node.label || String(node.id);
+      return {
+        id: node.id,
+        name,
+        type: node.isMixed ? 'mixed' : String(node.type || '').toLowerCase(),
+        terms: [{ field: 'Name', value: name }, ...(termsByKey.get(String(node.entityId || node.id)) || [])],
+      };
+    });
+};
+
+// Return the best matches for a query, best first
+export const searchIndex = (index, query, limit = 20) => {
+  if (!query || !String(query).trim()) return [];
+
+  const results = [];
+  index.forEach(entry => {
+    let best = null;
+    entry.terms.forEach(term => {
+      const score = fuzzyScore(query, term.value);
+      if (score !== null && (!best || score > best.score)) {
+        best = { score, field: term.field, value: term.value };
+      }
+    });
+    if (best) {
+      results.push({ ...entry, score: best.score, matchedField: best.field, matchedValue: best.value });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
@@ -0,0 +1,45 @@
+import { fuzzyScore, buildSearchIndex, searchIndex } from './search';
+
+const nodes = [
+  { id: 'billing', name: 'Billing', type: 'Source' },
+  { id: 'billing reports', name: 'Billing Reports', type: 'Downstream', isMixed: true },
+  { id: 'data lake', name: 'Data Lake', type: 'DataPlatform' },
+];
+
+const sourceEntityList = [{ source_application_name: 'Billing', data_platform: 'Data Lake', source_eim_id: 'EIM-1001' }];
+const downstreamEntityList = [{
+  downstream_application_name: 'Billing Reports',
+  data_platform: 'Data Lake',
+  downstream_eid_id: 'EID-2002',
+  downstream_application_abbr: 'BRPT',
+}];
+
+describe('fuzzyScore', () => {
+  it('ranks prefix matches over later substrings and substrings over subsequences', () => {
+    expect(fuzzyScore('bill', 'billing')).toBeGreaterThan(fuzzyScore('bill', 'rebilling'));
+    expect(fuzzyScore('bill', 'rebilling')).toBeGreaterThan(fuzzyScore('blg', 'billing'));
+    expect(fuzzyScore('xyz', 'billing')).toBeNull();
+    expect(fuzzyScore('  ', 'billing')).toBeNull();
+  });
+});
+
+describe('searchIndex', () => {
+  const index = buildSearchIndex(nodes, sourceEntityList, downstreamEntityList);
+
+  it('matches names and entity ids, best first', () => {
+    expect(searchIndex(index, 'bill').map(match => match.id)).toEqual(['billing', 'billing reports']);
+    expect(searchIndex(index, 'EIM-1001')[0]).toMatchObject({ id: 'billing', matchedField: 'EIM ID' });
+    expect(searchIndex(index, 'brpt')[0]).toMatchObject({ id: 'billing reports', matchedField: 'Abbreviation', type: 'mixed' });
+  });
+
+  it('attaches entity ids through the entityId of nodes with layout-specific ids', () => {
+    const layoutIndex = buildSearchIndex([{ id: 'source:billing', entityId: 'billing', name: 'Billing' }], sourceEntityList);
+
+    expect(searchIndex(layoutIndex, 'EIM-1001').map(match => match.id)).toEqual(['source:billing']);
+  });
+
+  it('returns nothing for an empty query and respects the limit', () => {
+    expect(searchIndex(index, ' ')).toEqual([]);
+    expect(searchIndex(index, 'a', 1)).toHaveLength(1);
+  });
+});
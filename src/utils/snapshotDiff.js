@@ -0,0 +1,231 @@
+/**
+ * Snapshot Diff Utility
+ *
+ * Compares two versions of the source/downstream entity lists (a baseline, e.g. last month's
+ * inventory, and the current data). Applications and application–platform links are
+ * classified as added, removed, changed (table count differs) or unchanged.
+ *
+ * Links are directed like the graph links: source application -> platform and
+ * platform -> downstream application, keyed "<from id>-><to id>".
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+
+export const DIFF_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+};
+
+export const DIFF_STATUS_LABELS = {
+  [DIFF_STATUS.ADDED]: 'Added',
+  [DIFF_STATUS.REMOVED]: 'Removed',
+  [DIFF_STATUS.CHANGED]: 'Changed',
+  [DIFF_STATUS.UNCHANGED]: 'Unchanged',
+};
+
+export const DIFF_COLORS = {
+  [DIFF_STATUS.ADDED]: '#43A047',
+  [DIFF_STATUS.REMOVED]: '#D32F2F',
+  [DIFF_STATUS.CHANGED]: '#FFA000',
+  [DIFF_STATUS.UNCHANGED]: '#9E9E9E',
+};
+
+const STATUS_RANK = {
+  [DIFF_STATUS.ADDED]: 0,
+  [DIFF_STATUS.REMOVED]: 1,
+  [DIFF_STATUS.CHANGED]: 2,
+  [DIFF_STATUS.UNCHANGED]: 3,
+};
+
+export const getDiffLinkKey = (fromId, toId) => `${fromId}->${toId}`;
+
+// Sum the table counts of one snapshot per link; duplicate rows add up
+const collectLinks = ({ sourceEntityList = [], downstreamEntityList = [] } = {}) => {
+  const links = new Map();
+  const add = (role, row, appName, tables) => {
+    const appId = getApplicationKey(appName);
+    const platformId = getPlatformKey(row);
+    const key = role === 'source' ? getDiffLinkKey(appId, platformId) : getDiffLinkKey(platformId, appId);
+    if (!links.has(key)) {
+      links.set(key, {
+        key,
+        role,
+        appId,
+        appName: String(appName || 'Unknown'),
+        platformId,
+        platformName: String(row?.data_platform || 'Unknown').trim(),
+        tables: 0,
+      });
+    }
+    links.get(key).tables += Number(tables) || 0;
+  };
+
+  sourceEntityList.forEach(row => add('source', row, row?.source_application_name, row?.source_table_count));
+  downstreamEntityList.forEach(row => add('downstream', row, row?.downstream_application_name, row?.share_to_downstream_table_count));
+  return links;
+};
+
+const classify = (before, after) => {
+  if (before === undefined) return DIFF_STATUS.ADDED;
+  if (after === undefined) return DIFF_STATUS.REMOVED;
+  return before === after ? DIFF_STATUS.UNCHANGED : DIFF_STATUS.CHANGED;
+};
+
+const createSummary = () => ({
+  [DIFF_STATUS.ADDED]: 0,
+  [DIFF_STATUS.REMOVED]: 0,
+  [DIFF_STATUS.CHANGED]: 0,
+  [DIFF_STATUS.UNCHANGED]: 0,
+});
+
+// Returns { links, apps, platforms, summary: { links, apps }, tableDelta }.
+// Links: { key, role, appId, appName, platformId, platformName, status, before, after, delta };
+// apps: { id, name, status, before, after, delta, changedLinks } with table totals over all links.
+// An application that exists in both snapshots is changed when any of its links is.
+export const diffSnapshots = (baseline, current) => {
+  const baselineLinks = collectLinks(baseline);
+  const currentLinks = collectLinks(current);
+  const keys = new Set([...baselineLinks.keys(), ...currentLinks.keys()]);
+
+  const links = [];
+  const apps = new Map();
+  const platforms = new Map();
+  const summary = { links: createSummary(), apps: createSummary() };
+
+  keys.forEach(key => {
+    const before = baselineLinks.get(key);
+    const after = currentLinks.get(key);
+    const link = after || before;
+    const status = classify(before && before.tables, after && after.tables);
+    const beforeTables = before ? before.tables : 0;
+    const afterTables = after ? after.tables : 0;
+    links.push({
+      key,
+      role: link.role,
+      appId: link.appId,
+      appName: link.appName,
+      platformId: link.platformId,
+      platformName: link.platformName,
+      status,
+      before: beforeTables,
+      after: afterTables,
+      delta: afterTables - beforeTables,
+    });
+    summary.links[status] += 1;
+
+    if (!apps.has(link.appId)) {
+      apps.set(link.appId, { id: link.appId, name: link.appName, inBaseline: false, inCurrent: false, before: 0, after: 0, changedLinks: 0 });
+    }
+    const app = apps.get(link.appId);
+    app.inBaseline = app.inBaseline || Boolean(before);
+    app.inCurrent = app.inCurrent || Boolean(after);
+    app.before += beforeTables;
+    app.after += afterTables;
+    if (status !== DIFF_STATUS.UNCHANGED) app.changedLinks += 1;
+
+    if (!platforms.has(link.platformId)) {
+      platforms.set(link.platformId, { id: link.platformId, inBaseline: false, inCurrent: false });
+    }
+    const platform = platforms.get(link.platformId);
+    platform.inBaseline = platform.inBaseline || Boolean(before);
+    platform.inCurrent = platform.inCurrent || Boolean(after);
+  });
+
+  const appRows = Array.from(apps.values()).map(({ inBaseline, inCurrent, ...app }) => {
+    let status = DIFF_STATUS.UNCHANGED;
+    if (!inBaseline) status = DIFF_STATUS.ADDED;
+    else if (!inCurrent) status = DIFF_STATUS.REMOVED;
+    else if (app.changedLinks > 0) status = DIFF_STATUS.CHANGED;
+    summary.apps[status] += 1;
+    return { ...app, status, delta: app.after - app.before };
+  });
+
+  const platformRows = Array.from(platforms.values()).map(({ id, inBaseline, inCurrent }) => ({
+    id,
+    status: classify(inBaseline ? 0 : undefined, inCurrent ? 0 : undefined),
+  }));
+
+  return {
+    links: sortDiffRows(links, 'status', 'asc'),
+    apps: sortDiffRows(appRows, 'status', 'asc'),
+    platforms: platformRows,
+    summary,
+    tableDelta: links.reduce((sum, link) => sum + link.delta, 0),
+  };
+};
+
+// Sort rows by 'name' / 'appName', 'platformName', 'status', 'before', 'after' or 'delta';
+// ties fall back to the largest change
+export const sortDiffRows = (rows, orderBy = 'status', order = 'asc') => {
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = (a, b) => {
+    switch (orderBy) {
+      case 'name':
+      case 'appName':
+      case 'platformName':
+        return String(a[orderBy]).localeCompare(String(b[orderBy]));
+      case 'status':
+        return STATUS_RANK[a.status] - STATUS_RANK[b.status];
+      default:
+        return a[orderBy] - b[orderBy];
+    }
+  };
+  return [...rows].sort((a, b) => (
+    direction * compare(a, b) || Math.abs(b.delta) - Math.abs(a.delta) || String(a.name || a.appName).localeCompare(String(b.name || b.appName))
+  ));
+};
+
+// Entity lists to lay out while comparing: the current rows plus the baseline rows of removed
+// links, so removed applications and links can be drawn too
+export const mergeSnapshotLists = (baseline, current) => {
+  const currentLinks = collectLinks(current);
+  const isRemoved = (key) => !currentLinks.has(key);
+  const removedSources = (baseline.sourceEntityList || []).filter(row => (
+    isRemoved(getDiffLinkKey(getApplicationKey(row?.source_application_name), getPlatformKey(row)))
+  ));
+  const removedDownstreams = (baseline.downstreamEntityList || []).filter(row => (
+    isRemoved(getDiffLinkKey(getPlatformKey(row), getApplicationKey(row?.downstream_application_name)))
+  ));
+  return {
+    sourceEntityList: [...current.sourceEntityList, ...removedSources],
+    downstreamEntityList: [...current.downstreamEntityList, ...removedDownstreams],
+  };
+};
+
+const formatDelta = (delta) => {
+  if (delta === 0) return '±0';
+  return delta > 0 ? `+${delta}` : String(delta);
+};
+
+// Graph overlay for getChartOptions: applications and platforms coloured by status and labelled
+// with their table delta, links keyed by getDiffLinkKey coloured the same way (removed ones dashed).
+// Unchanged applications are dimmed, unchanged platforms stay as they are.
+export const getDiffOverlay = (diff) => {
+  if (!diff) return null;
+  const nodes = new Map();
+  const links = new Map();
+
+  diff.platforms.forEach(platform => {
+    nodes.set(platform.id, platform.status === DIFF_STATUS.UNCHANGED
+      ? {}
+      : { borderColor: DIFF_COLORS[platform.status], label: DIFF_STATUS_LABELS[platform.status] });
+  });
+  diff.apps.forEach(app => {
+    if (app.status === DIFF_STATUS.UNCHANGED) return;
+    nodes.set(app.id, {
+      color: DIFF_COLORS[app.status],
+      label: app.status === DIFF_STATUS.CHANGED ? formatDelta(app.delta) : DIFF_STATUS_LABELS[app.status],
+    });
+  });
+  diff.links.forEach(link => {
+    if (link.status === DIFF_STATUS.UNCHANGED) return;
+    links.set(link.key, {
+      color: DIFF_COLORS[link.status],
+      type: link.status === DIFF_STATUS.REMOVED ? 'dashed' : 'solid',
+    });
+  });
+
+  return { nodes, links, dimOpacity: 0.25 };
+};
@@ -0,0 +1,75 @@
+import { diffSnapshots, mergeSnapshotLists, getDiffOverlay, sortDiffRows, DIFF_STATUS, DIFF_COLORS } from './snapshotDiff';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const baseline = {
+  sourceEntityList: [sourceRow('Billing', 'Data Lake', 4), sourceRow('Legacy', 'Warehouse', 2), sourceRow('Payments', 'Data Lake', 1)],
+  downstreamEntityList: [downstreamRow('Reporting', 'Data Lake', 3)],
+};
+const current = {
+  sourceEntityList: [sourceRow('Billing', 'Data Lake', 6), sourceRow('Payments', 'Data Lake', 1), sourceRow('Onboarding', 'Data Lake', 5)],
+  downstreamEntityList: [downstreamRow('Reporting', 'Data Lake', 3), downstreamRow('reporting', 'Data Lake', 1)],
+};
+
+describe('diffSnapshots', () => {
+  const diff = diffSnapshots(baseline, current);
+  const statusOf = (rows, id) => rows.find(row => (row.id || row.key) === id).status;
+
+  it('classifies applications', () => {
+    expect(statusOf(diff.apps, 'billing')).toBe(DIFF_STATUS.CHANGED);
+    expect(statusOf(diff.apps, 'legacy')).toBe(DIFF_STATUS.REMOVED);
+    expect(statusOf(diff.apps, 'onboarding')).toBe(DIFF_STATUS.ADDED);
+    expect(statusOf(diff.apps, 'payments')).toBe(DIFF_STATUS.UNCHANGED);
+    expect(diff.summary.apps).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 1 });
+  });
+
+  it('sums duplicate rows per link and keys links in graph direction', () => {
+    const reporting = diff.links.find(link => link.key === 'data lake->reporting');
+
+    expect(reporting).toMatchObject({ role: 'downstream', status: DIFF_STATUS.CHANGED, before: 3, after: 4, delta: 1 });
+    expect(diff.links.find(link => link.key === 'billing->data lake').delta).toBe(2);
+  });
+
+  it('marks platforms that only exist in one snapshot', () => {
+    expect(diff.platforms).toEqual(expect.arrayContaining([
+      { id: 'warehouse', status: DIFF_STATUS.REMOVED },
+      { id: 'data lake', status: DIFF_STATUS.UNCHANGED },
+    ]));
+    expect(diff.tableDelta).toBe(2 + 5 - 2 + 1);
+  });
+});
+
+describe('sortDiffRows', () => {
+  it('sorts by status, then by the largest change', () => {
+    const rows = [
+      { name: 'a', status: DIFF_STATUS.CHANGED, delta: 1 },
+      { name: 'b', status: DIFF_STATUS.ADDED, delta: 2 },
+      { name: 'c', status: DIFF_STATUS.CHANGED, delta: -5 },
+    ];
+
+    expect(sortDiffRows(rows).map(row => row.name)).toEqual(['b', 'c', 'a']);
+    expect(sortDiffRows(rows, 'delta', 'desc').map(row => row.name)).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('mergeSnapshotLists', () => {
+  it('adds the baseline rows of removed links to the current rows', () => {
+    const merged = mergeSnapshotLists(baseline, current);
+
+    expect(merged.sourceEntityList).toHaveLength(current.sourceEntityList.length + 1);
+    expect(merged.sourceEntityList[merged.sourceEntityList.length - 1].source_application_name).toBe('Legacy');
+    expect(merged.downstreamEntityList).toEqual(current.downstreamEntityList);
+  });
+});
+
+describe('getDiffOverlay', () => {
+  it('colours changed entities and dashes removed links', () => {
+    const overlay = getDiffOverlay(diffSnapshots(baseline, current));
+
+    expect(overlay.nodes.get('billing')).toEqual({ color: DIFF_COLORS[DIFF_STATUS.CHANGED], label: '+2' });
+    expect(overlay.nodes.has('payments')).toBe(false);
+    expect(overlay.nodes.get('data lake')).toEqual({});
+    expect(overlay.links.get('legacy->warehouse')).toEqual({ color: DIFF_COLORS[DIFF_STATUS.REMOVED], type: 'dashed' });
+    expect(overlay.links.has('payments->data lake')).toBe(false);
+    expect(getDiffOverlay(null)).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Test Utilities
+ *
+ * Entity row factories shared by the utility unit tests.
+ */
+
+// A source entity row; `extra` adds or overrides fields (unique_key, valid_from, ...)
+export const sourceRow = (app, platform, tables = 1, extra = {}) => ({
+  source_application_name: app,
+  data_platform: platform,
+  source_table_count: tables,
+  ...extra,
+});
+
+// A downstream entity row; `extra` adds or overrides fields
+export const downstreamRow = (app, platform, tables = 1, extra = {}) => ({
+  downstream_application_name: app,
+  data_platform: platform,
+  share_to_downstream_table_count: tables,
+  ...extra,
+});
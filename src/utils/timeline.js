@@ -0,0 +1,132 @@
+/**
+ * Timeline Utility
+ *
+ * Entity rows may carry optional `valid_from` / `valid_to` dates (ISO strings such as
+ * "2024-03-01"): a row is part of the landscape from `valid_from` (inclusive) until `valid_to`
+ * (exclusive); a missing date leaves that side open. These helpers find the dated range of a
+ * dataset, select the rows valid on a date and mark a positioned graph as of that date, so
+ * the timeline can replay the evolution without moving any node.
+ */
+
+import { getPlatformKey, getApplicationKey } from './entityKeys';
+import { getLinkEndpointId } from './graphIndex';
+import { getNodeKind, getNodeEntityId } from './exporters';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ENTITY_KINDS = ['source', 'downstream', 'mixed', 'dataplatform'];
+
+// Timestamp (ms) of a date value, or null when it is missing or not a date
+export const parseEntityDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+export const formatTimelineDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// { start, end, dates } over all valid_from/valid_to values, dates being the sorted distinct
+// days on which something changes; null when no row is dated
+export const getTimelineDomain = (sourceEntityList = [], downstreamEntityList = []) => {
+  const dates = new Set();
+  [sourceEntityList, downstreamEntityList].forEach(list => list.forEach(row => {
+    [row?.valid_from, row?.valid_to].forEach(value => {
+      const time = parseEntityDate(value);
+      if (time !== null) dates.add(Math.floor(time / DAY) * DAY);
+    });
+  }));
+  if (dates.size === 0) return null;
+  const sorted = Array.from(dates).sort((a, b) => a - b);
+  return { start: sorted[0], end: sorted[sorted.length - 1], dates: sorted };
+};
+
+export const isRowValidAt = (row, time) => {
+  const from = parseEntityDate(row?.valid_from);
+  const to = parseEntityDate(row?.valid_to);
+  return (from === null || from <= time) && (to === null || time < to);
+};
+
+export const getEntityListsAt = ({ sourceEntityList = [], downstreamEntityList = [] }, time) => ({
+  sourceEntityList: sourceEntityList.filter(row => isRowValidAt(row, time)),
+  downstreamEntityList: downstreamEntityList.filter(row => isRowValidAt(row, time)),
+});
+
+// Table totals per platform (the tables its sources put in), sorted by platform name
+export const getPlatformTableTotals = ({ sourceEntityList = [], downstreamEntityList = [] }) => {
+  const totals = new Map();
+  downstreamEntityList.forEach(row => {
+    if (!totals.has(getPlatformKey(row))) totals.set(getPlatformKey(row), 0);
+  });
+  sourceEntityList.forEach(row => {
+    const platformId = getPlatformKey(row);
+    totals.set(platformId, (totals.get(platformId) || 0) + (Number(row?.source_table_count) || 0));
+  });
+  return Array.from(totals, ([id, tables]) => ({ id, tables })).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+// Graph data laid out from all rows, as of the given (already date-filtered) lists: nodes and
+// links that do not exist yet or any more are flagged `inactive` (getChartOptions fades them out),
+// and application and platform table totals are recomputed. Positions are left untouched.
+// Layouts draw one link per row, so a row that changed over time (v1 and v2 of the same
+// application and platform) keeps a single active link carrying the tables valid at the date.
+export const applyTimelineToGraph = (data, lists) => {
+  if (!data || !data.nodes || !data.links) return data;
+
+  // Applications and platforms are counted apart: an application may share its key with a platform
+  const platformTables = new Map(getPlatformTableTotals(lists).map(platform => [platform.id, platform.tables]));
+  const appTables = new Map();
+  const linkTables = new Map();
+  const addRow = (appId, linkKey, count) => {
+    const tables = Number(count) || 0;
+    appTables.set(appId, (appTables.get(appId) || 0) + tables);
+    linkTables.set(linkKey, (linkTables.get(linkKey) || 0) + tables);
+  };
+
+  lists.sourceEntityList.forEach(row => {
+    const appId = getApplicationKey(row?.source_application_name);
+    addRow(appId, `${appId}->${getPlatformKey(row)}`, row?.source_table_count);
+  });
+  lists.downstreamEntityList.forEach(row => {
+    const appId = getApplicationKey(row?.downstream_application_name);
+    addRow(appId, `${getPlatformKey(row)}->${appId}`, row?.share_to_downstream_table_count);
+  });
+
+  const kinds = new Map();
+  const nodes = data.nodes.map(node => {
+    const kind = getNodeKind(node);
+    kinds.set(node.id, kind);
+    // Nodes that are neither applications nor platforms (e.g. layout helpers) are left as they are
+    if (!ENTITY_KINDS.includes(kind)) return node;
+    const tables = kind === 'dataplatform' ? platformTables : appTables;
+    const entityId = getNodeEntityId(node);
+    return tables.has(entityId) ? { ...node, tables: tables.get(entityId) } : { ...node, inactive: true };
+  });
+  const inactiveIds = new Set(nodes.filter(node => node.inactive).map(node => node.id));
+
+  // Links between platforms only need both platforms; application links need a valid row and
+  // only the first link of each application and platform stays active
+  const activeLinkKeys = new Set();
+  const links = data.links.map(link => {
+    const source = getLinkEndpointId(link.source);
+    const target = getLinkEndpointId(link.target);
+    if (inactiveIds.has(source) || inactiveIds.has(target)) return { ...link, inactive: true };
+    if (kinds.get(source) === 'dataplatform' && kinds.get(target) === 'dataplatform') return link;
+
+    const key = `${source}->${target}`;
+    if (!linkTables.has(key) || activeLinkKeys.has(key)) return { ...link, inactive: true };
+    activeLinkKeys.add(key);
+    return link.value === linkTables.get(key) ? link : { ...link, value: linkTables.get(key) };
+  });
+
+  return { ...data, nodes, links };
+};
+
+// The nodes and links of a graph marked by applyTimelineToGraph that exist at its date
+export const getActiveGraph = (data) => {
+  if (!data || !data.nodes || !data.links) return data;
+  return {
+    ...data,
+    nodes: data.nodes.filter(node => !node.inactive),
+    links: data.links.filter(link => !link.inactive),
+  };
+};
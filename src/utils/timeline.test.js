@@ -0,0 +1,143 @@
+import {
+  getTimelineDomain,
+  isRowValidAt,
+  getEntityListsAt,
+  getPlatformTableTotals,
+  applyTimelineToGraph,
+  getActiveGraph,
+  formatTimelineDate,
+} from './timeline';
+import { getTraditionalGraphData, generateMockEntityLists } from './dataGenerator';
+import { getMainGraphData } from './chartOptions';
+import { buildSearchIndex, searchIndex } from './search';
+import { getVisibleGraph, buildExportRecords, buildNodeAttributeIndex } from './exporters';
+import { serializeGraph } from './graphSerializers';
+import { createRandom } from './random';
+import { sourceRow, downstreamRow } from './testUtils';
+
+const day = (date) => Date.parse(date);
+
+const lists = {
+  sourceEntityList: [
+    sourceRow('Billing', 'Data Lake', 4),
+    sourceRow('Legacy', 'Warehouse', 2, { valid_to: '2024-01-01' }),
+    sourceRow('Onboarding', 'Data Lake', 5, { valid_from: '2024-06-01' }),
+  ],
+  downstreamEntityList: [
+    downstreamRow('Reporting', 'Data Lake', 3, { valid_from: '2023-03-01' }),
+  ],
+};
+
+// Graph layouts are built from all rows and marked as of a date
+const graph = getTraditionalGraphData(lists.sourceEntityList, lists.downstreamEntityList, {}, { random: createRandom(1) });
+const graphAt = (date) => applyTimelineToGraph(graph, getEntityListsAt(lists, day(date)));
+
+describe('timeline domain and rows', () => {
+  it('spans the dates found in the rows', () => {
+    const domain = getTimelineDomain(lists.sourceEntityList, lists.downstreamEntityList);
+
+    expect(domain.dates.map(formatTimelineDate)).toEqual(['2023-03-01', '2024-01-01', '2024-06-01']);
+    expect(getTimelineDomain([sourceRow('Billing', 'Data Lake')], [])).toBeNull();
+  });
+
+  it('includes valid_from and excludes valid_to', () => {
+    const row = { valid_from: '2024-01-01', valid_to: '2024-02-01' };
+
+    expect(isRowValidAt(row, day('2023-12-31'))).toBe(false);
+    expect(isRowValidAt(row, day('2024-01-01'))).toBe(true);
+    expect(isRowValidAt(row, day('2024-02-01'))).toBe(false);
+    expect(isRowValidAt({ valid_to: 'not a date' }, day('2030-01-01'))).toBe(true);
+  });
+
+  it('totals platform tables as of a date', () => {
+    expect(getPlatformTableTotals(getEntityListsAt(lists, day('2023-06-01')))).toEqual([
+      { id: 'data lake', tables: 4 },
+      { id: 'warehouse', tables: 2 },
+    ]);
+    expect(getPlatformTableTotals(getEntityListsAt(lists, day('2024-07-01')))).toEqual([
+      { id: 'data lake', tables: 9 },
+    ]);
+  });
+
+  it('only dates the mock data in history mode', () => {
+    const plain = generateMockEntityLists();
+    const history = generateMockEntityLists({ history: true });
+
+    expect(getTimelineDomain(plain.sourceEntityList, plain.downstreamEntityList)).toBeNull();
+    expect(getTimelineDomain(history.sourceEntityList, history.downstreamEntityList)).not.toBeNull();
+  });
+});
+
+describe('applyTimelineToGraph', () => {
+  it('marks missing nodes and links inactive without moving or reordering anything', () => {
+    const marked = graphAt('2024-07-01');
+    const inactive = marked.nodes.filter(node => node.inactive).map(node => node.id).sort();
+
+    expect(inactive).toEqual(['legacy', 'warehouse']);
+    expect(marked.nodes.map(node => [node.id, node.x, node.y])).toEqual(graph.nodes.map(node => [node.id, node.x, node.y]));
+    expect(marked.links.filter(link => link.inactive).map(link => `${link.source}->${link.target}`)).toEqual(['legacy->warehouse']);
+    expect(marked.nodes.find(node => node.id === 'data lake').tables).toBe(9);
+  });
+
+  it('counts applications and platforms sharing a key apart', () => {
+    // An application called like a platform, with a layout-specific node id
+    const data = {
+      nodes: [
+        { id: 'data lake', type: 'DataPlatform' },
+        { id: 'app:data lake', entityId: 'data lake', type: 'Downstream' },
+      ],
+      links: [{ source: 'data lake', target: 'app:data lake' }],
+    };
+    const marked = applyTimelineToGraph(data, {
+      sourceEntityList: [sourceRow('Billing', 'Data Lake', 4)],
+      downstreamEntityList: [downstreamRow('Data Lake', 'Warehouse', 7)],
+    });
+
+    expect(marked.nodes.map(node => node.tables)).toEqual([4, 7]);
+  });
+
+  it('keeps one active link per application and platform for versioned rows', () => {
+    const versioned = [
+      sourceRow('Billing', 'Data Lake', 4, { unique_key: 'billing-v1', valid_to: '2024-03-01' }),
+      sourceRow('Billing', 'Data Lake', 6, { unique_key: 'billing-v2', valid_from: '2024-02-01' }),
+    ];
+    // One link per row, so the two versions overlap in February
+    const rowGraph = getMainGraphData(versioned, [], {}, { random: createRandom(1), platformLinks: false });
+    const activeLinksAt = (date) => applyTimelineToGraph(rowGraph, getEntityListsAt({ sourceEntityList: versioned }, day(date)))
+      .links.filter(link => !link.inactive);
+
+    expect(rowGraph.links).toHaveLength(2);
+    expect(activeLinksAt('2024-01-01').map(link => link.value)).toEqual([4]);
+    expect(activeLinksAt('2024-02-15').map(link => link.value)).toEqual([10]);
+    expect(activeLinksAt('2024-04-01').map(link => link.value)).toEqual([6]);
+  });
+
+  it('drops the inactive nodes and links from the active graph', () => {
+    const active = getActiveGraph(graphAt('2023-06-01'));
+
+    expect(active.nodes.map(node => node.id).sort()).toEqual(['billing', 'data lake', 'legacy', 'reporting', 'warehouse']);
+    expect(active.links.every(link => !link.inactive)).toBe(true);
+  });
+});
+
+describe('timeline-filtered search and export', () => {
+  it('only finds entities that exist at the timeline date', () => {
+    const atDate = getEntityListsAt(lists, day('2024-07-01'));
+    const index = buildSearchIndex(getActiveGraph(graphAt('2024-07-01')).nodes, atDate.sourceEntityList, atDate.downstreamEntityList);
+
+    expect(searchIndex(index, 'legacy')).toEqual([]);
+    expect(searchIndex(index, 'onboard').map(match => match.id)).toEqual(['onboarding']);
+  });
+
+  it('leaves inactive entities out of the data exports', () => {
+    const atDate = getEntityListsAt(lists, day('2023-06-01'));
+    const visible = getActiveGraph(getVisibleGraph(graphAt('2023-06-01')));
+    const records = buildExportRecords(visible, buildNodeAttributeIndex(atDate.sourceEntityList, atDate.downstreamEntityList));
+    const dot = serializeGraph('dot', visible, atDate);
+
+    expect(records.nodes.map(node => node.id)).not.toContain('onboarding');
+    expect(records.links.map(link => link.source)).not.toContain('onboarding');
+    expect(dot).not.toContain('onboarding');
+    expect(dot).toContain('"legacy" -> "warehouse"');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * View State Utility
+ *
+ * Serializes the shareable part of the view — layout, layout seed, selected node, filters,
+ * search term and viewport (zoom / pan center) — to a URL query string and back, so a view
+ * can be shared as a deep link and browser back/forward can step through view changes.
+ * Defaults are left out to keep links short.
+ */
+
+import { FILTER_FACETS, NODE_TYPES, createEmptyFilters } from './entityFilters';
+import { DEFAULT_LAYOUT_SEED } from './random';
+
+export const LAYOUT_TYPES = ['traditional', 'circular', 'force', 'venn', 'sankey', 'chord', 'matrix', 'overlap'];
+
+const DEFAULT_LAYOUT = 'traditional';
+
+// Graph coordinates do not need more precision than this in a link
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const parseNumberPair = (value, separator) => {
+  if (!value) return null;
+  const numbers = value.split(separator).map(Number);
+  return numbers.length === 2 && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// { layoutType, seed, selectedNode, filters, searchQuery, viewport } -> query string without '?'
+export const serializeViewState = ({ layoutType, seed, selectedNode, filters, searchQuery, viewport }) => {
+  const params = new URLSearchParams();
+  if (layoutType && layoutType !== DEFAULT_LAYOUT) params.set('layout', layoutType);
+  if (seed && seed !== DEFAULT_LAYOUT_SEED) params.set('seed', String(seed));
+  if (selectedNode) params.set('node', selectedNode);
+
+  if (filters) {
+    // One parameter per selected value, e.g. ?platform=A&platform=B
+    FILTER_FACETS.forEach(facet => {
+      (filters.facets[facet.key] || []).forEach(value => params.append(facet.key, value));
+    });
+    if (filters.tableRange) params.set('tables', filters.tableRange.join('-'));
+    if (filters.nodeTypes.length < NODE_TYPES.length) params.set('types', filters.nodeTypes.join(','));
+  }
+
+  if (searchQuery && searchQuery.trim()) params.set('q', searchQuery);
+
+  if (viewport && viewport.zoom) {
+    params.set('zoom', formatNumber(viewport.zoom));
+    if (viewport.center) params.set('center', viewport.center.map(formatNumber).join(','));
+  }
+
+  return params.toString();
+};
+
+// Query string -> view state; unknown or malformed values fall back to the defaults
+export const parseViewState = (search = '') => {
+  const params = new URLSearchParams(search);
+
+  const layout = params.get('layout');
+  const seed = Number(params.get('seed'));
+
+  const filters = createEmptyFilters();
+  FILTER_FACETS.forEach(facet => {
+    filters.facets[facet.key] = params.getAll(facet.key);
+  });
+  filters.tableRange = parseNumberPair(params.get('tables'), '-');
+  if (params.has('types')) {
+    filters.nodeTypes = params.get('types').split(',').filter(type => NODE_TYPES.includes(type));
+  }
+
+  const zoom = Number(params.get('zoom'));
+  const center = parseNumberPair(params.get('center'), ',');
+
+  return {
+    layoutType: LAYOUT_TYPES.includes(layout) ? layout : DEFAULT_LAYOUT,
+    seed: Number.isInteger(seed) && seed > 0 ? seed : DEFAULT_LAYOUT_SEED,
+    selectedNode: params.get('node') || null,
+    filters,
+    searchQuery: params.get('q') || '',
+    viewport: zoom > 0 ? { zoom, ...(center && { center }) } : null,
+  };
+};
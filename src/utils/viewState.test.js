@@ -0,0 +1,61 @@
+import { serializeViewState, parseViewState } from './viewState';
+import { createEmptyFilters } from './entityFilters';
+import { DEFAULT_LAYOUT_SEED } from './random';
+
+const defaultState = {
+  layoutType: 'traditional',
+  seed: DEFAULT_LAYOUT_SEED,
+  selectedNode: null,
+  filters: createEmptyFilters(),
+  searchQuery: '',
+  viewport: null,
+};
+
+describe('serializeViewState', () => {
+  it('leaves defaults out of the link', () => {
+    expect(serializeViewState(defaultState)).toBe('');
+  });
+});
+
+describe('parseViewState', () => {
+  it('round-trips a shared view', () => {
+    const state = {
+      layoutType: 'sankey',
+      seed: 42,
+      selectedNode: 'billing & co',
+      filters: {
+        ...createEmptyFilters(),
+        facets: { ...createEmptyFilters().facets, platform: ['data lake', 'warehouse'], busOrg: ['Finance'] },
+        tableRange: [5, 20],
+        nodeTypes: ['source', 'mixed'],
+      },
+      searchQuery: 'bill',
+      viewport: { zoom: 1.5, center: [120.256, -40] },
+    };
+    const search = serializeViewState(state);
+
+    expect(search).toContain('platform=data+lake&platform=warehouse');
+    expect(parseViewState(`?${search}`)).toEqual({
+      ...state,
+      viewport: { zoom: 1.5, center: [120.26, -40] },
+    });
+  });
+
+  it('returns the defaults for an empty query string', () => {
+    expect(parseViewState('')).toEqual(defaultState);
+  });
+
+  it('ignores unknown parameters and falls back to the defaults for invalid values', () => {
+    const state = parseViewState('?layout=spiral&seed=-3&tables=5-x&types=source,bogus&zoom=0&center=1,2&utm_source=mail');
+
+    expect(state).toEqual({
+      ...defaultState,
+      filters: { ...createEmptyFilters(), nodeTypes: ['source'] },
+    });
+  });
+
+  it('keeps a zoom without a valid center', () => {
+    expect(parseViewState('?zoom=2&center=abc').viewport).toEqual({ zoom: 2 });
+    expect(parseViewState('?seed=1.5').seed).toBe(DEFAULT_LAYOUT_SEED);
+  });
+});
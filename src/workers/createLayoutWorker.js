@@ -0,0 +1,9 @@
+/**
+ * Layout Worker Factory
+ *
+ * Kept in its own module so the bundler sees the `new Worker(new URL(...))` pattern
+ * and emits the worker chunk, while the client stays importable where
+ * `import.meta` is unavailable (unit tests).
+ */
+
+export const createLayoutWorker = () => new Worker(new URL('./layout.worker.js', import.meta.url));
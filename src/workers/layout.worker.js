@@ -0,0 +1,50 @@
+/**
+ * Layout Web Worker
+ *
+ * Message protocol (main thread -> worker):
+ *   { type: 'layout', requestId, payload: { sourceEntityList, downstreamEntityList, layoutType, seed } }
+ *   { type: 'cancel', requestId }
+ *
+ * Worker -> main thread:
+ *   { type: 'progress', requestId, stage, progress }
+ *   { type: 'result', requestId, data }
+ *   { type: 'cancelled', requestId }
+ *   { type: 'error', requestId, message }
+ */
+
+import { runLayoutPipeline } from '../utils/layoutPipeline';
+
+const activeRequests = new Set();
+const cancelledRequests = new Set();
+
+globalThis.onmessage = async (event) => {
+  const { type, requestId, payload } = event.data || {};
+
+  if (type === 'cancel') {
+    // Checked between pipeline stages
+    if (activeRequests.has(requestId)) {
+      cancelledRequests.add(requestId);
+    }
+    return;
+  }
+
+  if (type !== 'layout') return;
+
+  activeRequests.add(requestId);
+  try {
+    const data = await runLayoutPipeline(payload, {
+      onProgress: ({ stage, progress }) => globalThis.postMessage({ type: 'progress', requestId, stage, progress }),
+      isCancelled: () => cancelledRequests.has(requestId),
+    });
+    globalThis.postMessage({ type: 'result', requestId, data });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      globalThis.postMessage({ type: 'cancelled', requestId });
+    } else {
+      globalThis.postMessage({ type: 'error', requestId, message: error.message || 'Layout failed' });
+    }
+  } finally {
+    activeRequests.delete(requestId);
+    cancelledRequests.delete(requestId);
+  }
+};
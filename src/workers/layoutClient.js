@@ -0,0 +1,130 @@
+/**
+ * Layout Worker Client
+ *
+ * Runs the layout pipeline in a Web Worker and exposes each run as { promise, cancel }.
+ * Falls back to running the pipeline on the main thread when workers are unavailable.
+ */
+
+import { runLayoutPipeline, createCancelledError } from '../utils/layoutPipeline';
+import { createLayoutWorker } from './createLayoutWorker';
+
+export const createLayoutClient = () => {
+  let worker = null;
+  let workerFailed = false;
+  let nextRequestId = 1;
+  // requestId -> { payload, resolve, reject, onProgress }
+  const pending = new Map();
+
+  const handleMessage = (event) => {
+    const { type, requestId, stage, progress, data, message } = event.data || {};
+    const request = pending.get(requestId);
+    if (!request) return;
+
+    switch (type) {
+      case 'progress':
+        request.onProgress({ stage, progress });
+        break;
+      case 'result':
+        pending.delete(requestId);
+        request.resolve(data);
+        break;
+      case 'cancelled':
+        pending.delete(requestId);
+        request.reject(createCancelledError());
+        break;
+      case 'error':
+      default:
+        pending.delete(requestId);
+        request.reject(new Error(message || 'Layout failed'));
+        break;
+    }
+  };
+
+  // Finish a run that was sent to the worker on the main thread instead; it stays pending
+  // until then, so cancel() and terminate() still stop it
+  const runOnMainThread = (requestId, request) => {
+    runLayoutPipeline(request.payload, {
+      onProgress: request.onProgress,
+      isCancelled: () => pending.get(requestId) !== request,
+    })
+      .then((data) => {
+        if (pending.get(requestId) !== request) return;
+        pending.delete(requestId);
+        request.resolve(data);
+      })
+      .catch((error) => {
+        if (pending.get(requestId) !== request) return;
+        pending.delete(requestId);
+        request.reject(error);
+      });
+  };
+
+  // If the worker script cannot run, use the main thread from now on, starting with the pending runs
+  const handleError = () => {
+    workerFailed = true;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    pending.forEach((request, requestId) => runOnMainThread(requestId, request));
+  };
+
+  const getWorker = () => {
+    if (worker || workerFailed || typeof Worker === 'undefined') return worker;
+    try {
+      worker = createLayoutWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+    } catch (error) {
+      console.error('Error starting layout worker:', error);
+      workerFailed = true;
+      worker = null;
+    }
+    return worker;
+  };
+
+  // payload: { sourceEntityList, downstreamEntityList, layoutType, seed }
+  const run = (payload, { onProgress = () => {} } = {}) => {
+    const requestId = nextRequestId++;
+    const activeWorker = getWorker();
+
+    if (!activeWorker) {
+      let cancelled = false;
+      return {
+        promise: runLayoutPipeline(payload, { onProgress, isCancelled: () => cancelled }),
+        cancel: () => { cancelled = true; },
+      };
+    }
+
+    let rejectRun = null;
+    const promise = new Promise((resolve, reject) => {
+      rejectRun = reject;
+      pending.set(requestId, { payload, resolve, reject, onProgress });
+      activeWorker.postMessage({ type: 'layout', requestId, payload });
+    });
+
+    // Stop waiting right away; the worker drops the run at its next stage boundary
+    const cancel = () => {
+      if (!pending.has(requestId)) return;
+      pending.delete(requestId);
+      // Nothing to tell a worker that has failed; the main-thread run stops at its next stage
+      if (worker === activeWorker) {
+        activeWorker.postMessage({ type: 'cancel', requestId });
+      }
+      rejectRun(createCancelledError());
+    };
+
+    return { promise, cancel };
+  };
+
+  const terminate = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    pending.forEach(request => request.reject(createCancelledError()));
+    pending.clear();
+  };
+
+  return { run, terminate };
+};
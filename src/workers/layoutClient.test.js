@@ -0,0 +1,92 @@
+import { createLayoutClient } from './layoutClient';
+import { createLayoutWorker } from './createLayoutWorker';
+import { sourceRow, downstreamRow } from '../utils/testUtils';
+
+jest.mock('./createLayoutWorker', () => ({ createLayoutWorker: jest.fn() }));
+
+const payload = {
+  sourceEntityList: [sourceRow('Billing', 'Data Lake', 4)],
+  downstreamEntityList: [downstreamRow('Reporting', 'Data Lake', 3)],
+};
+
+// Stands in for the worker: records messages and lets the test answer them
+const createFakeWorker = () => ({
+  postMessage: jest.fn(),
+  terminate: jest.fn(),
+  respond(data) {
+    this.onmessage({ data });
+  },
+});
+
+describe('createLayoutClient', () => {
+  const OriginalWorker = global.Worker;
+  let worker;
+
+  beforeEach(() => {
+    worker = createFakeWorker();
+    createLayoutWorker.mockImplementation(() => worker);
+    global.Worker = function Worker() {};
+  });
+
+  afterEach(() => {
+    global.Worker = OriginalWorker;
+  });
+
+  it('sends runs to the worker and resolves with its result', async () => {
+    const onProgress = jest.fn();
+    const { promise } = createLayoutClient().run(payload, { onProgress });
+    const { requestId } = worker.postMessage.mock.calls[0][0];
+
+    worker.respond({ type: 'progress', requestId, stage: 'layout', progress: 0.5 });
+    worker.respond({ type: 'result', requestId, data: { nodes: [], links: [] } });
+
+    await expect(promise).resolves.toEqual({ nodes: [], links: [] });
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'layout', progress: 0.5 });
+    expect(worker.postMessage.mock.calls[0][0]).toMatchObject({ type: 'layout', payload });
+  });
+
+  it('tells the worker about cancelled runs and rejects them with an AbortError', async () => {
+    const { promise, cancel } = createLayoutClient().run(payload);
+
+    cancel();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.postMessage.mock.calls[1][0]).toMatchObject({ type: 'cancel' });
+  });
+
+  it('finishes pending runs on the main thread when the worker fails', async () => {
+    const client = createLayoutClient();
+    const first = client.run(payload);
+    const second = client.run({ ...payload, layoutType: 'circular' });
+
+    worker.onerror(new Event('error'));
+
+    const [traditional, circular] = await Promise.all([first.promise, second.promise]);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(traditional.nodes.map(node => node.id).sort()).toEqual(['billing', 'data lake', 'reporting']);
+    expect(circular.nodes).toHaveLength(3);
+
+    // Later runs stay on the main thread
+    await client.run(payload).promise;
+    expect(createLayoutWorker).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels a run that moved to the main thread without messaging the failed worker', async () => {
+    const client = createLayoutClient();
+    const { promise, cancel } = client.run(payload);
+
+    worker.onerror(new Event('error'));
+    cancel();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.postMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs on the main thread where workers are unavailable', async () => {
+    delete global.Worker;
+    const { promise } = createLayoutClient().run(payload);
+
+    expect((await promise).nodes).toHaveLength(3);
+    expect(createLayoutWorker).not.toHaveBeenCalled();
+  });
+});